@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Embeddings Indexing Script
+ *
+ * This script builds the semantic search index used by the semanticSearchMonsters tool.
+ * It chunks the long text columns of every monster, embeds the chunks with the
+ * configured embedding provider (EMBEDDING_PROVIDER, default: local) and stores
+ * them in ragmonsters.monster_embeddings (pgvector when available).
+ *
+ * Run it after scripts/initializeDb.js, and again whenever the provider or model changes.
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { createEmbeddingProvider, chunkMonster } from '../src/mcp-server/embeddings/index.js';
+import { ensureEmbeddingsTable, replaceEmbeddings } from '../src/mcp-server/embeddings/store.js';
+
+// Load environment variables
+dotenv.config();
+
+// Number of chunks sent to the provider per request
+const BATCH_SIZE = 64;
+
+// PostgreSQL connection
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.POSTGRESQL_ADDON_URI,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+/**
+ * Main function to index monster embeddings
+ */
+async function indexEmbeddings() {
+  try {
+    const provider = createEmbeddingProvider();
+    console.log(`Using embedding provider: ${provider.name} (${provider.model})`);
+
+    const storage = await ensureEmbeddingsTable(pool);
+    console.log(`Embeddings table ready (${storage === 'pgvector' ? 'pgvector' : 'array fallback'} storage)`);
+
+    const { rows: monsters } = await pool.query(`
+      SELECT
+        monster_id, name, appearance, primary_power, secondary_power, special_ability,
+        weakness, behavior_ecology, notable_specimens, discovery
+      FROM ragmonsters.monsters
+      ORDER BY monster_id ASC
+    `);
+    console.log(`Found ${monsters.length} monsters to index`);
+
+    const chunks = monsters.flatMap(monster =>
+      chunkMonster(monster).map(chunk => ({ ...chunk, monsterId: monster.monster_id }))
+    );
+    console.log(`Split into ${chunks.length} chunks`);
+
+    // Embed in batches
+    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+      const batch = chunks.slice(i, i + BATCH_SIZE);
+      const vectors = await provider.embed(batch.map(chunk => chunk.content));
+      batch.forEach((chunk, index) => {
+        chunk.embedding = vectors[index];
+      });
+      console.log(`Embedded ${Math.min(i + BATCH_SIZE, chunks.length)}/${chunks.length} chunks`);
+    }
+
+    const written = await replaceEmbeddings(pool, storage, provider, chunks);
+    console.log(`Stored ${written} embeddings`);
+
+    console.log('Embeddings indexing completed successfully!');
+    await pool.end();
+  } catch (error) {
+    console.error('Error indexing embeddings:', error);
+    process.exit(1);
+  }
+}
+
+// Run the indexing
+indexEmbeddings();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the authentication
+ *
+ * Checks API key configuration, JWT verification (signature, algorithm,
+ * expiry, subject), principal IDs, scope matching and the scope middleware of
+ * the web API. No database, network or identity provider is needed.
+ */
+
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  getAuthConfig,
+  createAuthenticators,
+  createApiKeyAuthenticator,
+  createJwtAuthenticator,
+  verifyJwt,
+  signJwt,
+  authenticateRequest,
+  hasScope
+} from '../src/mcp-server/utils/auth.js';
+import { createAuthMiddleware } from '../src/auth.js';
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Encode a token with any header, signed with the secret
+ * @param {Object} header - Token header
+ * @param {Object} claims - Token claims
+ * @param {string} [secret=SECRET] - HMAC secret
+ * @returns {string} Compact JWT
+ */
+function encodeToken(header, claims, secret = SECRET) {
+  const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+/**
+ * Minimal Express response recording its status, headers and body
+ * @returns {Object} Response
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * API keys need distinct names, which become their principal IDs
+ */
+async function testApiKeys() {
+  const keys = [{ name: 'alice', key: 'key-a', scopes: ['chat'] }, { name: 'bob', key: 'key-b', scopes: ['*'] }];
+  assert.deepEqual(getAuthConfig({ AUTH_API_KEYS: JSON.stringify(keys) }).apiKeys, keys);
+
+  assert.throws(() => getAuthConfig({ AUTH_API_KEYS: '{not json' }), /AUTH_API_KEYS must be a JSON array/);
+  assert.throws(() => getAuthConfig({ AUTH_API_KEYS: JSON.stringify([{ key: 'k', scopes: [] }]) }), /non-empty name/);
+  assert.throws(() => getAuthConfig({ AUTH_API_KEYS: JSON.stringify([{ name: ' ', key: 'k', scopes: [] }]) }), /non-empty name/);
+  assert.throws(() => getAuthConfig({ AUTH_API_KEYS: JSON.stringify([keys[0], { ...keys[1], name: 'alice' }]) }), /'alice' is used twice/);
+
+  const authenticator = createApiKeyAuthenticator(keys);
+  assert.deepEqual(await authenticator.authenticate({ apiKey: 'key-a' }), { id: 'apiKey:alice', type: 'apiKey', scopes: ['chat'] });
+  assert.equal((await authenticator.authenticate({ bearer: 'key-b' })).id, 'apiKey:bob', 'Keys are accepted as bearer tokens');
+  assert.equal(await authenticator.authenticate({ apiKey: 'key-c' }), null);
+  assert.equal(await authenticator.authenticate({}), null);
+  console.log('✅ API keys are named and identified by name');
+}
+
+/**
+ * Only HS256 tokens signed with the secret, with an expiry, are accepted
+ */
+function testJwtVerification() {
+  const claims = { sub: 'alice', exp: now() + 60 };
+  assert.equal(verifyJwt(signJwt(claims, SECRET), { secret: SECRET }).sub, 'alice');
+
+  assert.throws(() => verifyJwt(signJwt(claims, 'other-secret'), { secret: SECRET }), /Invalid token signature/);
+  const [header, payload] = signJwt(claims, SECRET).split('.');
+  const tampered = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString('base64url');
+  assert.throws(() => verifyJwt(`${header}.${tampered}.${signJwt(claims, SECRET).split('.')[2]}`, { secret: SECRET }), /Invalid token signature/);
+
+  // "none" and algorithms other than HS256 are refused before the signature is looked at
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url')}.${payload}.`;
+  assert.throws(() => verifyJwt(unsigned, { secret: SECRET }), /Unsupported token algorithm 'none'/);
+  assert.throws(() => verifyJwt(encodeToken({ alg: 'HS512', typ: 'JWT' }, claims), { secret: SECRET }), /Unsupported token algorithm 'HS512'/);
+  assert.throws(() => verifyJwt(encodeToken({ alg: 'RS256', typ: 'JWT' }, claims), { secret: SECRET }), /Unsupported token algorithm 'RS256'/);
+
+  assert.throws(() => verifyJwt(signJwt({ sub: 'alice', exp: now() - 3600 }, SECRET), { secret: SECRET }), /Token expired/);
+  assert.equal(verifyJwt(signJwt({ sub: 'alice', exp: now() - 10 }, SECRET), { secret: SECRET }).sub, 'alice', 'The clock tolerance applies');
+  assert.throws(() => verifyJwt(signJwt({ sub: 'alice', exp: now() - 10 }, SECRET), { secret: SECRET, clockToleranceSeconds: 0 }), /Token expired/);
+  assert.throws(() => verifyJwt(signJwt({ sub: 'alice' }, SECRET), { secret: SECRET }), /no expiry/, 'Tokens without exp never expire, so they are refused');
+  assert.throws(() => verifyJwt(signJwt({ ...claims, nbf: now() + 3600 }, SECRET), { secret: SECRET }), /not yet valid/);
+
+  assert.throws(() => verifyJwt(signJwt({ ...claims, iss: 'other' }, SECRET), { secret: SECRET, issuer: 'ragmonsters' }), /issuer mismatch/);
+  assert.throws(() => verifyJwt(signJwt(claims, SECRET), { secret: SECRET, audience: 'ragmonsters' }), /audience mismatch/);
+  assert.ok(verifyJwt(signJwt({ ...claims, aud: ['ragmonsters', 'other'] }, SECRET), { secret: SECRET, audience: 'ragmonsters' }));
+
+  assert.throws(() => verifyJwt('not-a-token', { secret: SECRET }), /Malformed token/);
+  assert.throws(() => verifyJwt('a.b.c', { secret: SECRET }), /Malformed token/);
+  console.log('✅ JWTs are verified');
+}
+
+/**
+ * Token principals need a subject, and do not collide with API keys of the same name
+ */
+async function testJwtPrincipals() {
+  const jwt = createJwtAuthenticator({ secret: SECRET });
+  const principal = await jwt.authenticate({ bearer: signJwt({ sub: 'alice', exp: now() + 60, scope: 'chat tools:read' }, SECRET) });
+  assert.deepEqual(principal, { id: 'jwt:alice', type: 'jwt', scopes: ['chat', 'tools:read'] });
+  assert.deepEqual((await jwt.authenticate({ bearer: signJwt({ sub: 'bob', exp: now() + 60, scopes: ['*'] }, SECRET) })).scopes, ['*']);
+
+  await assert.rejects(jwt.authenticate({ bearer: signJwt({ exp: now() + 60, scope: 'chat' }, SECRET) }), /no subject/);
+  assert.equal(await jwt.authenticate({ bearer: 'opaque-key' }), null, 'Bearer values that are not JWTs are left to API keys');
+
+  // A key named alice and a token for alice are different clients
+  const authenticators = createAuthenticators({
+    methods: ['apiKey', 'jwt'],
+    apiKeys: [{ name: 'alice', key: 'key-a', scopes: ['chat'] }],
+    jwt: { secret: SECRET }
+  });
+  const byKey = await authenticateRequest({ 'x-api-key': 'key-a' }, authenticators);
+  const byToken = await authenticateRequest({ authorization: `Bearer ${signJwt({ sub: 'alice', exp: now() + 60 }, SECRET)}` }, authenticators);
+  assert.notEqual(byKey.id, byToken.id);
+
+  await assert.rejects(authenticateRequest({}, authenticators), /Missing credentials/);
+  await assert.rejects(authenticateRequest({ authorization: `Bearer ${signJwt({ sub: 'alice', exp: now() + 60 }, 'other')}` }, authenticators), /Invalid credentials: Invalid token signature/);
+  console.log('✅ Principal IDs are prefixed by their type');
+}
+
+/**
+ * Scopes match exactly, by prefix wildcard, or with the global wildcard
+ */
+function testHasScope() {
+  const principal = (...scopes) => ({ id: 'apiKey:test', type: 'apiKey', scopes });
+
+  assert.ok(hasScope(principal('chat'), 'chat'));
+  assert.ok(!hasScope(principal('chat'), 'tools:read'));
+  assert.ok(hasScope(principal('*'), 'tools:call:getMonsters'));
+  assert.ok(hasScope(principal('tools:call:*'), 'tools:call:getMonsters'));
+  assert.ok(hasScope(principal('tools:*'), 'tools:call:getMonsters'));
+  assert.ok(!hasScope(principal('tools:call:*'), 'tools:read'));
+  assert.ok(!hasScope(principal('tools:call:getMonsters'), 'tools:call:getMonsterById'));
+  assert.ok(!hasScope(principal('tools:call:get*'), 'tools:call:getMonsters'), 'Only whole segments are wildcards');
+  assert.ok(!hasScope(principal('tools:call:*'), 'tools:callx'), 'The wildcard keeps the separator');
+  assert.ok(!hasScope(principal(), 'chat'));
+  assert.ok(!hasScope(null, 'chat'));
+  console.log('✅ Scopes match with wildcards');
+}
+
+/**
+ * The web API answers 401 without valid credentials and 403 without the scope
+ */
+async function testMiddleware() {
+  const auth = createAuthMiddleware(createAuthenticators({ methods: ['apiKey'], apiKeys: [{ name: 'reader', key: 'key-r', scopes: ['tools:read'] }], jwt: {} }));
+  assert.equal(auth.enabled, true);
+
+  const run = async (headers, scope) => {
+    const req = { headers };
+    const res = fakeResponse();
+    let passed = false;
+    await auth.authenticate(req, res, () => { passed = true; });
+    if (passed) {
+      passed = false;
+      auth.requireScope(scope)(req, res, () => { passed = true; });
+    }
+    return { passed, res, req };
+  };
+
+  const allowed = await run({ 'x-api-key': 'key-r' }, 'tools:read');
+  assert.equal(allowed.passed, true);
+  assert.equal(allowed.req.principal.id, 'apiKey:reader');
+
+  const missingScope = await run({ 'x-api-key': 'key-r' }, 'chat');
+  assert.equal(missingScope.passed, false);
+  assert.equal(missingScope.res.statusCode, 403);
+  assert.deepEqual(missingScope.res.body, { error: 'Missing scope: chat' });
+
+  const unauthenticated = await run({ 'x-api-key': 'wrong' }, 'tools:read');
+  assert.equal(unauthenticated.res.statusCode, 401);
+  assert.equal(unauthenticated.res.headers['WWW-Authenticate'], 'Bearer');
+
+  // Without authenticators every request passes, with no principal
+  const open = createAuthMiddleware([]);
+  const req = { headers: {} };
+  let calls = 0;
+  await open.authenticate(req, fakeResponse(), () => { calls++; });
+  open.requireScope('chat')(req, fakeResponse(), () => { calls++; });
+  assert.equal(calls, 2);
+  assert.equal(req.principal, null);
+  console.log('✅ Middleware enforces credentials and scopes');
+}
+
+// Run the tests
+try {
+  await testApiKeys();
+  testJwtVerification();
+  await testJwtPrincipals();
+  testHasScope();
+  await testMiddleware();
+  console.log('\nAll authentication tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nAuthentication test failed: ${error.message}`);
+  process.exit(1);
+}
@@ -69,6 +69,82 @@ async function main() {
             } else {
                 console.error('❌ FAIL: compareMonsters output invalid.');
             }
+
+            const matchupRes = await client.callTool({
+                name: 'simulateMatchup',
+                arguments: { monsterNameA: nameA, monsterNameB: nameB, rounds: 500, seed: 7 }
+            });
+            const matchup = JSON.parse(matchupRes.content[0].text);
+
+            if (matchup.data?.results?.A?.winProbability !== undefined && Array.isArray(matchup.data.decisiveFactors)) {
+                console.log('✅ PASS: simulateMatchup returned win probabilities.');
+                console.log(`   Summary: ${matchup.summary}`);
+            } else {
+                console.error('❌ FAIL: simulateMatchup output invalid.');
+            }
+
+            // Monsters can also be given by ID
+            const byIdRes = await client.callTool({
+                name: 'simulateMatchup',
+                arguments: { monsterIdA: matchup.data?.results?.A?.id, monsterNameB: nameB, rounds: 500, seed: 7 }
+            });
+            const byId = JSON.parse(byIdRes.content[0].text).data?.results;
+            if (byId?.A?.name === nameA && byId.A.wins === matchup.data?.results?.A?.wins) {
+                console.log('✅ PASS: simulateMatchup accepts monster IDs.');
+            } else {
+                console.error('❌ FAIL: simulateMatchup by ID differs from by name.');
+            }
+
+            // A monster facing itself keeps both sides
+            const mirrorRes = await client.callTool({
+                name: 'simulateMatchup',
+                arguments: { monsterNameA: nameA, monsterNameB: nameA, rounds: 500, seed: 7 }
+            });
+            const mirror = JSON.parse(mirrorRes.content[0].text).data?.results;
+            if (mirror?.A?.name === nameA && mirror?.B?.name === nameA && mirror.A.wins + mirror.B.wins + mirror.draws === 500) {
+                console.log('✅ PASS: simulateMatchup keeps both sides of a self-matchup.');
+            } else {
+                console.error('❌ FAIL: simulateMatchup self-matchup results collide.');
+            }
+
+            const teamRes = await client.callTool({
+                name: 'suggestTeam',
+                arguments: { opponent: nameA, size: 3, candidates: 2 }
+            });
+            const team = JSON.parse(teamRes.content[0].text);
+
+            if (Array.isArray(team.data?.teams) && team.data.teams.every(t => t.members.every(m => m.role && m.justification.length > 0))) {
+                console.log('✅ PASS: suggestTeam returned ranked teams with roles.');
+                console.log(`   Summary: ${team.summary}`);
+            } else {
+                console.error('❌ FAIL: suggestTeam output invalid.');
+            }
+
+            // A monster listed twice in mustInclude counts once against the team size
+            const repeatedRes = await client.callTool({
+                name: 'suggestTeam',
+                arguments: { mustInclude: [nameB, nameB.toUpperCase()], size: 2, candidates: 1 }
+            });
+            const repeated = JSON.parse(repeatedRes.content[0].text);
+
+            if (!repeatedRes.isError && repeated.data?.teams?.[0]?.members.filter(m => m.name === nameB).length === 1) {
+                console.log('✅ PASS: suggestTeam counts a repeated mustInclude once.');
+            } else {
+                console.error('❌ FAIL: suggestTeam rejected or duplicated a repeated mustInclude.');
+            }
+
+            const countersRes = await client.callTool({
+                name: 'findCounters',
+                arguments: { monsterName: nameA, limit: 5 }
+            });
+            const counters = JSON.parse(countersRes.content[0].text);
+
+            if (Array.isArray(counters.data?.counters) && counters.data.counters.every(c => c.netModifier > 0 && c.modifiers.length > 0)) {
+                console.log('✅ PASS: findCounters returned justified counters.');
+                console.log(`   Summary: ${counters.summary}`);
+            } else {
+                console.error('❌ FAIL: findCounters output invalid.');
+            }
         } else {
             console.warn('⚠️ SKIP: Not enough monsters to test comparison.');
         }
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end test of the chat API with a scripted LLM
+ *
+ * This script starts the web application in-process with the fake LLM provider
+ * replaying scripts/fixtures/chatScenarios.json, then drives /api/chat and
+ * /api/chat/stream. The agent, the MCP tools and the database are real, so a
+ * local PostgreSQL with the RAGmonsters data is required (POSTGRESQL_ADDON_URI),
+ * but no LLM API. For each scenario it checks that the agent called the
+ * expected tools with the expected arguments and that they returned real data.
+ * It also checks the order of streamed events, and that a client closing the
+ * stream stops the agent.
+ */
+
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadFakeFixtures } from '../src/providers/index.js';
+
+// ES module compatibility for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesPath = path.join(__dirname, 'fixtures', 'chatScenarios.json');
+
+// Tool results longer than this are cut in the trace
+const TRACE_MAX_RESULT_CHARS = 1000;
+
+// The application reads its configuration when imported: set it first
+// (dotenv never replaces variables that are already set)
+Object.assign(process.env, {
+  PORT: '0',
+  LLM_PROVIDER: 'fake',
+  LLM_FAKE_FIXTURES: fixturesPath,
+  MCP_TRANSPORT: 'stdio',
+  MCP_CLIENT_MODE: 'inProcess',
+  AUTH_API_KEYS: '',
+  AUTH_JWT_SECRET: '',
+  RATE_LIMIT_ENABLED: 'false',
+  CHAT_TRACE_MAX_RESULT_CHARS: String(TRACE_MAX_RESULT_CHARS)
+});
+dotenv.config();
+
+const { default: initializeApp } = await import('../src/index.js');
+
+/**
+ * Send a chat message
+ * @param {string} baseUrl - Application URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ */
+async function chat(baseUrl, body) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200, `POST /api/chat failed: ${JSON.stringify(data)}`);
+  return data;
+}
+
+/**
+ * Send a chat message to the streaming endpoint and collect its events
+ * @param {string} baseUrl - Application URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Array<Object>>} Events as { event, data }
+ */
+async function chatStream(baseUrl, body) {
+  const response = await fetch(`${baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  assert.equal(response.status, 200, 'POST /api/chat/stream failed');
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const text = await response.text();
+  return text.split('\n\n').filter(Boolean).map(parseEvent);
+}
+
+/**
+ * Parse a block of Server-Sent Events
+ * @param {string} block - Event block, without the blank line ending it
+ * @returns {Object} Event as { event, data }
+ */
+function parseEvent(block) {
+  const event = block.match(/^event: (.*)$/m)[1];
+  const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+  return { event, data };
+}
+
+/**
+ * Check a response trace against the scenario's expected tool calls
+ * @param {Array<Object>} trace - Trace from the chat response
+ * @param {Array<Object>} expected - Expected { name, args, resultContains, truncated }
+ */
+function assertToolCalls(trace, expected) {
+  assert.deepEqual(
+    trace.map(step => ({ name: step.tool, args: step.args })),
+    expected.map(call => ({ name: call.name, args: call.args })),
+    'The agent did not make the expected tool calls'
+  );
+
+  trace.forEach((step, index) => {
+    assert.equal(step.status, 'success', `${step.tool} failed: ${step.result}`);
+    assert.equal(typeof step.durationMs, 'number', `${step.tool} has no duration`);
+    if (expected[index].resultContains) {
+      assert.ok(step.result.includes(expected[index].resultContains),
+        `${step.tool} result does not contain '${expected[index].resultContains}': ${step.result}`);
+    }
+    if (expected[index].truncated !== undefined) {
+      assert.equal(step.truncated, expected[index].truncated, `${step.tool} result should${expected[index].truncated ? '' : ' not'} be truncated`);
+    }
+    if (step.truncated) {
+      assert.equal(step.result.length, TRACE_MAX_RESULT_CHARS + 3, `${step.tool} result was not cut at ${TRACE_MAX_RESULT_CHARS} characters`);
+      assert.ok(step.result.endsWith('...'));
+    } else {
+      assert.ok(step.result.length <= TRACE_MAX_RESULT_CHARS);
+    }
+  });
+}
+
+/**
+ * Run every fixture scenario through /api/chat
+ */
+async function testScenarios(baseUrl, scenarios, conversationIds) {
+  for (const scenario of scenarios) {
+    console.log(`\n--- Scenario: ${scenario.name} ---`);
+    const data = await chat(baseUrl, { message: scenario.message });
+    conversationIds.push(data.conversationId);
+
+    // The trace lists every call the model was scripted to make, in order, each with its own ID
+    const scripted = scenario.turns.flatMap(turn => turn.toolCalls ?? []);
+    assert.deepEqual(data.trace.map(step => ({ name: step.tool, args: step.args })), scripted.map(call => ({ name: call.name, args: call.args ?? {} })));
+    assert.equal(new Set(data.trace.map(step => step.id)).size, scripted.length, 'Trace steps do not have distinct IDs');
+    assertToolCalls(data.trace, scenario.expect.toolCalls);
+    assert.equal(data.message, scenario.turns[scenario.turns.length - 1]);
+    assert.equal(data.provider, 'fake');
+    assert.equal(data.model, 'scripted');
+    console.log(`OK: ${data.trace.map(step => `${step.tool} (${step.durationMs} ms${step.truncated ? ', truncated' : ''})`).join(', ') || 'no tool calls'}`);
+  }
+}
+
+/**
+ * Continue a conversation and check its stored history
+ */
+async function testConversation(baseUrl, scenarios, conversationIds) {
+  console.log('\n--- Conversation follow-up ---');
+  const [first, second] = scenarios;
+
+  const opening = await chat(baseUrl, { message: first.message });
+  conversationIds.push(opening.conversationId);
+  const followUp = await chat(baseUrl, { message: second.message, conversationId: opening.conversationId });
+
+  assert.equal(followUp.conversationId, opening.conversationId, 'The follow-up started a new conversation');
+  // Only the follow-up's own tool calls are traced
+  assertToolCalls(followUp.trace, second.expect.toolCalls);
+
+  const response = await fetch(`${baseUrl}/api/conversations/${opening.conversationId}`);
+  const conversation = await response.json();
+  const userMessages = conversation.messages.filter(m => m.role === 'user').map(m => m.content);
+  assert.deepEqual(userMessages, [first.message, second.message]);
+  console.log(`OK: ${conversation.messages.length} messages stored`);
+}
+
+/**
+ * List, read, rename and delete a conversation through the conversation endpoints
+ */
+async function testConversationEndpoints(baseUrl, scenario) {
+  console.log('\n--- Conversation endpoints ---');
+  const { conversationId } = await chat(baseUrl, { message: scenario.message });
+
+  const listed = await (await fetch(`${baseUrl}/api/conversations`)).json();
+  const summary = listed.conversations.find(c => c.id === conversationId);
+  assert.ok(summary, 'The new conversation is not listed');
+  assert.ok(summary.messageCount >= 2);
+
+  const renamed = await fetch(`${baseUrl}/api/conversations/${conversationId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Renamed by the test' })
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal((await renamed.json()).title, 'Renamed by the test');
+
+  const emptyTitle = await fetch(`${baseUrl}/api/conversations/${conversationId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: ' ' })
+  });
+  assert.equal(emptyTitle.status, 400);
+
+  const fetched = await (await fetch(`${baseUrl}/api/conversations/${conversationId}`)).json();
+  assert.equal(fetched.title, 'Renamed by the test');
+  assert.equal(fetched.messages[0].role, 'user');
+
+  assert.equal((await fetch(`${baseUrl}/api/conversations/not-a-uuid`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/conversations/${conversationId}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await fetch(`${baseUrl}/api/conversations/${conversationId}`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/conversations/${conversationId}`, { method: 'DELETE' })).status, 404);
+
+  // Continuing a deleted conversation starts a new one
+  const restarted = await chat(baseUrl, { message: scenario.message, conversationId });
+  assert.notEqual(restarted.conversationId, conversationId);
+  console.log('OK: listed, renamed, fetched and deleted');
+  return restarted.conversationId;
+}
+
+/**
+ * Run a scenario through /api/chat/stream
+ */
+async function testStreaming(baseUrl, scenario, conversationIds) {
+  console.log(`\n--- Streaming: ${scenario.name} ---`);
+  const events = await chatStream(baseUrl, { message: scenario.message });
+  const done = events.find(e => e.event === 'done');
+  assert.ok(done, `No done event: ${JSON.stringify(events)}`);
+  conversationIds.push(done.data.conversationId);
+
+  const starts = events.filter(e => e.event === 'tool_start').map(e => ({ name: e.data.name, args: e.data.args }));
+  assert.deepEqual(starts, scenario.expect.toolCalls.map(call => ({ name: call.name, args: call.args })));
+  assert.equal(events.filter(e => e.event === 'tool_end').length, starts.length);
+
+  const streamedText = events.filter(e => e.event === 'token').map(e => e.data.content).join('');
+  assert.ok(streamedText.endsWith(done.data.message), 'The final answer was not streamed');
+  assertToolCalls(done.data.trace, scenario.expect.toolCalls);
+
+  // Events arrive as they happen: the model's first words, the tool calls, the answer, then done
+  const order = events.map(e => e.event);
+  const lastToolEnd = order.lastIndexOf('tool_end');
+  assert.ok(order.indexOf('token') < order.indexOf('tool_start'), `No token before the first tool call: ${order.join(', ')}`);
+  assert.ok(order.lastIndexOf('token') > lastToolEnd, `The answer was not streamed after the tool calls: ${order.join(', ')}`);
+  assert.equal(order.indexOf('done'), order.length - 1, 'done is not the last event');
+  events.forEach((e, index) => {
+    if (e.event === 'tool_end') {
+      const start = events.findIndex(other => other.event === 'tool_start' && other.data.id === e.data.id);
+      assert.ok(start >= 0 && start < index, `${e.data.name} ended before it started`);
+    }
+  });
+  console.log(`OK: ${events.length} events in order`);
+}
+
+/**
+ * Close a stream while the agent is working, and check that the agent stops
+ *
+ * The scenario's model waits before its second tool call: the client leaves
+ * after the first tool call, so neither the second call nor the saving of the
+ * conversation may happen.
+ */
+async function testStreamCancellation(baseUrl, scenario) {
+  console.log(`\n--- Stream cancellation: ${scenario.name} ---`);
+  const listIds = async () => (await (await fetch(`${baseUrl}/api/conversations?limit=200`)).json()).conversations.map(c => c.id);
+  const before = await listIds();
+
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: scenario.message }),
+    signal: controller.signal
+  });
+  assert.equal(response.status, 200, 'POST /api/chat/stream failed');
+
+  // Read events until the first tool call ends, then leave
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      events.push(...blocks.filter(Boolean).map(parseEvent));
+      if (events.some(e => e.event === 'tool_end')) {
+        controller.abort();
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+  assert.deepEqual(events.filter(e => e.event === 'tool_start').map(e => e.data.name), [scenario.expect.toolCalls[0].name]);
+
+  // Wait longer than the model's delay: a running agent would have finished and saved the turn
+  const delayMs = Math.max(...scenario.turns.map(turn => turn.delayMs ?? 0));
+  await new Promise(resolve => setTimeout(resolve, delayMs + 1000));
+  assert.deepEqual(await listIds(), before, 'The cancelled turn was saved');
+  console.log('OK: the agent stopped when the client left');
+}
+
+/**
+ * Check that unknown providers are rejected
+ */
+async function testProviderSelection(baseUrl) {
+  console.log('\n--- Provider selection ---');
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'Hello', provider: 'unknown' })
+  });
+  assert.equal(response.status, 400);
+  console.log('OK: unknown provider rejected');
+}
+
+/**
+ * Main function to run the tests
+ */
+async function main() {
+  const { scenarios } = loadFakeFixtures(fixturesPath);
+  const { server, dbPool, mcpClient } = await initializeApp();
+  await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const conversationIds = [];
+
+  try {
+    await testScenarios(baseUrl, scenarios, conversationIds);
+    await testConversation(baseUrl, scenarios, conversationIds);
+    conversationIds.push(await testConversationEndpoints(baseUrl, scenarios[0]));
+    await testStreaming(baseUrl, scenarios.find(s => s.expect.toolCalls.length > 1), conversationIds);
+    await testStreamCancellation(baseUrl, scenarios.find(s => s.turns.some(turn => turn.delayMs)));
+    await testProviderSelection(baseUrl);
+    console.log('\nAll end-to-end chat tests passed');
+  } finally {
+    // Remove the conversations created by the tests
+    for (const id of conversationIds) {
+      await fetch(`${baseUrl}/api/conversations/${id}`, { method: 'DELETE' });
+    }
+    await new Promise(resolve => server.close(resolve));
+    await mcpClient.close();
+    await dbPool.end();
+  }
+}
+
+// Run the tests
+try {
+  await main();
+  process.exit(0);
+} catch (error) {
+  console.error(`\nEnd-to-end chat test failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the chat context budget
+ *
+ * Checks which workflows are picked for a message, how resources are cut to
+ * their budget, and that the knowledge and workflow sections stay within the
+ * configured token budget. No database, MCP server or LLM API is needed.
+ */
+
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  getContextConfig,
+  truncateToTokens,
+  selectRelevantPrompts,
+  buildContext
+} from '../src/context.js';
+
+// The workflows of the MCP server, with stand-in content
+const PROMPTS = [
+  { name: 'analyze_monster_weakness', description: "Structured workflow to analyze a monster's weaknesses and find effective counter-strategies" },
+  { name: 'compare_monsters', description: 'Detailed comparison framework for analyzing matchups between two monsters' },
+  { name: 'explore_habitat', description: 'Ecosystem analysis workflow for exploring a habitat and understanding its monster population' },
+  { name: 'build_team', description: 'Team composition strategy workflow for building an optimal monster team' }
+].map(prompt => ({ ...prompt, content: steps(prompt.name, 40) }));
+
+/**
+ * Numbered lines of text
+ * @param {string} label - Text of each line
+ * @param {number} count - Number of lines
+ * @returns {string} Text
+ */
+function steps(label, count) {
+  return Array.from({ length: count }, (_, i) => `${i + 1}. ${label}: step with some detail to follow`).join('\n');
+}
+
+/**
+ * A resource with the given number of content lines
+ * @param {string} name - Resource name
+ * @param {number} lines - Number of content lines
+ * @returns {Object} Resource { uri, name, description, content }
+ */
+function resource(name, lines) {
+  return { uri: `ragmonsters://${name}`, name, description: `The ${name} of RAGmonsters`, content: steps(name, lines) };
+}
+
+/**
+ * Workflows are picked by the significant words of the message
+ */
+function testSelectRelevantPrompts() {
+  const select = (message, max = 2) => selectRelevantPrompts(PROMPTS, message, max).map(prompt => prompt.name);
+
+  assert.equal(select("What are Flameburst's weaknesses?")[0], 'analyze_monster_weakness');
+  assert.equal(select('Compare Flameburst and Aquaclaw')[0], 'compare_monsters');
+  assert.equal(select('Which monsters live in the Volcanic habitat?')[0], 'explore_habitat');
+  assert.equal(select('Build me a team to beat Flameburst')[0], 'build_team');
+
+  // Words found in every workflow do not pick one
+  assert.deepEqual(select('Tell me about monsters'), []);
+  assert.deepEqual(select('Hi, how are you?'), [], 'Short and stop words are ignored');
+  assert.deepEqual(select("What are Flameburst's weaknesses?", 0), []);
+  assert.ok(select('Compare the weaknesses of two monsters and build a team', 2).length <= 2);
+  console.log('✅ Relevant workflows are selected');
+}
+
+/**
+ * Text is cut at a line boundary within the token limit
+ */
+function testTruncateToTokens() {
+  const text = steps('line', 10);
+  assert.deepEqual(truncateToTokens(text, estimateTokens(text)), { text, truncated: false, keptLines: 10, totalLines: 10 });
+
+  const cut = truncateToTokens(text, 30);
+  assert.equal(cut.truncated, true);
+  assert.equal(cut.totalLines, 10);
+  assert.ok(cut.keptLines > 0 && cut.keptLines < 10);
+  assert.equal(cut.text, text.split('\n').slice(0, cut.keptLines).join('\n'), 'Only whole lines are kept');
+  assert.ok(estimateTokens(cut.text) <= 30);
+
+  assert.equal(truncateToTokens(text, 0).text, '');
+  assert.equal(truncateToTokens(text, -5).text, '', 'A negative limit keeps nothing');
+  console.log('✅ Text is truncated on line boundaries');
+}
+
+/**
+ * The context stays within the budget, and each resource is reported once
+ */
+function testBudget() {
+  const resources = [resource('schema', 5), resource('categories', 300), resource('habitats', 300), resource('subcategories', 300)];
+  const message = "What are Flameburst's weaknesses and how does it compare to Aquaclaw?";
+
+  for (const budgetTokens of [300, 600, 1000, 1500, 3000, 6000]) {
+    for (const resourceTokens of [100, 600]) {
+      const config = { ...getContextConfig({}), budgetTokens, resourceTokens };
+      const context = buildContext({ resources, prompts: PROMPTS, userMessage: message, config });
+
+      assert.equal(context.tokens, estimateTokens(context.text));
+      assert.ok(context.tokens <= budgetTokens, `${context.tokens} tokens exceed the budget of ${budgetTokens}`);
+
+      const reported = [...context.included, ...context.truncated, ...context.listed];
+      assert.deepEqual(reported.sort(), resources.map(r => r.uri).sort(), 'Every resource is reported exactly once');
+      assert.ok(context.prompts.length <= config.maxPrompts);
+    }
+  }
+  console.log('✅ Context stays within the budget');
+}
+
+/**
+ * Large resources are truncated with a hint, and resources beyond the budget are listed
+ */
+function testResourceReport() {
+  const small = resource('schema', 5);
+  const large = resource('categories', 300);
+  const extra = resource('habitats', 300);
+  const config = { budgetTokens: 520, resourceTokens: 400, maxPrompts: 0 };
+
+  const context = buildContext({ resources: [small, large, extra], prompts: PROMPTS, userMessage: 'weaknesses', config });
+  assert.deepEqual(context.included, [small.uri]);
+  assert.deepEqual(context.truncated, [large.uri]);
+  assert.deepEqual(context.listed, [extra.uri]);
+  assert.deepEqual(context.prompts, []);
+
+  assert.ok(context.text.includes(small.content), 'Small resources are included whole');
+  assert.ok(context.text.includes(`${large.description}\n1. categories:`), 'Truncated resources start with their description');
+  assert.match(context.text, /\(first \d+ of 300 lines; call readResource with uri "ragmonsters:\/\/categories" for the rest\)/);
+  assert.ok(context.text.includes(`Also available through readResource:\n- habitats (\`${extra.uri}\`): ${extra.description}\n`));
+  assert.ok(!context.text.includes('3. habitats:'), 'Listed resources carry no content');
+
+  // With room to spare nothing is cut
+  const roomy = buildContext({ resources: [small, large], prompts: [], config: { budgetTokens: 20000, resourceTokens: 20000, maxPrompts: 2 } });
+  assert.deepEqual(roomy.included, [small.uri, large.uri]);
+  assert.deepEqual(roomy.truncated, []);
+  assert.deepEqual(roomy.listed, []);
+
+  assert.deepEqual(buildContext({ resources: [], prompts: [], config }), { text: '', tokens: 0, included: [], truncated: [], listed: [], prompts: [] });
+  console.log('✅ Truncated and listed resources are reported');
+}
+
+/**
+ * Selected workflows come first and are cut to half the budget
+ */
+function testWorkflows() {
+  const config = { budgetTokens: 800, resourceTokens: 600, maxPrompts: 2 };
+  const context = buildContext({ resources: [resource('schema', 300)], prompts: PROMPTS, userMessage: "What are Flameburst's weaknesses?", config });
+
+  assert.equal(context.prompts[0], 'analyze_monster_weakness');
+  assert.ok(context.text.includes('## Relevant Workflows (MCP Prompts)'));
+  assert.ok(context.text.includes('(workflow truncated)'));
+  const workflow = context.text.slice(context.text.indexOf('### analyze_monster_weakness'));
+  assert.ok(estimateTokens(workflow.split('---')[0]) <= config.budgetTokens / 2 + 50);
+  console.log('✅ Workflows are included within half the budget');
+}
+
+// Run the tests
+try {
+  testSelectRelevantPrompts();
+  testTruncateToTokens();
+  testBudget();
+  testResourceReport();
+  testWorkflows();
+  console.log('\nAll context tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nContext test failed: ${error.message}`);
+  process.exit(1);
+}
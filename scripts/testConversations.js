@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the conversation storage
+ *
+ * Exercises the in-memory store (ownership, expiry, caps), message capping and
+ * serialization, saving a turn whose conversation disappeared while the agent
+ * ran, and the conversation endpoints without authentication. No database or
+ * LLM API is needed.
+ */
+
+import assert from 'node:assert/strict';
+import express from 'express';
+import { AIMessage, HumanMessage, SystemMessage, ToolMessage } from '@langchain/core/messages';
+import {
+  capMessages,
+  serializeMessages,
+  deserializeMessages,
+  toApiMessages,
+  defaultTitle,
+  isConversationId,
+  saveConversation
+} from '../src/conversations/index.js';
+import { createMemoryConversationStore } from '../src/conversations/memory.js';
+import { createConversationRouter } from '../src/conversations/routes.js';
+import { createAuthMiddleware } from '../src/auth.js';
+
+/**
+ * A turn: question, tool call, tool result and answer
+ * @param {number} index - Turn number
+ * @returns {Array} LangChain messages
+ */
+function turn(index) {
+  return [
+    new HumanMessage(`Question ${index}`),
+    new AIMessage({ content: '', tool_calls: [{ id: `call_${index}`, name: 'getMonsterByName', args: { name: `Monster ${index}` } }] }),
+    new ToolMessage({ content: `Result ${index}`, tool_call_id: `call_${index}`, name: 'getMonsterByName' }),
+    new AIMessage(`Answer ${index}`)
+  ];
+}
+
+/**
+ * Create a memory store with a controllable clock
+ * @param {Object} [options] - Store configuration overrides
+ * @returns {Object} { store, clock }
+ */
+function createStore(options = {}) {
+  const clock = { now: Date.UTC(2026, 0, 1) };
+  const store = createMemoryConversationStore({
+    ttlMs: 60 * 60 * 1000,
+    maxMessages: 200,
+    maxPerOwner: 100,
+    now: () => clock.now,
+    ...options
+  });
+  return { store, clock };
+}
+
+/**
+ * Old turns are dropped whole, leading system messages are kept
+ */
+function testCapMessages() {
+  const messages = [new SystemMessage('System'), ...turn(1), ...turn(2), ...turn(3)];
+  assert.equal(capMessages(messages, 20), messages, 'Short histories are returned unchanged');
+
+  const capped = capMessages(messages, 7);
+  assert.equal(capped[0].content, 'System');
+  assert.equal(capped[1]._getType(), 'human', 'The history restarts on a user message');
+  assert.deepEqual(capped.slice(1).map(m => m.content), turn(3).map(m => m.content));
+
+  // A turn that does not fit on its own leaves only the system messages
+  assert.deepEqual(capMessages(messages, 3).map(m => m.content), ['System']);
+  console.log('✅ capMessages drops whole turns');
+}
+
+/**
+ * Messages survive a round trip through storage, and the API omits system messages
+ */
+function testSerialization() {
+  const messages = [new SystemMessage('System'), ...turn(1)];
+  const restored = deserializeMessages(JSON.parse(JSON.stringify(serializeMessages(messages))));
+  assert.deepEqual(restored.map(m => m._getType()), ['system', 'human', 'ai', 'tool', 'ai']);
+  assert.equal(restored[2].tool_calls[0].name, 'getMonsterByName');
+  assert.equal(restored[3].tool_call_id, 'call_1');
+
+  const api = toApiMessages(restored);
+  assert.deepEqual(api.map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+  assert.deepEqual(api[1].toolCalls, [{ name: 'getMonsterByName', args: { name: 'Monster 1' } }]);
+  assert.equal(api[2].name, 'getMonsterByName');
+
+  assert.equal(defaultTitle('  Which   monsters live in the ocean?  '), 'Which monsters live in the ocean?');
+  assert.equal(defaultTitle('x'.repeat(80)).length, 60);
+  assert.equal(defaultTitle('   '), 'New conversation');
+  console.log('✅ Messages serialize and convert for the API');
+}
+
+/**
+ * Conversations belong to their owner and expire after their TTL
+ */
+async function testMemoryStore() {
+  const { store, clock } = createStore();
+  const conversation = await store.create({ owner: 'alice', title: 'First', messages: turn(1) });
+  assert.ok(isConversationId(conversation.id));
+
+  assert.ok(await store.get(conversation.id, { owner: 'alice' }));
+  assert.equal(await store.get(conversation.id, { owner: 'bob' }), null, 'Other owners cannot read it');
+  assert.equal(await store.get(conversation.id), null, 'Anonymous callers cannot read it');
+  assert.equal(await store.replaceMessages(conversation.id, turn(2), { owner: 'bob' }), null);
+  assert.equal(await store.rename(conversation.id, 'Stolen', { owner: 'bob' }), null);
+  assert.equal(await store.remove(conversation.id, { owner: 'bob' }), false);
+
+  const renamed = await store.rename(conversation.id, 'Renamed', { owner: 'alice' });
+  assert.equal(renamed.title, 'Renamed');
+  assert.equal(renamed.messageCount, 4);
+  assert.equal(renamed.messages, undefined, 'Summaries carry no messages');
+
+  // Every write extends the TTL
+  clock.now += 50 * 60 * 1000;
+  const updated = await store.replaceMessages(conversation.id, [...turn(1), ...turn(2)], { owner: 'alice' });
+  assert.equal(updated.messages.length, 8);
+  clock.now += 50 * 60 * 1000;
+  assert.ok(await store.get(conversation.id, { owner: 'alice' }), 'The update extended the TTL');
+
+  clock.now += 11 * 60 * 1000;
+  assert.equal(await store.get(conversation.id, { owner: 'alice' }), null, 'Expired conversations are hidden');
+  assert.equal(await store.replaceMessages(conversation.id, turn(3), { owner: 'alice' }), null, 'Expired conversations are not updated');
+  assert.deepEqual(await store.list({ owner: 'alice' }), []);
+  assert.equal(await store.purgeExpired(), 1);
+  console.log('✅ Memory store enforces ownership and expiry');
+}
+
+/**
+ * Stores cap messages per conversation and conversations per owner
+ */
+async function testStoreCaps() {
+  const { store, clock } = createStore({ maxMessages: 6, maxPerOwner: 2 });
+  const capped = await store.create({ owner: null, title: 'Capped', messages: [...turn(1), ...turn(2)] });
+  assert.deepEqual(capped.messages.map(m => m.content), turn(2).map(m => m.content));
+
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    clock.now += 1000;
+    ids.push((await store.create({ owner: 'alice', title: `Conversation ${i}`, messages: turn(i) })).id);
+  }
+  const listed = await store.list({ owner: 'alice' });
+  assert.deepEqual(listed.map(c => c.id), [ids[2], ids[1]], 'The oldest conversation was evicted, newest first');
+  assert.equal((await store.list({ owner: 'alice', limit: 1 })).length, 1);
+  assert.equal((await store.list({})).length, 1, 'Anonymous conversations are listed separately');
+  console.log('✅ Memory store caps messages and conversations');
+}
+
+/**
+ * A turn is saved even if its conversation disappeared while the agent ran
+ */
+async function testSaveConversation() {
+  const { store } = createStore();
+
+  const created = await saveConversation(store, { existing: null, owner: 'alice', message: 'Tell me about Flameburst', messages: turn(1) });
+  assert.equal(created.title, 'Tell me about Flameburst');
+
+  const existing = await store.get(created.id, { owner: 'alice' });
+  const continued = await saveConversation(store, { existing, owner: 'alice', message: 'And its weakness?', messages: [...turn(1), ...turn(2)] });
+  assert.equal(continued.id, created.id);
+  assert.equal(continued.messages.length, 8);
+
+  // The conversation is deleted (or purged) after it was loaded, before the turn is saved
+  const loaded = await store.get(created.id, { owner: 'alice' });
+  await store.remove(created.id, { owner: 'alice' });
+  const saved = await saveConversation(store, { existing: loaded, owner: 'alice', message: 'One more', messages: [...turn(1), ...turn(2), ...turn(3)] });
+  assert.notEqual(saved.id, created.id, 'The turn was saved as a new conversation');
+  assert.equal(saved.title, 'Tell me about Flameburst', 'The new conversation keeps the title');
+  assert.equal(saved.messages.length, 12);
+  assert.ok(await store.get(saved.id, { owner: 'alice' }));
+  console.log('✅ Turns of a vanished conversation are saved as a new one');
+}
+
+/**
+ * Without authentication, anonymous clients only reach their own conversations
+ */
+async function testAnonymousEndpoints() {
+  const { store } = createStore({ maxPerOwner: 2 });
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use('/api/conversations', createConversationRouter({ store, auth: createAuthMiddleware([]) }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const base = `http://127.0.0.1:${server.address().port}/api/conversations`;
+    const as = (address, path = '', init = {}) => fetch(`${base}${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address, ...init.headers }
+    });
+
+    const mine = await saveConversation(store, { existing: null, owner: 'ip:203.0.113.1', message: 'Mine', messages: turn(1) });
+    const theirs = await saveConversation(store, { existing: null, owner: 'ip:203.0.113.2', message: 'Theirs', messages: turn(1) });
+
+    const listed = await (await as('203.0.113.1')).json();
+    assert.deepEqual(listed.conversations.map(c => c.id), [mine.id]);
+    assert.equal((await as('203.0.113.1', `/${mine.id}`)).status, 200);
+
+    assert.equal((await as('203.0.113.1', `/${theirs.id}`)).status, 404);
+    const rename = await as('203.0.113.1', `/${theirs.id}`, { method: 'PATCH', body: JSON.stringify({ title: 'Stolen' }) });
+    assert.equal(rename.status, 404);
+    assert.equal((await as('203.0.113.1', `/${theirs.id}`, { method: 'DELETE' })).status, 404);
+    assert.equal((await store.get(theirs.id, { owner: 'ip:203.0.113.2' })).title, 'Theirs', 'The other conversation is untouched');
+
+    // Each address has its own maxPerOwner budget
+    await saveConversation(store, { existing: null, owner: 'ip:203.0.113.1', message: 'Second', messages: turn(1) });
+    await saveConversation(store, { existing: null, owner: 'ip:203.0.113.1', message: 'Third', messages: turn(1) });
+    assert.ok(await store.get(theirs.id, { owner: 'ip:203.0.113.2' }), 'One client cannot evict another\'s conversations');
+    assert.equal((await as('203.0.113.2', `/${theirs.id}`, { method: 'DELETE' })).status, 204);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  console.log('✅ Anonymous clients only see their own conversations');
+}
+
+// Run the tests
+try {
+  testCapMessages();
+  testSerialization();
+  await testMemoryStore();
+  await testStoreCaps();
+  await testSaveConversation();
+  await testAnonymousEndpoints();
+  console.log('\nAll conversation tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nConversation test failed: ${error.message}`);
+  process.exit(1);
+}
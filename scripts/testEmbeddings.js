@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the semantic search building blocks
+ *
+ * Checks the local hashing embedder, cosine ranking, the per-monster ranking
+ * of chunks and the chunker. No database, network or API key is needed.
+ */
+
+import assert from 'node:assert/strict';
+import { createLocalEmbedder, embedText } from '../src/mcp-server/embeddings/local.js';
+import { createOpenAIEmbedder } from '../src/mcp-server/embeddings/openai.js';
+import { chunkText, chunkMonster, EMBEDDED_FIELDS } from '../src/mcp-server/embeddings/chunker.js';
+import { cosineSimilarity, bestChunkPerMonster } from '../src/mcp-server/embeddings/store.js';
+
+/**
+ * The local embedder always returns the same normalised vector of the configured size
+ */
+async function testLocalEmbedder() {
+  const text = 'A fiery dragon that breathes flames over volcanic plains.';
+  assert.deepEqual(embedText(text, 256), embedText(text, 256));
+
+  for (const dimensions of [64, 256, 1024]) {
+    const embedder = createLocalEmbedder({ dimensions });
+    assert.equal(embedder.model, `hashing-${dimensions}`);
+    const [first, second] = await embedder.embed([text, text]);
+    assert.equal(first.length, dimensions);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9, 'Vectors are L2-normalised');
+  }
+
+  // Empty texts give a zero vector rather than NaN
+  assert.ok(embedText('', 32).every(value => value === 0));
+  console.log('✅ Local embedder is deterministic and sized');
+}
+
+/**
+ * Vectors of different sizes are stored under different model keys
+ */
+function testModelKeys() {
+  const options = { model: 'text-embedding-3-small', apiKey: 'test', baseURL: 'http://localhost' };
+  assert.equal(createOpenAIEmbedder(options).model, 'text-embedding-3-small');
+  assert.equal(createOpenAIEmbedder({ ...options, dimensions: 512 }).model, 'text-embedding-3-small@512');
+  assert.notEqual(createLocalEmbedder({ dimensions: 128 }).model, createLocalEmbedder({ dimensions: 256 }).model);
+  console.log('✅ Model keys include the vector size');
+}
+
+/**
+ * Related texts rank above unrelated ones
+ */
+function testCosineRanking() {
+  assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+
+  const query = embedText('monster that breathes fire', 256);
+  const texts = [
+    'A gentle fish swimming in cold, deep water.',
+    'It breathes fire and burns everything in its path.',
+    'A ghost drifting through abandoned castles at night.'
+  ];
+  const ranked = texts
+    .map(text => ({ text, similarity: cosineSimilarity(query, embedText(text, 256)) }))
+    .sort((a, b) => b.similarity - a.similarity);
+  assert.equal(ranked[0].text, texts[1]);
+  console.log('✅ Cosine similarity ranks related texts first');
+}
+
+/**
+ * Each monster keeps only its best chunk, so one monster cannot fill the results
+ */
+function testBestChunkPerMonster() {
+  const chunks = [
+    { embedding_id: 1, monster_id: 1, similarity: 0.9 },
+    { embedding_id: 2, monster_id: 1, similarity: 0.95 },
+    { embedding_id: 3, monster_id: 1, similarity: 0.8 },
+    { embedding_id: 4, monster_id: 2, similarity: 0.5 },
+    { embedding_id: 5, monster_id: 3, similarity: 0.7 },
+    { embedding_id: 6, monster_id: 3, similarity: 0.7 }
+  ];
+  const best = bestChunkPerMonster(chunks);
+  assert.deepEqual(best.map(chunk => chunk.embedding_id), [2, 5, 4]);
+  console.log('✅ Chunks are ranked per monster');
+}
+
+/**
+ * Chunks stay within the size limit and repeat the overlapping sentences
+ */
+function testChunker() {
+  assert.deepEqual(chunkText(''), []);
+  assert.deepEqual(chunkText('  Short   text.  '), ['Short text.']);
+
+  const sentences = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} describes the monster in some detail.`);
+  const text = sentences.join(' ');
+
+  for (const overlapSentences of [0, 1, 2]) {
+    const chunks = chunkText(text, { maxChars: 200, overlapSentences });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(chunk.length <= 200, `Chunk of ${chunk.length} characters exceeds 200`);
+    }
+
+    for (let i = 1; i < chunks.length; i++) {
+      const previous = chunks[i - 1].match(/[^.]+\./g).map(s => s.trim());
+      const current = chunks[i].match(/[^.]+\./g).map(s => s.trim());
+      assert.deepEqual(current.slice(0, overlapSentences), previous.slice(previous.length - overlapSentences));
+      // The chunk after the overlap starts with new text
+      assert.notEqual(current[overlapSentences], previous[previous.length - 1]);
+    }
+
+    // Every sentence is kept
+    const covered = new Set(chunks.flatMap(chunk => chunk.match(/[^.]+\./g).map(s => s.trim())));
+    assert.equal(covered.size, sentences.length);
+  }
+
+  // A sentence longer than the limit is kept whole, and not repeated as overlap
+  const long = 'x'.repeat(300) + '.';
+  assert.deepEqual(chunkText(`${long} Short one.`, { maxChars: 200 }), [long, 'Short one.']);
+
+  const monsterChunks = chunkMonster({ name: 'Flameburst', appearance: 'Red scales.', weakness: 'Water.' });
+  assert.deepEqual(monsterChunks.map(chunk => chunk.field), EMBEDDED_FIELDS.filter(field => ['appearance', 'weakness'].includes(field)));
+  assert.ok(monsterChunks.every(chunk => chunk.content.startsWith('Flameburst: ')));
+  console.log('✅ Chunker respects size and overlap');
+}
+
+// Run the tests
+try {
+  await testLocalEmbedder();
+  testModelKeys();
+  testCosineRanking();
+  testBestChunkPerMonster();
+  testChunker();
+  console.log('\nAll embedding tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nEmbedding test failed: ${error.message}`);
+  process.exit(1);
+}
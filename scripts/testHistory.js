@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the history compaction
+ *
+ * Checks which turns are sent to the agent verbatim, which tool results are
+ * elided, how older turns are folded into the rolling summary, and that the
+ * stored transcript keeps every message. No database or LLM API is needed.
+ */
+
+import assert from 'node:assert/strict';
+import { AIMessage, HumanMessage, SystemMessage, ToolMessage } from '@langchain/core/messages';
+import {
+  compactHistory,
+  isSummaryMessage,
+  countTurns,
+  toStoredSummary,
+  fromStoredSummary,
+  saveConversation
+} from '../src/conversations/index.js';
+import { createMemoryConversationStore } from '../src/conversations/memory.js';
+
+const CONFIG = { maxTurns: 3, maxTokens: 6000, keepToolResultTurns: 1, elideMinChars: 400, summary: 'extractive' };
+
+/**
+ * A turn: question, tool call, tool result and answer
+ * @param {number} index - Turn number
+ * @param {number} [resultChars=20] - Length of the tool result
+ * @returns {Array} LangChain messages
+ */
+function turn(index, resultChars = 20) {
+  return [
+    new HumanMessage(`Question ${index}`),
+    new AIMessage({ content: '', tool_calls: [{ id: `call_${index}`, name: 'getMonsterByName', args: { name: `Monster ${index}` } }] }),
+    new ToolMessage({ content: `Result ${index} `.padEnd(resultChars, 'x'), tool_call_id: `call_${index}`, name: 'getMonsterByName' }),
+    new AIMessage(`Answer ${index}`)
+  ];
+}
+
+/**
+ * Messages of several turns
+ * @param {number} count - Number of turns
+ * @param {number} [resultChars] - Length of the tool results
+ * @returns {Array} LangChain messages
+ */
+function turns(count, resultChars) {
+  return Array.from({ length: count }, (_, i) => turn(i + 1, resultChars)).flat();
+}
+
+/**
+ * A summariser that records what it was asked to fold
+ * @returns {Function} Summariser with a calls array
+ */
+function recordingSummarizer() {
+  const summarize = async (previousSummary, messages) => {
+    summarize.calls.push(messages.filter(m => m._getType() === 'human').map(m => m.content));
+    return [previousSummary, ...messages.filter(m => m._getType() === 'human').map(m => `- ${m.content}`)].filter(Boolean).join('\n');
+  };
+  summarize.calls = [];
+  return summarize;
+}
+
+/**
+ * Questions of the turns kept verbatim
+ * @param {Array} messages - Compacted messages
+ * @returns {Array<string>} Questions
+ */
+function questions(messages) {
+  return messages.filter(m => m._getType() === 'human').map(m => m.content);
+}
+
+/**
+ * Short histories are sent unchanged
+ */
+async function testShortHistory() {
+  const messages = turns(2);
+  const compacted = await compactHistory(messages, { config: CONFIG, summarize: recordingSummarizer() });
+  assert.deepEqual(compacted.messages, messages);
+  assert.equal(compacted.summary, null);
+  assert.equal(compacted.summarizedTurns, 0);
+  assert.equal(compacted.elidedResults, 0);
+  assert.deepEqual((await compactHistory([], { config: CONFIG })).messages, []);
+  console.log('✅ Short histories are kept as they are');
+}
+
+/**
+ * Bulky tool results are elided once answered, except in the latest turns
+ */
+async function testElision() {
+  const messages = turns(3, 500);
+  const compacted = await compactHistory(messages, { config: CONFIG });
+  const results = compacted.messages.filter(m => m._getType() === 'tool');
+
+  assert.equal(compacted.elidedResults, 2);
+  assert.match(results[0].content, /^\[Result elided after it was answered \(500 characters\)\. Call getMonsterByName again/);
+  assert.equal(results[0].tool_call_id, 'call_1', 'Elided results stay linked to their tool call');
+  assert.equal(results[2].content.length, 500, 'The latest turn keeps its result');
+  assert.equal(messages[2].content.length, 500, 'The input messages are not modified');
+
+  const small = await compactHistory(turns(3, 100), { config: CONFIG });
+  assert.equal(small.elidedResults, 0, 'Short results are kept');
+  console.log('✅ Answered tool results are elided');
+}
+
+/**
+ * Older turns are folded into the summary, the latest are kept verbatim
+ */
+async function testSummary() {
+  const summarize = recordingSummarizer();
+  const compacted = await compactHistory(turns(5), { config: CONFIG, summarize });
+
+  assert.deepEqual(summarize.calls, [['Question 1', 'Question 2']]);
+  assert.equal(compacted.summarizedTurns, 2);
+  assert.deepEqual(compacted.summary, { text: '- Question 1\n- Question 2', turns: 2 });
+  assert.ok(isSummaryMessage(compacted.messages[0]));
+  assert.match(compacted.messages[0].content, /^Summary of the earlier conversation:\n- Question 1/);
+  assert.deepEqual(questions(compacted.messages), ['Question 3', 'Question 4', 'Question 5']);
+
+  // Without a summariser older turns are dropped
+  const dropped = await compactHistory(turns(5), { config: CONFIG, summarize: null });
+  assert.equal(dropped.summary, null);
+  assert.deepEqual(questions(dropped.messages), ['Question 3', 'Question 4', 'Question 5']);
+  assert.ok(!dropped.messages.some(isSummaryMessage));
+
+  // The token limit drops turns too, but always keeps the latest
+  const tight = await compactHistory(turns(3, 100), { config: { ...CONFIG, maxTokens: 1 }, summarize: recordingSummarizer() });
+  assert.deepEqual(questions(tight.messages), ['Question 3']);
+  assert.equal(tight.summarizedTurns, 2);
+  console.log('✅ Older turns are folded into the rolling summary');
+}
+
+/**
+ * Turns already in the summary are not summarised again
+ */
+async function testIncrementalSummary() {
+  const summarize = recordingSummarizer();
+  const first = await compactHistory(turns(5), { config: CONFIG, summarize });
+
+  // Next message: the stored transcript gained a turn, the summary still covers two turns
+  const transcript = turns(6);
+  const second = await compactHistory(transcript, { config: CONFIG, summarize, summary: first.summary });
+  assert.deepEqual(summarize.calls, [['Question 1', 'Question 2'], ['Question 3']]);
+  assert.deepEqual(second.summary, { text: '- Question 1\n- Question 2\n- Question 3', turns: 3 });
+  assert.deepEqual(questions(second.messages), ['Question 4', 'Question 5', 'Question 6']);
+
+  // Nothing new to fold: the summary is reused as it is
+  const third = await compactHistory(transcript, { config: CONFIG, summarize, summary: second.summary });
+  assert.equal(summarize.calls.length, 2);
+  assert.equal(third.summarizedTurns, 0);
+  assert.deepEqual(third.summary, second.summary);
+
+  // Conversations stored before summaries were kept apart lead with a summary message
+  const legacy = [new SystemMessage({ content: 'Summary of the earlier conversation:\nOld summary', name: 'conversation_summary' }), ...turns(4)];
+  const upgraded = await compactHistory(legacy, { config: CONFIG, summarize: recordingSummarizer() });
+  assert.deepEqual(upgraded.summary, { text: 'Old summary\n- Question 1', turns: 1 });
+  console.log('✅ Summaries are updated incrementally');
+}
+
+/**
+ * Stored summaries count their turns from the end, so trimming old messages keeps them valid
+ */
+function testStoredSummary() {
+  const transcript = turns(6);
+  assert.equal(countTurns([new SystemMessage('System'), ...transcript]), 6);
+
+  const stored = toStoredSummary(transcript, { text: 'Summary', turns: 4 });
+  assert.deepEqual(stored, { text: 'Summary', unsummarizedTurns: 2 });
+  assert.deepEqual(fromStoredSummary(transcript, stored), { text: 'Summary', turns: 4 });
+
+  // The store trimmed the first three turns: the summary now covers one of the remaining turns
+  assert.deepEqual(fromStoredSummary(turns(6).slice(12), stored), { text: 'Summary', turns: 1 });
+  assert.equal(toStoredSummary(transcript, null), null);
+  assert.equal(fromStoredSummary(transcript, null), null);
+  console.log('✅ Stored summaries survive trimming');
+}
+
+/**
+ * Saving a turn keeps the whole transcript, whatever was sent to the agent
+ */
+async function testFullTranscript() {
+  const store = createMemoryConversationStore({ ttlMs: 60 * 60 * 1000, maxMessages: 200, maxPerOwner: 100 });
+  const summarize = recordingSummarizer();
+
+  // Simulate the chat endpoint over eight turns: compact, run the agent, save
+  let existing = null;
+  for (let i = 1; i <= 8; i++) {
+    const transcript = existing ? existing.messages : [];
+    const compacted = await compactHistory(transcript, { config: CONFIG, summarize, summary: fromStoredSummary(transcript, existing?.summary ?? null) });
+    const history = [new SystemMessage('System prompt'), ...compacted.messages];
+    const allMessages = [...history, ...turn(i)];
+    const messages = [...transcript, ...allMessages.slice(history.length)];
+
+    existing = await saveConversation(store, {
+      existing,
+      owner: 'alice',
+      message: `Question ${i}`,
+      messages,
+      summary: toStoredSummary(messages, compacted.summary)
+    });
+  }
+
+  assert.equal(existing.messages.length, 32, 'Every message of every turn is stored');
+  assert.deepEqual(questions(existing.messages), Array.from({ length: 8 }, (_, i) => `Question ${i + 1}`));
+  assert.ok(!existing.messages.some(m => m._getType() === 'system'), 'Neither the system prompt nor the summary is stored as a message');
+  assert.equal(existing.messages[2].content.length, 20, 'Stored tool results are not elided');
+
+  // Each turn was summarised once
+  assert.deepEqual(summarize.calls.flat(), ['Question 1', 'Question 2', 'Question 3', 'Question 4']);
+  assert.deepEqual(existing.summary, { text: '- Question 1\n- Question 2\n- Question 3\n- Question 4', unsummarizedTurns: 4 });
+  console.log('✅ The stored transcript keeps every turn');
+}
+
+// Run the tests
+try {
+  await testShortHistory();
+  await testElision();
+  await testSummary();
+  await testIncrementalSummary();
+  testStoredSummary();
+  await testFullTranscript();
+  console.log('\nAll history tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nHistory test failed: ${error.message}`);
+  process.exit(1);
+}
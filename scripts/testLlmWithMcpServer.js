@@ -22,7 +22,7 @@ dotenv.config();
 
 // Get environment variables
 const LLM_API_KEY = process.env.LLM_API_KEY;
-const LLM_API_MODEL = process.env.LLM_API_MODEL || "gpt-4o-mini";
+const LLM_API_MODEL = process.env.LLM_API_MODEL || "gpt-5-mini";
 const LLM_API_URL = process.env.LLM_API_URL || "https://api.openai.com/v1";
 
 // ES module compatibility for __dirname
@@ -79,7 +79,11 @@ async function testMcpCapabilities() {
         // Get a sample prompt
         if (prompts.length > 0) {
           console.log('\n6. Getting a sample prompt...');
-          const samplePrompt = await mcpClient.getPrompt({ name: prompts[0].name });
+          // Blank arguments return the generic workflow
+          const samplePrompt = await mcpClient.getPrompt({
+            name: prompts[0].name,
+            arguments: Object.fromEntries((prompts[0].arguments || []).map(argument => [argument.name, '']))
+          });
           const promptContent = samplePrompt.messages?.[0]?.content;
           if (promptContent) {
             const textContent = typeof promptContent === 'string'
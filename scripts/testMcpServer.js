@@ -14,6 +14,8 @@ import dotenv from 'dotenv';
 // Import the MCP SDK
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
 // Import file-based logger
 import logger from './testLogger.js';
 
@@ -26,18 +28,37 @@ const __dirname = path.dirname(__filename);
 const rootDir = path.join(__dirname, '..');
 
 /**
- * Create an MCP client that connects to the server via STDIO
+ * Create an MCP client that connects to the server
+ *
+ * Uses STDIO by default. Set MCP_TEST_URL to test a running HTTP server instead
+ * (a URL ending in /sse uses the SSE transport, any other Streamable HTTP), and
+ * MCP_TEST_API_KEY if it requires authentication.
  * @returns {Client} The MCP client
  */
 async function createClient() {
-  // Create a transport that communicates with the server via STDIO
-  logger.info('Creating STDIO transport to communicate with the server');
-
-  const transport = new StdioClientTransport({
-    command: "node",
-    args: ["./src/mcp-server/index.js"],
-    debug: true  // Enable debug mode for more verbose logging
-  });
+  let transport;
+  if (process.env.MCP_TEST_URL) {
+    const url = new URL(process.env.MCP_TEST_URL);
+    // Credentials for a server with authentication enabled
+    const headers = process.env.MCP_TEST_API_KEY ? { 'X-API-Key': process.env.MCP_TEST_API_KEY } : {};
+    if (url.pathname.endsWith('/sse')) {
+      logger.info(`Creating SSE transport to ${url}`);
+      transport = new SSEClientTransport(url, { requestInit: { headers }, eventSourceInit: { fetch: (input, init) => fetch(input, { ...init, headers: { ...init?.headers, ...headers } }) } });
+    } else {
+      logger.info(`Creating Streamable HTTP transport to ${url}`);
+      transport = new StreamableHTTPClientTransport(url, { requestInit: { headers } });
+    }
+  } else {
+    // Create a transport that communicates with the server via STDIO
+    logger.info('Creating STDIO transport to communicate with the server');
+
+    transport = new StdioClientTransport({
+      command: "node",
+      args: ["./src/mcp-server/index.js"],
+      env: { ...process.env, MCP_TRANSPORT: 'stdio' },
+      debug: true  // Enable debug mode for more verbose logging
+    });
+  }
 
   // Create the MCP client with a longer timeout
   logger.info('Creating MCP client');
@@ -176,7 +197,7 @@ async function testGetMonsterById(client) {
 }
 
 /**
- * Test metadata tools (categories, rarities, biomes)
+ * Test metadata tools (categories, subcategories, habitats, rarities, biomes)
  * @param {Client} client - The MCP client
  */
 async function testMetadataTools(client) {
@@ -193,6 +214,16 @@ async function testMetadataTools(client) {
     const rarities = await client.callTool({ name: 'getRarities', arguments: {} });
     logger.info('Rarities: ' + rarities.content[0].text);
 
+    // Test getSubcategories
+    logger.info('Testing getSubcategories...');
+    const subcategories = await client.callTool({ name: 'getSubcategories', arguments: {} });
+    logger.info('Subcategories: ' + subcategories.content[0].text);
+
+    // Test getHabitats
+    logger.info('Testing getHabitats...');
+    const habitats = await client.callTool({ name: 'getHabitats', arguments: {} });
+    logger.info('Habitats: ' + habitats.content[0].text);
+
     // Test getBiomes
     logger.info('Testing getBiomes...');
     const biomes = await client.callTool({ name: 'getBiomes', arguments: {} });
@@ -216,6 +247,106 @@ async function testMetadataTools(client) {
   }
 }
 
+/**
+ * Test the prompts: arguments, completion and embedded resources
+ * @param {Client} client - The MCP client
+ */
+async function testPrompts(client) {
+  logger.info('--- Testing Prompts ---');
+
+  try {
+    const { prompts } = await client.listPrompts();
+    for (const prompt of prompts) {
+      logger.info(`Prompt ${prompt.name}: ${(prompt.arguments || []).map(a => `${a.name}${a.required ? '*' : ''}`).join(', ')}`);
+    }
+
+    // Complete a monster name from the database
+    logger.info('Testing monster name completion...');
+    const { completion } = await client.complete({
+      ref: { type: 'ref/prompt', name: 'analyze_monster_weakness' },
+      argument: { name: 'monster', value: 'a' }
+    });
+    logger.info(`Completions: ${completion.values.join(', ')} (total: ${completion.total})`);
+
+    // Get the prompt for the first completed monster, with its details embedded
+    if (completion.values.length > 0) {
+      const result = await client.getPrompt({
+        name: 'analyze_monster_weakness',
+        arguments: { monster: completion.values[0] }
+      });
+      const embedded = result.messages.filter(message => message.content.type === 'resource');
+      logger.info(`analyze_monster_weakness returned ${result.messages.length} messages, embedding: ${embedded.map(message => message.content.resource.uri).join(', ')}`);
+    }
+
+    // Unknown monsters are rejected with suggestions
+    try {
+      await client.getPrompt({ name: 'analyze_monster_weakness', arguments: { monster: 'Not A Monster' } });
+      logger.error('analyze_monster_weakness accepted an unknown monster');
+    } catch (error) {
+      logger.info(`Unknown monster rejected: ${error.message}`);
+    }
+  } catch (error) {
+    logger.error(`Error testing prompts: ${error.message}`);
+    logger.error(error.stack);
+  }
+}
+
+/**
+ * Test the resource templates: completion and Markdown/JSON representations
+ * @param {Client} client - The MCP client
+ */
+async function testResourceTemplates(client) {
+  logger.info('--- Testing Resource Templates ---');
+
+  try {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    logger.info(`Resource templates: ${resourceTemplates.map(template => template.uriTemplate).join(', ')}`);
+
+    // Complete a habitat name, then read that habitat
+    const { completion } = await client.complete({
+      ref: { type: 'ref/resource', uri: 'ragmonsters://habitats/{name}' },
+      argument: { name: 'name', value: '' }
+    });
+    logger.info(`Habitat completions: ${completion.values.join(', ')} (total: ${completion.total})`);
+
+    if (completion.values.length > 0) {
+      const habitat = await client.readResource({ uri: `ragmonsters://habitats/${encodeURIComponent(completion.values[0])}` });
+      logger.info(`Habitat representations: ${habitat.contents.map(content => content.mimeType).join(', ')}`);
+      logger.info(habitat.contents[0].text.substring(0, 200));
+
+      // Read the first monster of the habitat
+      const { monsters } = JSON.parse(habitat.contents.find(content => content.mimeType === 'application/json').text);
+      const monster = await client.readResource({ uri: `ragmonsters://monsters/${monsters[0].id}` });
+      logger.info(monster.contents[0].text.substring(0, 200));
+    }
+  } catch (error) {
+    logger.error(`Error testing resource templates: ${error.message}`);
+    logger.error(error.stack);
+  }
+}
+
+/**
+ * Test the schema resource generated from the database catalog
+ * @param {Client} client - The MCP client
+ */
+async function testSchemaResource(client) {
+  logger.info('--- Testing Schema Resource ---');
+
+  try {
+    const schema = await client.readResource({ uri: 'ragmonsters://schema' });
+    logger.info(`Schema representations: ${schema.contents.map(content => content.mimeType).join(', ')}`);
+    logger.info(schema.contents[0].text.substring(0, 400));
+
+    const { tables } = JSON.parse(schema.contents.find(content => content.mimeType === 'application/json').text);
+    const monsters = tables.find(table => table.name === 'monsters');
+    logger.info(`Tables: ${tables.map(table => table.name).join(', ')}`);
+    logger.info(`monsters: ${monsters.columns.length} columns, ${monsters.foreignKeys.length} foreign keys, ${monsters.indexes.length} indexes`);
+  } catch (error) {
+    logger.error(`Error testing schema resource: ${error.message}`);
+    logger.error(error.stack);
+  }
+}
+
 /**
  * Main function to run the tests
  */
@@ -261,6 +392,9 @@ async function main() {
     await testGetMonsters(client);
     await testGetMonsterById(client);
     await testMetadataTools(client); // Added new test function
+    await testPrompts(client);
+    await testSchemaResource(client);
+    await testResourceTemplates(client);
 
     logger.info('All tests completed successfully!');
   } catch (error) {
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the LLM provider registry
+ *
+ * Checks the configuration read from the environment, which providers and
+ * models chat requests may select, and the rejection of unknown ones. Only
+ * the fake provider is called, so no LLM API or network is needed.
+ */
+
+import assert from 'node:assert/strict';
+import { HumanMessage } from '@langchain/core/messages';
+import { getLlmConfig, createLlmProviders, createLlmProvider } from '../src/providers/index.js';
+
+/**
+ * Provider settings fall back to the legacy variables, then to the defaults
+ */
+function testConfig() {
+  const defaults = getLlmConfig({});
+  assert.equal(defaults.provider, 'openai');
+  assert.deepEqual(defaults.enabled, ['openai']);
+  assert.equal(defaults.providers.openai.model, 'gpt-5-mini');
+  assert.equal(defaults.providers.anthropic.model, 'claude-sonnet-4-5');
+
+  const config = getLlmConfig({
+    LLM_PROVIDER: 'fake',
+    LLM_PROVIDERS: 'openai, fake, ollama',
+    LLM_API_MODEL: 'legacy-model',
+    LLM_API_KEY: 'legacy-key',
+    LLM_OPENAI_MODELS: 'gpt-5, gpt-5-nano',
+    LLM_OLLAMA_TEMPERATURE: '0.2',
+    LLM_FAKE_RESPONSES: JSON.stringify(['Scripted answer'])
+  });
+  assert.equal(config.provider, 'fake');
+  assert.deepEqual(config.enabled, ['fake', 'openai', 'ollama'], 'The default provider comes first, once');
+  assert.equal(config.providers.openai.model, 'legacy-model');
+  assert.equal(config.providers.openai.apiKey, 'legacy-key');
+  assert.deepEqual(config.providers.openai.models, ['gpt-5', 'gpt-5-nano']);
+  assert.equal(config.providers.ollama.temperature, 0.2);
+  assert.deepEqual(config.providers.fake.responses, ['Scripted answer']);
+  assert.equal(getLlmConfig({ LLM_API_MODEL: 'legacy-model', LLM_OPENAI_MODEL: 'gpt-5' }).providers.openai.model, 'gpt-5', 'LLM_OPENAI_MODEL wins over LLM_API_MODEL');
+
+  assert.throws(() => getLlmConfig({ LLM_OPENAI_TIMEOUT_MS: 'soon' }), /Invalid LLM_OPENAI_TIMEOUT_MS 'soon'/);
+  assert.throws(() => getLlmConfig({ LLM_FAKE_RESPONSES: 'Hello' }), /LLM_FAKE_RESPONSES must be a JSON array of answers or \{ content, toolCalls \}: /);
+  assert.throws(() => getLlmConfig({ LLM_FAKE_RESPONSES: '"Hello"' }), /LLM_FAKE_RESPONSES must be a JSON array/);
+  console.log('✅ Providers are configured from the environment');
+}
+
+/**
+ * Requests select an enabled provider and one of its models, default first
+ */
+async function testSelect() {
+  const providers = createLlmProviders(getLlmConfig({
+    LLM_PROVIDER: 'fake',
+    LLM_PROVIDERS: 'openai',
+    LLM_API_KEY: 'test-key',
+    LLM_OPENAI_MODELS: 'gpt-5',
+    LLM_FAKE_RESPONSES: JSON.stringify(['Scripted answer'])
+  }));
+
+  const fake = providers.select();
+  assert.equal(fake.name, 'fake');
+  assert.equal(fake.model, 'scripted');
+  assert.equal((await fake.chatModel.invoke([new HumanMessage('Hello')])).content, 'Scripted answer');
+  assert.equal(providers.select({ provider: 'fake' }), fake, 'Providers are reused');
+
+  const openai = providers.select({ provider: 'openai' });
+  assert.equal(openai.name, 'openai');
+  assert.equal(openai.model, 'gpt-5-mini', 'The provider\'s default model is used when none is asked for');
+  assert.equal(providers.select({ provider: 'openai', model: 'gpt-5' }).model, 'gpt-5');
+  assert.notEqual(providers.select({ provider: 'openai', model: 'gpt-5' }), openai, 'Each model has its own instance');
+
+  assert.throws(() => providers.select({ provider: 'anthropic' }), /LLM provider 'anthropic' is not available. Available: fake, openai/);
+  assert.throws(() => providers.select({ provider: 'openai', model: 'gpt-4' }), /Model 'gpt-4' is not available for openai. Available: gpt-5-mini, gpt-5/);
+  assert.throws(() => providers.select({ model: 'other' }), /Model 'other' is not available for fake/);
+  console.log('✅ Requests select among the enabled providers and models');
+}
+
+/**
+ * The list describes what requests may select
+ */
+function testList() {
+  const providers = createLlmProviders(getLlmConfig({ LLM_PROVIDER: 'fake', LLM_PROVIDERS: 'ollama', LLM_OLLAMA_MODELS: 'qwen3' }));
+  assert.deepEqual(providers.list(), {
+    default: { provider: 'fake', model: 'scripted' },
+    providers: [
+      { name: 'fake', models: ['scripted'] },
+      { name: 'ollama', models: ['llama3.1', 'qwen3'] }
+    ]
+  });
+  console.log('✅ Providers and models are listed');
+}
+
+/**
+ * Unknown providers are refused when configured, not on the first request
+ */
+function testUnknownProviders() {
+  assert.throws(() => createLlmProviders(getLlmConfig({ LLM_PROVIDER: 'mystery' })), /Unknown LLM provider 'mystery'. Available: openai, anthropic, ollama, fake/);
+  assert.throws(() => createLlmProviders(getLlmConfig({ LLM_PROVIDER: 'fake', LLM_PROVIDERS: 'openai,mystery' })), /Unknown LLM provider 'mystery'/);
+  assert.throws(() => createLlmProvider('mystery', {}), /Unknown LLM provider 'mystery'/);
+  console.log('✅ Unknown providers are refused');
+}
+
+// Run the tests
+try {
+  testConfig();
+  await testSelect();
+  testList();
+  testUnknownProviders();
+  console.log('\nAll provider tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nProvider test failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests of the rate limiting
+ *
+ * Drives the limiter with an injected clock: bursts and refill, the daily quota
+ * reset, separate budgets, eviction of the in-memory store and the 429 answer
+ * of the web API middleware. No database or network is needed.
+ */
+
+import assert from 'node:assert/strict';
+import { getRateLimitConfig, createRateLimiter, createMemoryStore } from '../src/mcp-server/utils/rateLimit.js';
+import { createRateLimitMiddleware, clientKey } from '../src/rateLimit.js';
+
+/**
+ * Create a limiter with a controllable clock
+ * @param {Object} budgets - Budget settings by name
+ * @param {Object} [store] - Rate limit store
+ * @returns {Object} { limiter, clock }
+ */
+function createLimiter(budgets, store = createMemoryStore()) {
+  const clock = { now: Date.UTC(2026, 0, 1, 12) };
+  const limiter = createRateLimiter({ config: { enabled: true, budgets }, store, now: () => clock.now });
+  return { limiter, clock };
+}
+
+/**
+ * Minimal Express response recording its status, headers and body
+ * @returns {Object} Response
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Budgets are read from RATE_LIMIT_<BUDGET>_* variables
+ */
+function testConfig() {
+  const config = getRateLimitConfig({ RATE_LIMIT_CHAT_BURST: '2', RATE_LIMIT_CHAT_DAILY: '0' });
+  assert.equal(config.enabled, true);
+  assert.deepEqual(config.budgets.chat, { capacity: 2, refillPerMinute: 10, dailyQuota: 0 });
+  assert.deepEqual(config.budgets.tools, { capacity: 30, refillPerMinute: 60, dailyQuota: 5000 });
+  assert.equal(getRateLimitConfig({ RATE_LIMIT_ENABLED: 'false' }).enabled, false);
+  assert.throws(() => getRateLimitConfig({ RATE_LIMIT_TOOLS_BURST: '-1' }), /Invalid RATE_LIMIT_TOOLS_BURST '-1'/);
+  assert.throws(() => getRateLimitConfig({ RATE_LIMIT_TOOLS_DAILY: 'lots' }), /expected a non-negative number/);
+  console.log('✅ Budgets are configured from the environment');
+}
+
+/**
+ * A burst spends the bucket, which then refills at the configured rate
+ */
+async function testBurstAndRefill() {
+  const { limiter, clock } = createLimiter({ tools: { capacity: 3, refillPerMinute: 60, dailyQuota: 0 } });
+
+  for (const remaining of [2, 1, 0]) {
+    const result = await limiter.consume('tools', 'ip:1');
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, remaining);
+  }
+  const refused = await limiter.consume('tools', 'ip:1');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterSeconds, 1, 'One token refills every second');
+  assert.match(refused.reason, /Rate limit exceeded for tools/);
+
+  clock.now += 500;
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, false, 'Half a token is not enough');
+  clock.now += 500;
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, true);
+
+  // A long pause refills the bucket up to its capacity, not beyond
+  clock.now += 60 * 60 * 1000;
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await limiter.consume('tools', 'ip:1')).allowed, true);
+  }
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, false);
+
+  assert.equal((await limiter.consume('tools', 'ip:2')).allowed, true, 'Each client has its own bucket');
+  console.log('✅ Bursts are bounded and the bucket refills');
+}
+
+/**
+ * The daily quota is exhausted until the next UTC midnight
+ */
+async function testDailyQuota() {
+  const { limiter, clock } = createLimiter({ chat: { capacity: 100, refillPerMinute: 6000, dailyQuota: 2 } });
+
+  assert.equal((await limiter.consume('chat', 'ip:1')).allowed, true);
+  assert.equal((await limiter.consume('chat', 'ip:1')).allowed, true);
+  const refused = await limiter.consume('chat', 'ip:1');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.limit, 2);
+  assert.equal(refused.retryAfterSeconds, 12 * 60 * 60, 'Retry at midnight, twelve hours after noon');
+  assert.match(refused.reason, /Daily quota of 2 chat requests exhausted/);
+
+  clock.now = Date.UTC(2026, 0, 1, 23, 59, 59);
+  assert.equal((await limiter.consume('chat', 'ip:1')).allowed, false);
+  clock.now = Date.UTC(2026, 0, 2);
+  assert.equal((await limiter.consume('chat', 'ip:1')).allowed, true, 'The quota resets at UTC midnight');
+  console.log('✅ Daily quotas reset at UTC midnight');
+}
+
+/**
+ * The tools and chat budgets are spent separately
+ */
+async function testSeparateBudgets() {
+  const { limiter } = createLimiter({
+    tools: { capacity: 1, refillPerMinute: 1, dailyQuota: 0 },
+    chat: { capacity: 1, refillPerMinute: 1, dailyQuota: 0 }
+  });
+
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, true);
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, false);
+  assert.equal((await limiter.consume('chat', 'ip:1')).allowed, true, 'Spending tools leaves chat untouched');
+  await assert.rejects(limiter.consume('search', 'ip:1'), /Unknown rate limit budget 'search'. Available: tools, chat/);
+
+  const disabled = createRateLimiter({ config: { enabled: false, budgets: { tools: { capacity: 0, refillPerMinute: 0, dailyQuota: 0 } } } });
+  assert.deepEqual(await disabled.consume('tools', 'ip:1'), { allowed: true, limit: null, remaining: null, retryAfterSeconds: 0 });
+  console.log('✅ Budgets are independent');
+}
+
+/**
+ * The memory store forgets the least recently seen clients first
+ */
+async function testEviction() {
+  const { limiter } = createLimiter({ tools: { capacity: 1, refillPerMinute: 1, dailyQuota: 0 } }, createMemoryStore({ maxKeys: 2 }));
+
+  await limiter.consume('tools', 'ip:1');
+  await limiter.consume('tools', 'ip:2');
+  assert.equal((await limiter.consume('tools', 'ip:1')).allowed, false, 'ip:1 is now the most recently seen');
+  await limiter.consume('tools', 'ip:3');
+
+  assert.equal((await limiter.consume('tools', 'ip:2')).allowed, true, 'ip:2 was evicted, so its bucket is full again');
+  assert.equal((await limiter.consume('tools', 'ip:3')).allowed, false, 'ip:3 was kept');
+  console.log('✅ The memory store evicts the least recently seen clients');
+}
+
+/**
+ * The middleware sets RateLimit headers and answers 429 with Retry-After
+ */
+async function testMiddleware() {
+  const { limiter } = createLimiter({ chat: { capacity: 1, refillPerMinute: 2, dailyQuota: 0 } });
+  const rateLimit = createRateLimitMiddleware(limiter);
+
+  const run = async (req) => {
+    const res = fakeResponse();
+    let passed = false;
+    await rateLimit('chat')(req, res, () => { passed = true; });
+    return { passed, res };
+  };
+
+  const anonymous = { ip: '203.0.113.1' };
+  assert.equal(clientKey(anonymous), 'ip:203.0.113.1');
+  assert.equal(clientKey({ ip: '203.0.113.1', principal: { id: 'apiKey:alice' } }), 'key:apiKey:alice');
+
+  const allowed = await run(anonymous);
+  assert.equal(allowed.passed, true);
+  assert.equal(allowed.res.headers['RateLimit-Limit'], '1');
+  assert.equal(allowed.res.headers['RateLimit-Remaining'], '0');
+
+  const refused = await run(anonymous);
+  assert.equal(refused.passed, false);
+  assert.equal(refused.res.statusCode, 429);
+  assert.equal(refused.res.headers['Retry-After'], '30');
+  assert.deepEqual(refused.res.body, { error: 'Rate limit exceeded for chat. Retry after 30s.' });
+
+  assert.equal((await run({ ip: '203.0.113.1', principal: { id: 'apiKey:alice' } })).passed, true, 'An authenticated client has its own budget');
+
+  // Errors of the store are passed on to Express
+  const failing = createRateLimitMiddleware({ consume: async () => { throw new Error('store down'); } });
+  let forwarded = null;
+  await failing('chat')(anonymous, fakeResponse(), (error) => { forwarded = error; });
+  assert.equal(forwarded?.message, 'store down');
+  console.log('✅ Middleware answers 429 with Retry-After');
+}
+
+// Run the tests
+try {
+  testConfig();
+  await testBurstAndRefill();
+  await testDailyQuota();
+  await testSeparateBudgets();
+  await testEviction();
+  await testMiddleware();
+  console.log('\nAll rate limit tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error(`\nRate limit test failed: ${error.message}`);
+  process.exit(1);
+}
@@ -12,7 +12,9 @@ const { Pool } = pg;
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import { getMonsters, getMonsterById, initializeTools } from '../src/mcp-server/tools/monsters.js';
+import { getMonsters, getMonsterById, getMonstersByIds, searchMonsters, initializeTools } from '../src/mcp-server/tools/monsters.js';
+import { semanticSearchMonsters, initializeSemanticTools } from '../src/mcp-server/tools/semantic.js';
+import { getMonsterStats, initializeStatsTools } from '../src/mcp-server/tools/stats.js';
 
 // Load environment variables
 dotenv.config();
@@ -71,15 +73,38 @@ async function testGetMonsters() {
     const sortedMonsters = sortedData.data;
     console.log('Top 5 monsters sorted by name (desc):', sortedMonsters.map(m => m.name).join(', '));
 
-    // Test pagination
-    console.log('\nPagination (limit 5, offset 10):');
-    const paginatedResponse = await getMonsters({
-      limit: 5,
-      offset: 10
+    // Test structured filter expressions
+    console.log('\nRare or above, not Aquatic, with a keyword rated 15 or more:');
+    const whereResponse = await getMonsters({
+      where: [
+        { field: 'rarity', op: 'gte', value: 'Rare' },
+        { field: 'category', op: 'eq', value: 'Aquatic', not: true },
+        { field: 'keyword_rating', op: 'gte', value: 15 }
+      ]
     });
-    const paginatedData = JSON.parse(paginatedResponse.content[0].text);
-    const paginatedMonsters = paginatedData.data;
-    console.log('Paginated monsters (5 results, starting from 10):', paginatedMonsters.map(m => m.name).join(', '));
+    const whereData = JSON.parse(whereResponse.content[0].text);
+    console.log(whereData.summary);
+    console.log('Monster names:', whereData.data.map(m => `${m.name} (${m.rarity})`).join(', '));
+
+    // Test cursor pagination
+    console.log('\nCursor pagination (limit 5, two pages):');
+    const firstPageResponse = await getMonsters({ limit: 5 });
+    const firstPage = JSON.parse(firstPageResponse.content[0].text);
+    console.log(`Page 1 of ${firstPage.totalCount} monsters:`, firstPage.data.map(m => m.name).join(', '));
+    if (firstPage.hasMore) {
+      const secondPageResponse = await getMonsters({ limit: 5, cursor: firstPage.nextCursor });
+      const secondPage = JSON.parse(secondPageResponse.content[0].text);
+      console.log('Page 2:', secondPage.data.map(m => m.name).join(', '));
+      console.log('Next call hint:', secondPage.next[0]);
+
+      // A cursor only resumes the query it was issued for
+      try {
+        await getMonsters({ filters: { rarity: 'Rare' }, limit: 5, cursor: firstPage.nextCursor });
+        console.error('A cursor was accepted with different filters');
+      } catch (error) {
+        console.log('Cursor with different filters rejected:', error.message);
+      }
+    }
 
     return monsters[0].id; // Return the first monster ID for the next test
 
@@ -136,6 +161,121 @@ async function testGetMonsterById(monsterId) {
   }
 }
 
+/**
+ * Test the getMonstersByIds tool
+ * @param {number} monsterId - ID of an existing monster
+ */
+async function testGetMonstersByIds(monsterId) {
+  console.log('\n--- Testing getMonstersByIds tool ---');
+
+  try {
+    // Mix an existing ID with one that cannot exist to check per-ID reporting
+    console.log(`Getting details for monster IDs ${monsterId} and -1:`);
+    const response = await getMonstersByIds({ monsterIds: [monsterId, -1] });
+    const data = JSON.parse(response.content[0].text);
+    console.log(data.summary);
+    data.data.results.forEach(result => {
+      console.log(result.found ? `- ${result.id}: ${result.summary}` : `- ${result.id}: ${result.error}`);
+    });
+    console.log(`Next: ${data.next.join(', ')}`);
+    if (data.next.some(call => call.includes('...'))) {
+      throw new Error('next hints must be concrete calls, not placeholders');
+    }
+
+    // Only the powers section: lore and physical attributes must be left out
+    console.log(`\nGetting only the powers of monster ID ${monsterId}:`);
+    const powersResponse = await getMonstersByIds({ monsterIds: [monsterId], include: ['powers'] });
+    const powers = JSON.parse(powersResponse.content[0].text).data.results[0].monster;
+    console.log(`Sections returned: ${Object.keys(powers).join(', ')}`);
+    if (powers.discovery !== undefined || powers.physicalAttributes !== undefined) {
+      throw new Error('include: ["powers"] returned sections that were not requested');
+    }
+
+  } catch (error) {
+    console.error('Error testing getMonstersByIds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test the searchMonsters tool
+ */
+async function testSearchMonsters() {
+  console.log('\n--- Testing searchMonsters tool ---');
+
+  try {
+    // Full-text search on a power description
+    console.log('Searching for "water pressure":');
+    const searchResponse = await searchMonsters({ query: 'water pressure', limit: 3 });
+    const searchData = JSON.parse(searchResponse.content[0].text);
+    console.log(searchData.summary);
+    searchData.data.forEach(hit => {
+      console.log(`- ${hit.name} [${hit.matchedField}] (score ${hit.score}): ${hit.snippet}`);
+    });
+
+    // Fuzzy search with a typo in the name
+    console.log('\nSearching for "Abysalurk" (typo):');
+    const fuzzyResponse = await searchMonsters({ query: 'Abysalurk', fields: ['name'], limit: 3 });
+    const fuzzyData = JSON.parse(fuzzyResponse.content[0].text);
+    console.log(fuzzyData.summary);
+
+  } catch (error) {
+    console.error('Error testing searchMonsters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test the semanticSearchMonsters tool (requires `npm run index:embeddings`)
+ */
+async function testSemanticSearchMonsters() {
+  console.log('\n--- Testing semanticSearchMonsters tool ---');
+
+  try {
+    initializeSemanticTools(pool);
+
+    console.log('Semantic search for "creature that lives in crushing deep water":');
+    const response = await semanticSearchMonsters({ query: 'creature that lives in crushing deep water', limit: 3 });
+    const data = JSON.parse(response.content[0].text);
+    console.log(data.summary);
+    data.data.forEach(hit => {
+      console.log(`- ${hit.name} [${hit.matchedField}] (similarity ${hit.similarity})`);
+    });
+
+  } catch (error) {
+    console.error('Error testing semanticSearchMonsters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test the getMonsterStats tool
+ */
+async function testGetMonsterStats() {
+  console.log('\n--- Testing getMonsterStats tool ---');
+
+  try {
+    initializeStatsTools(pool);
+
+    console.log('Monsters per category and rarity, with height and keyword rating statistics:');
+    const response = await getMonsterStats({ groupBy: ['category', 'rarity'], measures: ['height', 'keyword_rating'] });
+    const data = JSON.parse(response.content[0].text);
+    console.log(data.summary);
+    console.table(data.data.rows.slice(0, 10));
+
+    // A repeated measure is summarised once
+    const repeated = JSON.parse((await getMonsterStats({ groupBy: ['rarity'], measures: ['keyword_rating', 'keyword_rating'] })).content[0].text);
+    console.log(`Measures: ${repeated.data.measures.join(', ')}; ${repeated.totalGroups} groups, truncated: ${repeated.truncated}`);
+    if (repeated.data.measures.length !== 1) {
+      throw new Error('Repeated measures should be summarised once');
+    }
+
+  } catch (error) {
+    console.error('Error testing getMonsterStats:', error);
+    throw error;
+  }
+}
+
 /**
  * Main function to run the tests
  */
@@ -149,8 +289,13 @@ async function main() {
     // Test getMonsterById with the retrieved ID
     if (monsterId) {
       await testGetMonsterById(monsterId);
+      await testGetMonstersByIds(monsterId);
     }
 
+    await testSearchMonsters();
+    await testSemanticSearchMonsters();
+    await testGetMonsterStats();
+
     console.log('\nAll tests completed successfully!');
 
   } catch (error) {
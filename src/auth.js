@@ -0,0 +1,72 @@
+/**
+ * Express authentication middleware for the web API
+ */
+import { createAuthenticators, authenticateRequest, hasScope } from './mcp-server/utils/auth.js';
+import logger from './mcp-server/utils/logger.js';
+
+/**
+ * Identify the caller a request acts for: its principal, else its client address
+ *
+ * Without authentication, callers are told apart by address (`ip:<address>`,
+ * honouring TRUST_PROXY) as on the HTTP MCP transport, so anonymous callers
+ * neither see nor evict each other's conversations. Principal IDs are prefixed
+ * by their type, so they never collide with an address.
+ * @param {Object} req - Express request
+ * @returns {string} Owner ID
+ */
+export function requestOwner(req) {
+  return req.principal?.id ?? `ip:${req.ip}`;
+}
+
+/**
+ * Create the authentication middleware
+ *
+ * When no authenticator is configured (no AUTH_API_KEYS, no AUTH_JWT_SECRET)
+ * every request is allowed, so existing deployments keep working.
+ * @param {Array<Object>} [authenticators] - Authenticators (defaults to createAuthenticators())
+ * @returns {Object} { enabled, authenticate, requireScope }
+ */
+export function createAuthMiddleware(authenticators = createAuthenticators()) {
+  const enabled = authenticators.length > 0;
+  if (enabled) {
+    logger.info(`API authentication enabled (${authenticators.map(a => a.name).join(', ')})`);
+  } else {
+    logger.info('API authentication disabled: set AUTH_API_KEYS or AUTH_JWT_SECRET to protect the API');
+  }
+
+  /**
+   * Authenticate the request and store the principal in req.principal
+   */
+  const authenticate = async (req, res, next) => {
+    if (!enabled) {
+      req.principal = null;
+      return next();
+    }
+
+    try {
+      req.principal = await authenticateRequest(req.headers, authenticators);
+      next();
+    } catch (error) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error: error.message });
+    }
+  };
+
+  /**
+   * Require a scope, given directly or computed from the request
+   * @param {string|Function} scope - Scope name, or (req) => scope name
+   * @returns {Function} Express middleware
+   */
+  const requireScope = (scope) => (req, res, next) => {
+    if (!enabled) return next();
+
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!hasScope(req.principal, required)) {
+      logger.info(`Access denied for ${req.principal?.id}: missing scope ${required}`);
+      return res.status(403).json({ error: `Missing scope: ${required}` });
+    }
+    next();
+  };
+
+  return { enabled, authenticate, requireScope };
+}
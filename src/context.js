@@ -0,0 +1,228 @@
+/**
+ * Context budgeting for the chat system message
+ *
+ * Rather than pasting every MCP resource and prompt into the system message,
+ * the context gets a token budget. Relevant prompt workflows are picked for the
+ * user's message and included first; resources share what is left, each cut to
+ * a per-resource size. Whatever does not fit is only listed, and the agent can
+ * read it in full with its readResource tool.
+ *
+ * Token counts are estimates (about four characters per token), good enough
+ * to keep the context within bounds without a model-specific tokenizer.
+ */
+
+// Words too common to tell workflows apart
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'what', 'which', 'about', 'from',
+  'into', 'their', 'them', 'they', 'there', 'have', 'your', 'would', 'could', 'should'
+]);
+
+// Resources that cannot get at least this many tokens are only listed
+const MIN_RESOURCE_TOKENS = 50;
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Read the context budget configuration from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} { budgetTokens, resourceTokens, maxPrompts }
+ */
+export function getContextConfig(env = process.env) {
+  return {
+    budgetTokens: env.CHAT_CONTEXT_BUDGET_TOKENS ? parseInt(env.CHAT_CONTEXT_BUDGET_TOKENS, 10) : 3000,
+    resourceTokens: env.CHAT_CONTEXT_RESOURCE_TOKENS ? parseInt(env.CHAT_CONTEXT_RESOURCE_TOKENS, 10) : 600,
+    maxPrompts: env.CHAT_CONTEXT_MAX_PROMPTS ? parseInt(env.CHAT_CONTEXT_MAX_PROMPTS, 10) : 2
+  };
+}
+
+/**
+ * Cut a text to a token budget, at a line boundary when possible
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token budget
+ * @returns {Object} { text, truncated, keptLines, totalLines }
+ */
+export function truncateToTokens(text, maxTokens) {
+  const totalLines = text.split('\n').length;
+  if (estimateTokens(text) <= maxTokens) {
+    return { text, truncated: false, keptLines: totalLines, totalLines };
+  }
+
+  let cut = text.slice(0, Math.max(0, maxTokens) * 4);
+  const lastNewline = cut.lastIndexOf('\n');
+  if (lastNewline > 0) {
+    cut = cut.slice(0, lastNewline);
+  }
+  return { text: cut, truncated: true, keptLines: cut.split('\n').length, totalLines };
+}
+
+/**
+ * Split a text into significant words
+ * @param {string} text - Text
+ * @returns {Set<string>} Lowercase words of four letters or more, without stop words
+ */
+function significantWords(text) {
+  return new Set((text || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length >= 4 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Whether two words look like forms of the same word (compare/comparison, weak/weaknesses)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {boolean} True if they share a long enough prefix
+ */
+function sameRoot(a, b) {
+  let common = 0;
+  while (common < a.length && common < b.length && a[common] === b[common]) common++;
+  return common >= 5 || (common >= 4 && common === Math.min(a.length, b.length));
+}
+
+/**
+ * Pick the prompt workflows relevant to a user message
+ *
+ * Each prompt is scored on the words its name and description share with the
+ * message, rarer words across prompts weighing more (words every prompt has,
+ * such as "monster", count for nothing).
+ * @param {Array<Object>} prompts - Prompts { name, description, content }
+ * @param {string} userMessage - The user's message
+ * @param {number} maxPrompts - Maximum number of prompts to return
+ * @returns {Array<Object>} Relevant prompts, most relevant first
+ */
+export function selectRelevantPrompts(prompts, userMessage, maxPrompts) {
+  const messageWords = [...significantWords(userMessage)];
+  if (messageWords.length === 0 || maxPrompts <= 0) return [];
+
+  const promptWords = prompts.map(prompt => [...significantWords(`${prompt.name.replace(/_/g, ' ')} ${prompt.description}`)]);
+  const matches = (words, word) => words.some(candidate => sameRoot(candidate, word));
+  const weights = new Map(messageWords.map(word => {
+    const frequency = promptWords.filter(words => matches(words, word)).length;
+    return [word, frequency > 0 ? Math.log(prompts.length / frequency) : 0];
+  }));
+
+  return prompts
+    .map((prompt, index) => ({
+      prompt,
+      score: messageWords
+        .filter(word => matches(promptWords[index], word))
+        .reduce((score, word) => score + weights.get(word), 0)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxPrompts)
+    .map(({ prompt }) => prompt);
+}
+
+// Section headers of the system message
+const KNOWLEDGE_HEADER = '\n\n## Available Knowledge (MCP Resources)\n\nUse this information to answer questions without calling tools when possible:\n\n';
+const WORKFLOWS_HEADER = '\n\n## Relevant Workflows (MCP Prompts)\n\nFollow the appropriate workflow for this request:\n\n';
+const LISTED_HEADER = 'Also available through readResource:\n';
+
+/**
+ * Line listing a resource the context has no room for
+ * @param {Object} resource - Resource { uri, name, description }
+ * @returns {string} List line
+ */
+function listedLine(resource) {
+  return `- ${resource.name} (\`${resource.uri}\`): ${resource.description}\n`;
+}
+
+/**
+ * Section of a resource within a token allowance: whole, or its description and first lines
+ * @param {Object} resource - Resource { uri, name, description, content }
+ * @param {number} allowance - Token allowance of the section
+ * @returns {Object|null} { text, truncated }, or null if fewer than MIN_RESOURCE_TOKENS of content fit
+ */
+function resourceSection(resource, allowance) {
+  const whole = `### ${resource.name}\n${resource.content}\n\n`;
+  if (estimateTokens(whole) <= allowance) {
+    return { text: whole, truncated: false };
+  }
+
+  // Pieces are estimated separately: their sum bounds the estimate of the whole section
+  const head = `### ${resource.name}\n${resource.description ? `${resource.description}\n` : ''}`;
+  const totalLines = resource.content.split('\n').length;
+  const footer = (keptLines) => `\n(first ${keptLines} of ${totalLines} lines; call readResource with uri "${resource.uri}" for the rest)\n\n`;
+  const contentTokens = allowance - estimateTokens(head) - estimateTokens(footer(totalLines));
+  if (contentTokens < MIN_RESOURCE_TOKENS) return null;
+
+  const { text, keptLines } = truncateToTokens(resource.content, contentTokens);
+  return { text: `${head}${text}${footer(keptLines)}`, truncated: true };
+}
+
+/**
+ * Build the knowledge and workflow sections of the system message
+ *
+ * The estimated tokens of the text stay within config.budgetTokens, as long as
+ * the budget can hold the list of resources (every resource is at least listed).
+ * @param {Object} options - Context sources
+ * @param {Array<Object>} options.resources - Resources { uri, name, description, content }
+ * @param {Array<Object>} options.prompts - Prompts { name, description, content }
+ * @param {string} [options.userMessage] - The user's message, to pick relevant workflows
+ * @param {Object} [options.config] - Budget configuration (defaults to getContextConfig())
+ * @returns {Object} { text, tokens, included, truncated, listed, prompts }
+ */
+export function buildContext({ resources, prompts, userMessage = '', config = getContextConfig() }) {
+  const report = { included: [], truncated: [], listed: [], prompts: [] };
+
+  // Room to list every resource is set aside first; a resource given a section frees its line
+  let remaining = config.budgetTokens;
+  if (resources.length > 0) {
+    remaining -= estimateTokens(KNOWLEDGE_HEADER) + estimateTokens(LISTED_HEADER) + estimateTokens('\n')
+      + resources.reduce((total, resource) => total + estimateTokens(listedLine(resource)), 0);
+  }
+
+  // Relevant workflows next, each at most half the budget
+  let promptContext = '';
+  for (const prompt of selectRelevantPrompts(prompts, userMessage, config.maxPrompts)) {
+    const header = promptContext ? 0 : estimateTokens(WORKFLOWS_HEADER);
+    const sectionOf = (workflow, truncated) => `### ${prompt.name}\n**Description:** ${prompt.description}\n\n**Workflow:**\n${workflow}${truncated ? '\n(workflow truncated)' : ''}\n\n---\n\n`;
+    const workflowTokens = Math.min(remaining - header - estimateTokens(sectionOf('', true)), Math.floor(config.budgetTokens / 2));
+    if (workflowTokens < MIN_RESOURCE_TOKENS) break;
+
+    const { text, truncated } = truncateToTokens(prompt.content, workflowTokens);
+    const section = sectionOf(text, truncated);
+    promptContext += section;
+    remaining -= header + estimateTokens(section);
+    report.prompts.push(prompt.name);
+  }
+
+  // Resources share the rest, each cut to its own budget
+  let resourceContext = '';
+  const listed = [];
+  for (const resource of resources) {
+    const line = estimateTokens(listedLine(resource));
+    const section = resourceSection(resource, Math.min(config.resourceTokens, remaining + line));
+    if (!section) {
+      listed.push(resource);
+      continue;
+    }
+
+    resourceContext += section.text;
+    remaining += line - estimateTokens(section.text);
+    (section.truncated ? report.truncated : report.included).push(resource.uri);
+  }
+
+  if (listed.length > 0) {
+    resourceContext += `${LISTED_HEADER}${listed.map(listedLine).join('')}\n`;
+    report.listed = listed.map(resource => resource.uri);
+  }
+
+  let text = '';
+  if (resourceContext) {
+    text += KNOWLEDGE_HEADER + resourceContext;
+  }
+  if (promptContext) {
+    text += WORKFLOWS_HEADER + promptContext;
+  }
+
+  return { text, tokens: estimateTokens(text), ...report };
+}
@@ -0,0 +1,281 @@
+/**
+ * History compaction applied before the chat agent runs
+ *
+ * A conversation's stored messages are reduced in three steps:
+ *   1. Tool results of turns that have been answered (all but the latest few)
+ *      are elided, keeping the tool call and a note of what was removed
+ *   2. Only the most recent turns are kept verbatim, within a turn and a token limit
+ *   3. Older turns are folded into a rolling summary, sent as a system
+ *      message named conversation_summary at the start of the history
+ *
+ * A turn is a user message with the assistant and tool messages that follow it.
+ * Only the copy sent to the agent is compacted: the stored transcript keeps
+ * every message, and the rolling summary is stored beside it (see toStoredSummary).
+ */
+import { SystemMessage, ToolMessage } from '@langchain/core/messages';
+import { estimateTokens } from '../context.js';
+import logger from '../mcp-server/utils/logger.js';
+
+export const SUMMARY_MESSAGE_NAME = 'conversation_summary';
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:\n';
+
+/**
+ * Read the history policy from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} { maxTurns, maxTokens, keepToolResultTurns, elideMinChars, summary }
+ */
+export function getHistoryConfig(env = process.env) {
+  const summary = env.CHAT_HISTORY_SUMMARY || 'llm';
+  if (!['llm', 'extractive', 'none'].includes(summary)) {
+    throw new Error(`Invalid CHAT_HISTORY_SUMMARY '${summary}'. Expected llm, extractive or none`);
+  }
+
+  return {
+    maxTurns: env.CHAT_HISTORY_MAX_TURNS ? parseInt(env.CHAT_HISTORY_MAX_TURNS, 10) : 10,
+    maxTokens: env.CHAT_HISTORY_MAX_TOKENS ? parseInt(env.CHAT_HISTORY_MAX_TOKENS, 10) : 6000,
+    keepToolResultTurns: env.CHAT_HISTORY_KEEP_TOOL_RESULTS ? parseInt(env.CHAT_HISTORY_KEEP_TOOL_RESULTS, 10) : 1,
+    elideMinChars: env.CHAT_HISTORY_ELIDE_MIN_CHARS ? parseInt(env.CHAT_HISTORY_ELIDE_MIN_CHARS, 10) : 400,
+    summary
+  };
+}
+
+/**
+ * Whether a message is the rolling summary of a conversation
+ * @param {Object} message - LangChain message
+ * @returns {boolean} True for summary messages
+ */
+export function isSummaryMessage(message) {
+  return message._getType() === 'system' && message.name === SUMMARY_MESSAGE_NAME;
+}
+
+/**
+ * Text of a message, whether its content is a string or content blocks
+ * @param {Object} message - LangChain message
+ * @returns {string} Text content
+ */
+function textOf(message) {
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || []).map(part => part.text ?? '').join('');
+}
+
+/**
+ * Estimate the tokens of messages, tool calls included
+ * @param {Array} messages - LangChain messages
+ * @returns {number} Estimated tokens
+ */
+function estimateMessageTokens(messages) {
+  return messages.reduce((total, message) => total
+    + estimateTokens(textOf(message))
+    + (message.tool_calls?.length ? estimateTokens(JSON.stringify(message.tool_calls)) : 0), 0);
+}
+
+/**
+ * Group messages into turns, each starting at a user message
+ * @param {Array} messages - LangChain messages
+ * @returns {Array<Array>} Turns
+ */
+function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message._getType() === 'human' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Count the turns of a transcript
+ * @param {Array} messages - LangChain messages
+ * @returns {number} Number of turns
+ */
+export function countTurns(messages) {
+  return splitTurns(messages.filter(message => message._getType() !== 'system')).length;
+}
+
+/**
+ * Rolling summary as stored with a conversation
+ *
+ * The summary records the turns it does not cover, counted from the end of the
+ * transcript, so it stays valid when a store trims the oldest messages.
+ * @param {Array} messages - Transcript the summary belongs to
+ * @param {Object|null} summary - Summary { text, turns } covering the leading turns of the transcript
+ * @returns {Object|null} Stored summary { text, unsummarizedTurns }
+ */
+export function toStoredSummary(messages, summary) {
+  if (!summary) return null;
+  return { text: summary.text, unsummarizedTurns: Math.max(0, countTurns(messages) - summary.turns) };
+}
+
+/**
+ * Rolling summary of a stored conversation, as compactHistory expects it
+ * @param {Array} messages - Stored transcript
+ * @param {Object|null} stored - Stored summary { text, unsummarizedTurns }
+ * @returns {Object|null} Summary { text, turns } covering the leading turns of the transcript
+ */
+export function fromStoredSummary(messages, stored) {
+  if (!stored) return null;
+  return { text: stored.text, turns: Math.max(0, countTurns(messages) - stored.unsummarizedTurns) };
+}
+
+/**
+ * Replace a bulky tool result with a note, keeping its link to the tool call
+ * @param {ToolMessage} message - Tool message
+ * @returns {ToolMessage} Elided tool message
+ */
+function elideToolResult(message) {
+  return new ToolMessage({
+    content: `[Result elided after it was answered (${textOf(message).length} characters). Call ${message.name || 'the tool'} again if you need it.]`,
+    tool_call_id: message.tool_call_id,
+    name: message.name,
+    status: message.status
+  });
+}
+
+/**
+ * Write messages as a plain transcript, for summarisation
+ * @param {Array} messages - LangChain messages
+ * @param {number} [maxChars=300] - Characters kept per message
+ * @returns {string} Transcript
+ */
+function toTranscript(messages, maxChars = 300) {
+  const clip = (text) => text.length > maxChars ? `${text.slice(0, maxChars)}...` : text;
+  return messages.flatMap(message => {
+    switch (message._getType()) {
+      case 'human':
+        return [`User: ${clip(textOf(message))}`];
+      case 'ai':
+        return [
+          ...(message.tool_calls || []).map(call => `Assistant called ${call.name}(${JSON.stringify(call.args)})`),
+          ...(textOf(message) ? [`Assistant: ${clip(textOf(message))}`] : [])
+        ];
+      case 'tool':
+        return [`Tool ${message.name || ''} returned: ${clip(textOf(message))}`];
+      default:
+        return [];
+    }
+  }).join('\n');
+}
+
+/**
+ * Summarise without a model: keep each question and the start of its answer
+ * @param {string|null} previousSummary - Summary of earlier turns
+ * @param {Array} messages - Messages to fold into the summary
+ * @returns {Promise<string>} Updated summary
+ */
+export async function summarizeExtractively(previousSummary, messages) {
+  const lines = splitTurns(messages).map(turn => {
+    const question = turn.find(m => m._getType() === 'human');
+    const answer = [...turn].reverse().find(m => m._getType() === 'ai' && textOf(m));
+    const tools = turn.flatMap(m => m.tool_calls || []).map(call => call.name);
+    return `- User asked: ${textOf(question || { content: '' }).slice(0, 200)}`
+      + (tools.length ? ` (tools: ${[...new Set(tools)].join(', ')})` : '')
+      + (answer ? `\n  Assistant answered: ${textOf(answer).slice(0, 300)}` : '');
+  });
+  return [previousSummary, ...lines].filter(Boolean).join('\n');
+}
+
+/**
+ * Create a summariser that asks a chat model to update the rolling summary
+ * @param {BaseChatModel} chatModel - Chat model of the conversation's LLM provider
+ * @returns {Function} async (previousSummary, messages) => summary
+ */
+export function createLlmSummarizer(chatModel) {
+  return async (previousSummary, messages) => {
+    const response = await chatModel.invoke([
+      {
+        role: 'system',
+        content: 'You maintain a running summary of a conversation between a user and an assistant exploring the RAGmonsters database. '
+          + 'Update the summary with the new messages. Keep monster names, IDs, numbers, conclusions and the user\'s goals and preferences. '
+          + 'Answer with the summary only, in at most 200 words.'
+      },
+      {
+        role: 'user',
+        content: `Current summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${toTranscript(messages)}`
+      }
+    ]);
+    return textOf(response).trim();
+  };
+}
+
+/**
+ * Create the summariser of a history policy
+ * @param {Object} config - History policy (see getHistoryConfig)
+ * @param {BaseChatModel} [chatModel] - Chat model, for the llm mode
+ * @returns {Function|null} Summariser, or null when old turns are simply dropped
+ */
+export function createSummarizer(config, chatModel) {
+  if (config.summary === 'none') return null;
+  if (config.summary === 'extractive' || !chatModel) return summarizeExtractively;
+
+  const summarizeWithLlm = createLlmSummarizer(chatModel);
+  return async (previousSummary, messages) => {
+    try {
+      return await summarizeWithLlm(previousSummary, messages);
+    } catch (error) {
+      logger.error(`Conversation summary failed, falling back to an extractive summary: ${error.message}`);
+      return summarizeExtractively(previousSummary, messages);
+    }
+  };
+}
+
+/**
+ * Compact a conversation history before it is sent to the agent
+ *
+ * Turns already folded into the summary are skipped; older turns outside the
+ * kept window are folded into it, and the updated summary is returned for storage.
+ * @param {Array} messages - Stored messages, without the system prompt
+ * @param {Object} [options] - Compaction options
+ * @param {Object} [options.config] - History policy (defaults to getHistoryConfig())
+ * @param {Function|null} [options.summarize] - Summariser (see createSummarizer)
+ * @param {Object|null} [options.summary] - Summary { text, turns } of the leading turns of messages
+ *   (defaults to a summary message leading messages, as older conversations stored it)
+ * @returns {Promise<Object>} { messages, summary, summarizedTurns, elidedResults }
+ */
+export async function compactHistory(messages, { config = getHistoryConfig(), summarize = summarizeExtractively, summary = null } = {}) {
+  const summaryMessage = messages.find(isSummaryMessage);
+  let { text, turns: coveredTurns } = summary
+    ?? { text: summaryMessage ? textOf(summaryMessage).replace(SUMMARY_PREFIX, '') : null, turns: 0 };
+  const turns = splitTurns(messages.filter(message => message._getType() !== 'system'));
+
+  // 1. Elide the bulky tool results of answered turns
+  let elidedResults = 0;
+  const answeredTurns = Math.max(0, turns.length - config.keepToolResultTurns);
+  for (let i = 0; i < answeredTurns; i++) {
+    turns[i] = turns[i].map(message => {
+      if (message._getType() === 'tool' && textOf(message).length >= config.elideMinChars && !textOf(message).startsWith('[Result elided')) {
+        elidedResults++;
+        return elideToolResult(message);
+      }
+      return message;
+    });
+  }
+
+  // 2. Keep the latest turns not yet summarized, within the turn and token limits (always at least one)
+  let kept = turns.slice(Math.min(coveredTurns, turns.length - 1)).slice(-config.maxTurns);
+  while (kept.length > 1 && estimateMessageTokens(kept.flat()) > config.maxTokens) {
+    kept = kept.slice(1);
+  }
+  const folded = turns.slice(Math.min(coveredTurns, turns.length - kept.length), turns.length - kept.length);
+
+  // 3. Fold the older turns into the rolling summary
+  if (folded.length > 0 && summarize) {
+    text = await summarize(text, folded.flat());
+  }
+  coveredTurns = turns.length - kept.length;
+  if (folded.length > 0 || elidedResults > 0) {
+    logger.info(`Compacted conversation history: ${folded.length} turns ${summarize ? 'summarized' : 'dropped'}, ${elidedResults} tool results elided`);
+  }
+
+  return {
+    messages: [
+      ...(text ? [new SystemMessage({ content: `${SUMMARY_PREFIX}${text}`, name: SUMMARY_MESSAGE_NAME })] : []),
+      ...kept.flat()
+    ],
+    summary: text ? { text, turns: coveredTurns } : null,
+    summarizedTurns: folded.length,
+    elidedResults
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Pluggable conversation storage for the chat API
+ *
+ * A conversation store is a plain object:
+ *   {
+ *     name: string,
+ *     initialize: async () => void,
+ *     create: async ({ owner, title, messages, summary }) => conversation,
+ *     get: async (id, { owner }) => conversation | null,
+ *     list: async ({ owner, limit }) => Array<summary>,
+ *     replaceMessages: async (id, messages, { owner, summary }) => conversation | null,
+ *     rename: async (id, title, { owner }) => summary | null,
+ *     remove: async (id, { owner }) => boolean,
+ *     purgeExpired: async () => number
+ *   }
+ * A conversation is { id, title, owner, createdAt, updatedAt, expiresAt, messages, summary }
+ * with the full transcript as LangChain messages and the rolling summary of its
+ * older turns (see toStoredSummary), or null; a summary is the same without
+ * messages and rolling summary, plus messageCount.
+ *
+ * Conversations expire after a period of inactivity (the TTL is extended on
+ * every write) and are capped in messages and in count per owner. Like get,
+ * replaceMessages only applies to a live conversation of the owner, and
+ * returns null when it expired or was deleted in the meantime.
+ */
+import { createMemoryConversationStore } from './memory.js';
+import { createPostgresConversationStore } from './postgres.js';
+import { defaultTitle } from './messages.js';
+import logger from '../mcp-server/utils/logger.js';
+
+export {
+  newConversationId,
+  isConversationId,
+  serializeMessages,
+  deserializeMessages,
+  capMessages,
+  defaultTitle,
+  toApiMessages
+} from './messages.js';
+export {
+  getHistoryConfig,
+  compactHistory,
+  createSummarizer,
+  summarizeExtractively,
+  isSummaryMessage,
+  countTurns,
+  toStoredSummary,
+  fromStoredSummary
+} from './history.js';
+
+// Registered store factories, keyed by store name
+const storeFactories = {
+  memory: (config) => createMemoryConversationStore(config),
+  postgres: (config) => createPostgresConversationStore(config)
+};
+
+/**
+ * Register a conversation store factory
+ * @param {string} name - Store name (used as CONVERSATION_STORE value)
+ * @param {Function} factory - Function receiving the store config and returning a store
+ */
+export function registerConversationStore(name, factory) {
+  storeFactories[name] = factory;
+  logger.info(`Registered conversation store: ${name}`);
+}
+
+/**
+ * Read the conversation storage configuration from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Conversation store configuration
+ */
+export function getConversationConfig(env = process.env) {
+  return {
+    store: env.CONVERSATION_STORE || 'postgres',
+    ttlMs: (env.CONVERSATION_TTL_HOURS ? parseFloat(env.CONVERSATION_TTL_HOURS) : 168) * 60 * 60 * 1000,
+    maxMessages: env.CONVERSATION_MAX_MESSAGES ? parseInt(env.CONVERSATION_MAX_MESSAGES, 10) : 200,
+    maxPerOwner: env.CONVERSATION_MAX_PER_OWNER ? parseInt(env.CONVERSATION_MAX_PER_OWNER, 10) : 100
+  };
+}
+
+/**
+ * Create and initialize a conversation store
+ * @param {Object} options - Store options
+ * @param {Object} [options.pool] - PostgreSQL connection pool (required by the postgres store)
+ * @param {Object} [options.config] - Configuration (defaults to getConversationConfig())
+ * @returns {Promise<Object>} Conversation store
+ */
+export async function createConversationStore({ pool, config = getConversationConfig() } = {}) {
+  const factory = storeFactories[config.store];
+  if (!factory) {
+    throw new Error(`Unknown conversation store '${config.store}'. Available: ${Object.keys(storeFactories).join(', ')}`);
+  }
+
+  const store = factory({ ...config, pool });
+  await store.initialize();
+  logger.info(`Using conversation store ${store.name}`);
+  return store;
+}
+
+/**
+ * Save a chat turn: update the conversation it continues, or start a new one
+ *
+ * The agent may run for a while after the conversation was loaded; if it was
+ * purged or deleted meanwhile, the turn is saved as a new conversation rather
+ * than lost.
+ * @param {Object} store - Conversation store
+ * @param {Object} turn - Turn to save
+ * @param {Object|null} turn.existing - Conversation loaded before the agent ran, or null
+ * @param {string|null} turn.owner - Caller's principal ID
+ * @param {string} turn.message - User message of the turn (titles a new conversation)
+ * @param {Array} turn.messages - Full transcript to store
+ * @param {Object|null} [turn.summary] - Rolling summary of the transcript (see toStoredSummary)
+ * @returns {Promise<Object>} Saved conversation
+ */
+export async function saveConversation(store, { existing, owner, message, messages, summary = null }) {
+  if (existing) {
+    const updated = await store.replaceMessages(existing.id, messages, { owner, summary });
+    if (updated) return updated;
+    logger.info(`Conversation ${existing.id} expired or was deleted during the turn, saving it as a new conversation`);
+  }
+  return store.create({ owner, title: existing?.title ?? defaultTitle(message), messages, summary });
+}
@@ -0,0 +1,104 @@
+/**
+ * In-memory conversation store (lost on restart; for development and tests)
+ */
+import { newConversationId, capMessages } from './messages.js';
+
+/**
+ * Create an in-memory conversation store
+ * @param {Object} config - Store configuration (see getConversationConfig)
+ * @param {number} config.ttlMs - Inactivity period after which a conversation expires
+ * @param {number} config.maxMessages - Maximum messages kept per conversation
+ * @param {number} config.maxPerOwner - Maximum conversations per owner (oldest are evicted)
+ * @param {Function} [config.now] - Clock, for tests
+ * @returns {Object} Conversation store
+ */
+export function createMemoryConversationStore({ ttlMs, maxMessages, maxPerOwner, now = Date.now }) {
+  const conversations = new Map();
+
+  const isLive = (conversation) => conversation && conversation.expiresAt.getTime() > now();
+  const owns = (conversation, owner) => conversation.owner === (owner ?? null);
+
+  const summarize = (conversation) => {
+    const { messages, summary, ...rest } = conversation;
+    return { ...rest, messageCount: messages.length };
+  };
+
+  return {
+    name: 'memory',
+
+    async initialize() {},
+
+    async create({ owner = null, title, messages, summary = null }) {
+      const timestamp = new Date(now());
+      const conversation = {
+        id: newConversationId(),
+        title,
+        owner,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        expiresAt: new Date(timestamp.getTime() + ttlMs),
+        messages: capMessages(messages, maxMessages),
+        summary
+      };
+      conversations.set(conversation.id, conversation);
+
+      // Evict the least recently updated conversations of this owner beyond the cap
+      const owned = [...conversations.values()]
+        .filter(c => owns(c, owner))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      owned.slice(maxPerOwner).forEach(c => conversations.delete(c.id));
+
+      return conversation;
+    },
+
+    async get(id, { owner = null } = {}) {
+      const conversation = conversations.get(id);
+      return isLive(conversation) && owns(conversation, owner) ? conversation : null;
+    },
+
+    async list({ owner = null, limit = 50 } = {}) {
+      return [...conversations.values()]
+        .filter(c => isLive(c) && owns(c, owner))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, limit)
+        .map(summarize);
+    },
+
+    async replaceMessages(id, messages, { owner = null, summary = null } = {}) {
+      const conversation = await this.get(id, { owner });
+      if (!conversation) return null;
+
+      const timestamp = new Date(now());
+      conversation.messages = capMessages(messages, maxMessages);
+      conversation.summary = summary;
+      conversation.updatedAt = timestamp;
+      conversation.expiresAt = new Date(timestamp.getTime() + ttlMs);
+      return conversation;
+    },
+
+    async rename(id, title, { owner = null } = {}) {
+      const conversation = await this.get(id, { owner });
+      if (!conversation) return null;
+
+      conversation.title = title;
+      conversation.updatedAt = new Date(now());
+      return summarize(conversation);
+    },
+
+    async remove(id, { owner = null } = {}) {
+      const conversation = await this.get(id, { owner });
+      return conversation ? conversations.delete(id) : false;
+    },
+
+    async purgeExpired() {
+      let purged = 0;
+      for (const conversation of conversations.values()) {
+        if (!isLive(conversation)) {
+          conversations.delete(conversation.id);
+          purged++;
+        }
+      }
+      return purged;
+    }
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Message helpers shared by the conversation stores
+ */
+import crypto from 'crypto';
+import {
+  coerceMessageLikeToMessage,
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages
+} from '@langchain/core/messages';
+import logger from '../mcp-server/utils/logger.js';
+import { isSummaryMessage } from './history.js';
+
+/**
+ * Generate a conversation ID
+ * @returns {string} UUID v4
+ */
+export function newConversationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Whether a string is a UUID (conversation IDs are validated before reaching the store)
+ * @param {string} id - Candidate ID
+ * @returns {boolean} Whether the ID is a UUID
+ */
+export function isConversationId(id) {
+  return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+/**
+ * Serialize messages (LangChain messages or { role, content } objects) to JSON-safe objects
+ * @param {Array} messages - Messages
+ * @returns {Array<Object>} Stored messages
+ */
+export function serializeMessages(messages) {
+  return mapChatMessagesToStoredMessages(messages.map(message => coerceMessageLikeToMessage(message)));
+}
+
+/**
+ * Restore messages serialized with serializeMessages
+ * @param {Array<Object>} stored - Stored messages
+ * @returns {Array} LangChain messages
+ */
+export function deserializeMessages(stored) {
+  return mapStoredMessagesToChatMessages(stored);
+}
+
+/**
+ * Drop the oldest turns so a conversation fits in maxMessages
+ *
+ * Leading system messages are kept, and the history always restarts on a user
+ * message so tool results are never separated from the call that produced them.
+ * @param {Array} messages - LangChain messages
+ * @param {number} maxMessages - Maximum number of messages
+ * @returns {Array} Trimmed messages
+ */
+export function capMessages(messages, maxMessages) {
+  if (messages.length <= maxMessages) return messages;
+
+  const normalized = messages.map(message => coerceMessageLikeToMessage(message));
+  let systemCount = 0;
+  while (systemCount < normalized.length && normalized[systemCount]._getType() === 'system') {
+    systemCount++;
+  }
+
+  let start = Math.max(systemCount, normalized.length - (maxMessages - systemCount));
+  while (start < normalized.length && normalized[start]._getType() !== 'human') {
+    start++;
+  }
+
+  logger.info(`Trimmed ${start - systemCount} old messages from conversation`);
+  return [...normalized.slice(0, systemCount), ...normalized.slice(start)];
+}
+
+/**
+ * Title for a new conversation, from its first user message
+ * @param {string} message - First user message
+ * @returns {string} Title (at most 60 characters)
+ */
+export function defaultTitle(message) {
+  const text = message.replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text || 'New conversation';
+}
+
+/**
+ * Convert stored messages to the shape returned by the API (system messages are
+ * omitted, except the summary of older turns, returned with the role summary)
+ * @param {Array} messages - LangChain messages
+ * @returns {Array<Object>} Messages with role, content and, for the assistant, tool calls
+ */
+export function toApiMessages(messages) {
+  return messages
+    .filter(message => message._getType() !== 'system' || isSummaryMessage(message))
+    .map(message => {
+      const role = isSummaryMessage(message)
+        ? 'summary'
+        : { human: 'user', ai: 'assistant', tool: 'tool' }[message._getType()] || message._getType();
+      const entry = { role, content: message.content };
+      if (message.tool_calls?.length > 0) {
+        entry.toolCalls = message.tool_calls.map(call => ({ name: call.name, args: call.args }));
+      }
+      if (role === 'tool') {
+        entry.name = message.name;
+      }
+      return entry;
+    });
+}
@@ -0,0 +1,219 @@
+/**
+ * PostgreSQL conversation store
+ *
+ * Conversations live in their own schema (ragmonsters_app) so the RAGmonsters
+ * dataset schema stays read-only. Messages are stored one row per message as
+ * serialized LangChain messages (JSONB), ordered by position; the rolling
+ * summary of older turns is a JSONB column of the conversation.
+ */
+import { executeQuery, executeTransaction } from '../mcp-server/utils/db.js';
+import { newConversationId, capMessages, serializeMessages, deserializeMessages } from './messages.js';
+import logger from '../mcp-server/utils/logger.js';
+
+export const CONVERSATIONS_SCHEMA = 'ragmonsters_app';
+export const CONVERSATIONS_TABLE = `${CONVERSATIONS_SCHEMA}.conversations`;
+export const MESSAGES_TABLE = `${CONVERSATIONS_SCHEMA}.conversation_messages`;
+
+/**
+ * Map a conversation row to a summary
+ * @param {Object} row - Row of the conversations table
+ * @returns {Object} Conversation summary
+ */
+function toSummary(row) {
+  return {
+    id: row.conversation_id,
+    title: row.title,
+    owner: row.owner,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+    messageCount: row.message_count
+  };
+}
+
+/**
+ * Write the full message list of a conversation
+ * @param {Object} client - Client inside a transaction
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - LangChain messages
+ */
+async function writeMessages(client, id, messages) {
+  await client.query(`DELETE FROM ${MESSAGES_TABLE} WHERE conversation_id = $1`, [id]);
+  await client.query(`
+    INSERT INTO ${MESSAGES_TABLE} (conversation_id, position, message)
+    SELECT $1, t.ord - 1, t.value
+    FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS t(value, ord)
+  `, [id, JSON.stringify(serializeMessages(messages))]);
+}
+
+/**
+ * Create a PostgreSQL conversation store
+ * @param {Object} config - Store configuration (see getConversationConfig)
+ * @param {Object} config.pool - PostgreSQL connection pool
+ * @param {number} config.ttlMs - Inactivity period after which a conversation expires
+ * @param {number} config.maxMessages - Maximum messages kept per conversation
+ * @param {number} config.maxPerOwner - Maximum conversations per owner (oldest are evicted)
+ * @returns {Object} Conversation store
+ */
+export function createPostgresConversationStore({ pool, ttlMs, maxMessages, maxPerOwner }) {
+  if (!pool) {
+    throw new Error('The postgres conversation store requires a database pool');
+  }
+
+  const ttlSeconds = Math.round(ttlMs / 1000);
+
+  return {
+    name: 'postgres',
+
+    async initialize() {
+      await executeQuery(pool, `CREATE SCHEMA IF NOT EXISTS ${CONVERSATIONS_SCHEMA}`);
+      await executeQuery(pool, `
+        CREATE TABLE IF NOT EXISTS ${CONVERSATIONS_TABLE} (
+          conversation_id UUID PRIMARY KEY,
+          owner VARCHAR(255),
+          title VARCHAR(255) NOT NULL,
+          message_count INTEGER NOT NULL DEFAULT 0,
+          summary JSONB,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          expires_at TIMESTAMPTZ NOT NULL
+        )
+      `);
+      // Tables created before the rolling summary was stored separately
+      await executeQuery(pool, `ALTER TABLE ${CONVERSATIONS_TABLE} ADD COLUMN IF NOT EXISTS summary JSONB`);
+      await executeQuery(pool, `
+        CREATE TABLE IF NOT EXISTS ${MESSAGES_TABLE} (
+          conversation_id UUID NOT NULL REFERENCES ${CONVERSATIONS_TABLE}(conversation_id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          message JSONB NOT NULL,
+          PRIMARY KEY (conversation_id, position)
+        )
+      `);
+      await executeQuery(pool, `
+        CREATE INDEX IF NOT EXISTS idx_conversations_owner_updated
+        ON ${CONVERSATIONS_TABLE}(owner, updated_at DESC)
+      `);
+      await executeQuery(pool, `
+        CREATE INDEX IF NOT EXISTS idx_conversations_expires
+        ON ${CONVERSATIONS_TABLE}(expires_at)
+      `);
+    },
+
+    async create({ owner = null, title, messages, summary = null }) {
+      const id = newConversationId();
+      const capped = capMessages(messages, maxMessages);
+
+      const row = await executeTransaction(pool, async (client) => {
+        const result = await client.query(`
+          INSERT INTO ${CONVERSATIONS_TABLE} (conversation_id, owner, title, message_count, summary, expires_at)
+          VALUES ($1, $2, $3, $4, $5, now() + make_interval(secs => $6))
+          RETURNING *
+        `, [id, owner, title, capped.length, summary, ttlSeconds]);
+        await writeMessages(client, id, capped);
+
+        // Evict the least recently updated conversations of this owner beyond the cap
+        await client.query(`
+          DELETE FROM ${CONVERSATIONS_TABLE}
+          WHERE conversation_id IN (
+            SELECT conversation_id FROM ${CONVERSATIONS_TABLE}
+            WHERE owner IS NOT DISTINCT FROM $1
+            ORDER BY updated_at DESC
+            OFFSET $2
+          )
+        `, [owner, maxPerOwner]);
+
+        return result.rows[0];
+      });
+
+      return { ...toSummary(row), messages: capped, summary: row.summary };
+    },
+
+    async get(id, { owner = null } = {}) {
+      const rows = await executeQuery(pool, `
+        SELECT * FROM ${CONVERSATIONS_TABLE}
+        WHERE conversation_id = $1
+          AND owner IS NOT DISTINCT FROM $2
+          AND expires_at > now()
+      `, [id, owner]);
+      if (rows.length === 0) return null;
+
+      const messages = await executeQuery(pool, `
+        SELECT message FROM ${MESSAGES_TABLE}
+        WHERE conversation_id = $1
+        ORDER BY position
+      `, [id]);
+
+      const { messageCount, ...conversation } = toSummary(rows[0]);
+      return { ...conversation, messages: deserializeMessages(messages.map(m => m.message)), summary: rows[0].summary };
+    },
+
+    async list({ owner = null, limit = 50 } = {}) {
+      const rows = await executeQuery(pool, `
+        SELECT * FROM ${CONVERSATIONS_TABLE}
+        WHERE owner IS NOT DISTINCT FROM $1
+          AND expires_at > now()
+        ORDER BY updated_at DESC
+        LIMIT $2
+      `, [owner, limit]);
+      return rows.map(toSummary);
+    },
+
+    async replaceMessages(id, messages, { owner = null, summary = null } = {}) {
+      const capped = capMessages(messages, maxMessages);
+
+      // Expiry and ownership are checked by the update itself, so a conversation
+      // purged or deleted since it was loaded is reported instead of failing
+      const row = await executeTransaction(pool, async (client) => {
+        const result = await client.query(`
+          UPDATE ${CONVERSATIONS_TABLE}
+          SET message_count = $2, summary = $5, updated_at = now(), expires_at = now() + make_interval(secs => $3)
+          WHERE conversation_id = $1
+            AND owner IS NOT DISTINCT FROM $4
+            AND expires_at > now()
+          RETURNING *
+        `, [id, capped.length, ttlSeconds, owner, summary]);
+        if (result.rows.length === 0) return null;
+        await writeMessages(client, id, capped);
+        return result.rows[0];
+      });
+      if (!row) return null;
+
+      const { messageCount, ...conversation } = toSummary(row);
+      return { ...conversation, messages: capped, summary: row.summary };
+    },
+
+    async rename(id, title, { owner = null } = {}) {
+      const rows = await executeQuery(pool, `
+        UPDATE ${CONVERSATIONS_TABLE}
+        SET title = $3, updated_at = now()
+        WHERE conversation_id = $1
+          AND owner IS NOT DISTINCT FROM $2
+          AND expires_at > now()
+        RETURNING *
+      `, [id, owner, title]);
+      return rows.length > 0 ? toSummary(rows[0]) : null;
+    },
+
+    async remove(id, { owner = null } = {}) {
+      const rows = await executeQuery(pool, `
+        DELETE FROM ${CONVERSATIONS_TABLE}
+        WHERE conversation_id = $1
+          AND owner IS NOT DISTINCT FROM $2
+        RETURNING conversation_id
+      `, [id, owner]);
+      return rows.length > 0;
+    },
+
+    async purgeExpired() {
+      const rows = await executeQuery(pool, `
+        DELETE FROM ${CONVERSATIONS_TABLE}
+        WHERE expires_at <= now()
+        RETURNING conversation_id
+      `);
+      if (rows.length > 0) {
+        logger.info(`Purged ${rows.length} expired conversations`);
+      }
+      return rows.length;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Conversation management endpoints of the web API
+ *
+ * Every endpoint is scoped to the caller's own conversations (see requestOwner):
+ * another caller's conversation answers 404, as if it did not exist.
+ */
+import express from 'express';
+import { requestOwner } from '../auth.js';
+import { isConversationId, toApiMessages } from './messages.js';
+
+/**
+ * Create the router of /api/conversations
+ * @param {Object} options - Router dependencies
+ * @param {Object} options.store - Conversation store
+ * @param {Object} options.auth - Authentication middleware (see createAuthMiddleware)
+ * @returns {express.Router} Router to mount at /api/conversations
+ */
+export function createConversationRouter({ store, auth }) {
+  const router = express.Router();
+  router.use(auth.authenticate, auth.requireScope('chat'));
+
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const conversations = await store.list({ owner: requestOwner(req), limit });
+      res.json({ conversations });
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      res.status(500).json({ error: `Failed to list conversations: ${error.message}` });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const conversation = isConversationId(req.params.id)
+        ? await store.get(req.params.id, { owner: requestOwner(req) })
+        : null;
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      const { messages, owner, summary, ...details } = conversation;
+      res.json({ ...details, summary: summary?.text ?? null, messages: toApiMessages(messages) });
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      res.status(500).json({ error: `Failed to fetch conversation: ${error.message}` });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+    if (!title || title.length > 255) {
+      return res.status(400).json({ error: 'Title must be a non-empty string of at most 255 characters' });
+    }
+
+    try {
+      const conversation = isConversationId(req.params.id)
+        ? await store.rename(req.params.id, title, { owner: requestOwner(req) })
+        : null;
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      const { owner, ...summary } = conversation;
+      res.json(summary);
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+      res.status(500).json({ error: `Failed to rename conversation: ${error.message}` });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const removed = isConversationId(req.params.id)
+        && await store.remove(req.params.id, { owner: requestOwner(req) });
+      if (!removed) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      res.status(500).json({ error: `Failed to delete conversation: ${error.message}` });
+    }
+  });
+
+  return router;
+}
@@ -5,7 +5,25 @@ import dotenv from 'dotenv';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { initializeDbPool, createMCPServer } from './mcp-server/index.js';
-import { createAgent, processMessage, getSystemMessage, formatResponse } from './llm.js';
+import { startServer, registerShutdownHandlers, getTransportConfig } from './mcp-server/utils/transport.js';
+import { createAgent, processMessage, streamMessage, getSystemMessage, formatResponse } from './llm.js';
+import { createLlmProviders } from './providers/index.js';
+import { createAuthMiddleware, requestOwner } from './auth.js';
+import { createRateLimitMiddleware } from './rateLimit.js';
+import { createRateLimiter } from './mcp-server/utils/rateLimit.js';
+import {
+  createConversationStore,
+  isConversationId,
+  saveConversation,
+  getHistoryConfig,
+  createSummarizer,
+  compactHistory,
+  isSummaryMessage,
+  toStoredSummary,
+  fromStoredSummary
+} from './conversations/index.js';
+import { createConversationRouter } from './conversations/routes.js';
+import { createAuthenticators, createMcpAuthenticate, getTrustProxy } from './mcp-server/utils/auth.js';
 import logger from './mcp-server/utils/logger.js';
 
 // Load environment variables
@@ -16,21 +34,20 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 8080;
 
+// Time given to open connections to finish on shutdown before they are cut
+// (under the forced exit of registerShutdownHandlers)
+const SHUTDOWN_GRACE_MS = 5000;
+
 /**
  * Create an MCP client that connects to the server
- * @param {Object} server - The MCP server instance
+ *
+ * By default the client talks to the server created by this process through an
+ * in-memory transport pair. Set MCP_CLIENT_MODE=child to spawn the MCP server as
+ * a separate process over STDIO instead (it then opens its own database pool).
+ * @param {LinkableFastMCP} server - The MCP server instance
  * @returns {Promise<Client>} The MCP client
  */
 async function createMCPClient(server) {
-  console.log('Creating STDIO transport to communicate with the MCP server');
-  
-  // Create a transport that communicates with the server via STDIO
-  const transport = new StdioClientTransport({
-    command: "node",
-    args: ["./src/mcp-server/index.js"],
-    debug: process.env.NODE_ENV !== 'production'  // Enable debug mode in development
-  });
-
   // Create the MCP client with a reasonable timeout
   console.log('Creating MCP client');
   const client = new Client({
@@ -38,9 +55,25 @@ async function createMCPClient(server) {
     version: "1.0.0",
     timeout: 10000  // 10 second timeout
   });
-  
-  await client.connect(transport);
-  console.log("MCP client connected to server");
+
+  if (process.env.MCP_CLIENT_MODE === 'child') {
+    console.log('Creating STDIO transport to a child MCP server process');
+
+    // The child always uses stdio, whatever transport the web app's own server uses
+    const transport = new StdioClientTransport({
+      command: "node",
+      args: ["./src/mcp-server/index.js"],
+      env: { ...process.env, MCP_TRANSPORT: 'stdio' },
+      debug: process.env.NODE_ENV !== 'production'  // Enable debug mode in development
+    });
+
+    await client.connect(transport);
+    console.log("MCP client connected to child server");
+    return client;
+  }
+
+  await server.connectClient(client);
+  console.log("MCP client connected to in-process server");
   return client;
 }
 
@@ -51,15 +84,30 @@ async function initializeApp() {
   // Initialize database pool for the web application
   const dbPool = initializeDbPool();
   
-  // Create and start the MCP server
-  const mcpServer = await createMCPServer(dbPool);
-  mcpServer.start({
-    transportType: "stdio",
+  // Create the MCP server; it is only exposed to remote clients over HTTP, since
+  // this process's stdio belongs to the web server
+  const authenticators = createAuthenticators();
+  const transportConfig = getTransportConfig();
+  const rateLimiter = createRateLimiter();
+  const mcpServer = await createMCPServer(dbPool, {
+    // Without authenticators, HTTP sessions are anonymous and rate limited by client address
+    authenticate: transportConfig.type !== 'stdio' ? createMcpAuthenticate(authenticators) : undefined,
+    rateLimiter
   });
-  console.log('MCP server started with STDIO transport');
+  if (transportConfig.type !== 'stdio') {
+    await startServer(mcpServer, transportConfig);
+    console.log(`MCP server started with ${transportConfig.type} transport`);
+  }
   
   // Create an MCP client to communicate with the server
   const mcpClient = await createMCPClient(mcpServer);
+
+  // Conversation storage for the chat API, with expired conversations purged hourly
+  const conversationStore = await createConversationStore({ pool: dbPool });
+  const purgeTimer = setInterval(() => {
+    conversationStore.purgeExpired().catch(error => console.error('Error purging conversations:', error));
+  }, 60 * 60 * 1000);
+  purgeTimer.unref();
   
   // List available tools, resources, and prompts
   try {
@@ -78,9 +126,20 @@ async function initializeApp() {
   // Create Express application
   const app = express();
   
+  // Behind a reverse proxy, rate limits need the client address from X-Forwarded-For
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', getTrustProxy());
+  }
+
   // Middleware
   app.use(express.json());
   app.use(express.static(path.join(__dirname, 'public')));
+
+  // Authentication for the API (disabled when no credentials are configured)
+  const auth = createAuthMiddleware(authenticators);
+
+  // Per-client rate limits, with separate budgets for raw tool calls and chat
+  const rateLimit = createRateLimitMiddleware(rateLimiter);
   
   // Health check endpoint
   app.get('/health', (req, res) => {
@@ -88,7 +147,7 @@ async function initializeApp() {
   });
   
   // MCP tools API endpoint
-  app.get('/api/tools', async (req, res) => {
+  app.get('/api/tools', auth.authenticate, auth.requireScope('tools:read'), async (req, res) => {
     try {
       const tools = await mcpClient.listTools();
       res.json(tools);
@@ -99,7 +158,7 @@ async function initializeApp() {
   });
   
   // MCP tool execution endpoint
-  app.post('/api/tools/:toolName', async (req, res) => {
+  app.post('/api/tools/:toolName', auth.authenticate, auth.requireScope(req => `tools:call:${req.params.toolName}`), rateLimit('tools'), async (req, res) => {
     const { toolName } = req.params;
     const args = req.body;
     
@@ -115,79 +174,233 @@ async function initializeApp() {
     }
   });
   
-  // Initialize the LangChain agent with MCP tools
-  let agent = null;
+  // LLM providers the chat can use, and the LangChain agents built on them (one per provider and model)
+  const llmProviders = createLlmProviders();
+  const agents = new Map();
+
+  /**
+   * Get the agent of an LLM provider, creating it on first use
+   * (must be done before building a system message, to populate the resource/prompt cache)
+   */
+  const getAgent = (llm) => {
+    const key = `${llm.name}:${llm.model}`;
+    if (!agents.has(key)) {
+      console.log(`Creating LangChain agent with MCP tools for ${key}`);
+      agents.set(key, createAgent(mcpClient, llm.chatModel).catch(error => {
+        agents.delete(key);
+        throw error;
+      }));
+    }
+    return agents.get(key);
+  };
+
+  /**
+   * Pick the LLM provider requested by a chat request, answering 400 if it is not available
+   * @returns {Object|null} The provider, or null when the response was sent
+   */
+  const selectLlm = (req, res) => {
+    try {
+      return llmProviders.select({ provider: req.body.provider, model: req.body.model });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+  };
+
+  // How much of a conversation is sent back to the agent on every message
+  const historyConfig = getHistoryConfig();
+
+  /**
+   * Load the caller's conversation (or none for a new one) and build its history:
+   * a system message fitted to the new user message, then the compacted previous
+   * messages (rolling summary of older turns, answered tool results elided).
+   * The stored transcript itself is returned unchanged, with the updated summary.
+   */
+  const loadConversation = async (conversationId, owner, message, llm) => {
+    const existing = isConversationId(conversationId)
+      ? await conversationStore.get(conversationId, { owner })
+      : null;
+    const transcript = existing
+      ? existing.messages.filter(m => m._getType() !== 'system' || isSummaryMessage(m))
+      : [];
+    const compacted = await compactHistory(transcript, {
+      config: historyConfig,
+      summarize: createSummarizer(historyConfig, llm.chatModel),
+      summary: fromStoredSummary(transcript, existing?.summary ?? null)
+    });
+    return {
+      existing,
+      transcript,
+      summary: compacted.summary,
+      history: [getSystemMessage(message), ...compacted.messages]
+    };
+  };
+
+  /**
+   * Persist the full transcript (previous messages, the user message and the agent's
+   * messages) with the rolling summary; only the copy sent to the agent was compacted
+   */
+  const saveTurn = ({ conversation, owner, message, response }) => {
+    const { existing, transcript, summary, history } = conversation;
+    const messages = [...transcript, ...response.allMessages.slice(history.length)];
+    return saveConversation(conversationStore, {
+      existing,
+      owner,
+      message,
+      messages,
+      summary: toStoredSummary(messages, summary)
+    });
+  };
   
+  // LLM providers and models chat requests may select
+  app.get('/api/chat/providers', auth.authenticate, auth.requireScope('chat'), (req, res) => {
+    res.json(llmProviders.list());
+  });
+
   // Chat endpoint for LLM interaction
-  app.post('/api/chat', async (req, res) => {
+  app.post('/api/chat', auth.authenticate, auth.requireScope('chat'), rateLimit('chat'), async (req, res) => {
     const { message, conversationId } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+
+    const llm = selectLlm(req, res);
+    if (!llm) return;
     
     try {
-      // Create the agent if it doesn't exist (must be done first to populate resource/prompt cache)
-      if (!agent) {
-        console.log('Creating LangChain agent with MCP tools');
-        agent = await createAgent(mcpClient);
-      }
+      const chatAgent = await getAgent(llm);
+      const owner = requestOwner(req);
+      const loaded = await loadConversation(conversationId, owner, message, llm);
 
-      // Get conversation history from session or create new one
-      let conversation = {};
-      if (conversationId && app.locals.conversations && app.locals.conversations[conversationId]) {
-        conversation = app.locals.conversations[conversationId];
-      } else {
-        // Initialize conversation storage if it doesn't exist
-        if (!app.locals.conversations) {
-          app.locals.conversations = {};
-        }
-
-        // Create a new conversation with system message (after agent is created so resources are cached)
-        const newConversationId = Date.now().toString();
-        app.locals.conversations[newConversationId] = {
-          id: newConversationId,
-          messages: [
-            getSystemMessage()
-          ]
-        };
-        conversation = app.locals.conversations[newConversationId];
-      }
-      
       // Process the message with LangChain agent
       console.log('Processing message with LangChain agent');
-      const response = await processMessage(message, agent, conversation.messages);
-      
-      // Add all new messages to conversation history
-      // Skip the first message which is the user message we already have
-      const newMessages = response.allMessages.slice(conversation.messages.length);
-      conversation.messages = [...conversation.messages, ...newMessages];
-      
+      const response = await processMessage(message, chatAgent, loaded.history);
+      const conversation = await saveTurn({ conversation: loaded, owner, message, response });
+
       // Format the response for the client
       const formattedResponse = formatResponse(response);
-      
-      // Return the response to the client
+
+      // Return the response to the client, with the trace of the tools used to answer
       return res.json({
         conversationId: conversation.id,
-        message: formattedResponse
+        message: formattedResponse,
+        trace: response.trace,
+        provider: llm.name,
+        model: llm.model
       });
-      
+
     } catch (error) {
       console.error('Error processing chat message:', error);
       res.status(500).json({ error: `Failed to process message: ${error.message}` });
     }
   });
+
+  // Chat streams in progress, aborted on shutdown
+  const activeStreams = new Set();
+  let stopping = false;
+
+  // Streaming chat endpoint: Server-Sent Events with token deltas, tool calls and the final message
+  app.post('/api/chat/stream', auth.authenticate, auth.requireScope('chat'), rateLimit('chat'), async (req, res) => {
+    const { message, conversationId } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const llm = selectLlm(req, res);
+    if (!llm) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Stop the agent when the client goes away (e.g. the user cancelled the request)
+    // or the server shuts down
+    const abortController = new AbortController();
+    activeStreams.add(abortController);
+    res.on('close', () => {
+      activeStreams.delete(abortController);
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    try {
+      const chatAgent = await getAgent(llm);
+      const owner = requestOwner(req);
+      const loaded = await loadConversation(conversationId, owner, message, llm);
+
+      console.log('Streaming message with LangChain agent');
+      const response = await streamMessage(message, chatAgent, loaded.history, {
+        signal: abortController.signal,
+        onEvent: ({ type, ...data }) => send(type, data)
+      });
+      const conversation = await saveTurn({ conversation: loaded, owner, message, response });
+
+      send('done', {
+        conversationId: conversation.id,
+        message: formatResponse(response),
+        trace: response.trace,
+        provider: llm.name,
+        model: llm.model
+      });
+    } catch (error) {
+      if (stopping) {
+        send('error', { error: 'The server is shutting down' });
+      } else if (abortController.signal.aborted) {
+        console.log('Chat stream cancelled by the client');
+        return;
+      } else {
+        console.error('Error streaming chat message:', error);
+        send('error', { error: `Failed to process message: ${error.message}` });
+      }
+    }
+    res.end();
+  });
   
+  // Conversation management endpoints (scoped to the caller's own conversations)
+  app.use('/api/conversations', createConversationRouter({ store: conversationStore, auth }));
+
   // Start Express server
   const server = app.listen(PORT, () => {
     console.log(`Web server listening on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to access the application`);
     console.log(`API available at http://localhost:${PORT}/api/tools`);
     console.log(`Chat API available at http://localhost:${PORT}/api/chat`);
+    console.log(`Streaming chat API available at http://localhost:${PORT}/api/chat/stream`);
+    if (transportConfig.type !== 'stdio') {
+      console.log(`MCP endpoint available at http://localhost:${transportConfig.port}${transportConfig.endpoint}`);
+    }
+  });
+
+  // Stop the web server, the MCP client and server, then the pool
+  registerShutdownHandlers(mcpServer, async () => {
+    clearInterval(purgeTimer);
+
+    // server.close() waits for every connection: end the chat streams and drop
+    // idle keep-alive sockets, then cut whatever is still open after the grace period
+    stopping = true;
+    const closed = new Promise(resolve => server.close(resolve));
+    for (const abortController of activeStreams) {
+      abortController.abort();
+    }
+    server.closeIdleConnections();
+    const forceClose = setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS);
+    await closed;
+    clearTimeout(forceClose);
+    await mcpClient.close();
+    await dbPool.end();
   });
   
   // Return the initialized components
-  return { app, server, dbPool, mcpClient, mcpServer };
+  return { app, server, dbPool, mcpClient, mcpServer, conversationStore };
 }
 
 // Start the application when this file is run directly
@@ -1,22 +1,14 @@
 import dotenv from 'dotenv';
-import { ChatOpenAI } from '@langchain/openai';
 import { createReactAgent } from '@langchain/langgraph/prebuilt';
 import { loadMcpTools } from '@langchain/mcp-adapters';
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { buildContext } from './context.js';
 import logger from './mcp-server/utils/logger.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize OpenAI client
-const model = new ChatOpenAI({
-  modelName: process.env.LLM_API_MODEL || 'gpt-5-mini',
-  apiKey: process.env.LLM_API_KEY,
-  temperature: 1,
-  configuration: {
-    baseURL: process.env.LLM_API_URL || 'https://api.openai.com/v1',
-  }
-});
-
 // Cache for MCP resources and prompts (loaded once at agent creation)
 let cachedResources = null;
 let cachedPrompts = null;
@@ -40,6 +32,7 @@ async function fetchResources(mcpClient) {
         const content = await mcpClient.readResource({ uri: resource.uri });
         const textContent = content.contents?.[0]?.text || '';
         resources[resource.uri] = {
+          uri: resource.uri,
           name: resource.name,
           description: resource.description,
           content: textContent
@@ -69,10 +62,13 @@ async function fetchPrompts(mcpClient) {
     const promptList = await mcpClient.listPrompts();
     logger.info(`Fetching ${promptList.prompts.length} prompts from MCP server`);
 
-    // Get each prompt's content
+    // Get each prompt's workflow (blank arguments: the generic workflow, without embedded data)
     for (const prompt of promptList.prompts) {
       try {
-        const promptContent = await mcpClient.getPrompt({ name: prompt.name });
+        const promptContent = await mcpClient.getPrompt({
+          name: prompt.name,
+          arguments: Object.fromEntries((prompt.arguments || []).map(argument => [argument.name, '']))
+        });
         const textContent = promptContent.messages?.[0]?.content?.text ||
                            promptContent.messages?.[0]?.content || '';
         prompts[prompt.name] = {
@@ -92,13 +88,38 @@ async function fetchPrompts(mcpClient) {
   return prompts;
 }
 
+/**
+ * Create the agent tool reading MCP resources on demand
+ *
+ * The system message only carries what fits its context budget; this tool
+ * gives the agent the full text of any resource.
+ * @param {Client} mcpClient - Raw MCP client instance from @modelcontextprotocol/sdk
+ * @returns {StructuredTool} - The readResource tool
+ */
+function createReadResourceTool(mcpClient) {
+  return tool(async ({ uri }) => {
+    const content = await mcpClient.readResource({ uri });
+    // Entity resources come as Markdown and JSON: the Markdown is enough for the agent
+    const contents = content.contents || [];
+    const readable = contents.filter(item => item.mimeType !== 'application/json');
+    return (readable.length > 0 ? readable : contents).map(item => item.text ?? '').join('\n');
+  }, {
+    name: 'readResource',
+    description: 'Read the full text of an MCP resource, e.g. ragmonsters://habitats, or of one monster, habitat or category: ragmonsters://monsters/{id}, ragmonsters://habitats/{name}, ragmonsters://categories/{name} (URL-encode names). Use it when the Available Knowledge section is truncated or only lists a resource.',
+    schema: z.object({
+      uri: z.string().describe('URI of the resource to read')
+    })
+  });
+}
+
 /**
  * Create a LangChain agent with the provided MCP client
  * Fetches and caches resources and prompts for injection into system message
  * @param {Client} mcpClient - Raw MCP client instance from @modelcontextprotocol/sdk
+ * @param {BaseChatModel} chatModel - Chat model of the selected LLM provider (see src/providers)
  * @returns {Object} - The LangChain ReAct agent
  */
-export async function createAgent(mcpClient) {
+export async function createAgent(mcpClient, chatModel) {
   // Convert MCP tools to LangChain format
   const tools = await loadMcpTools(null, mcpClient);
   logger.info(`Loaded ${tools.length} tools from MCP server`);
@@ -111,43 +132,185 @@ export async function createAgent(mcpClient) {
   cachedPrompts = await fetchPrompts(mcpClient);
   logger.info(`Cached ${Object.keys(cachedPrompts).length} prompts`);
 
-  // Create the LangChain ReAct agent
-  return createReactAgent({ llm: model, tools });
+  // Create the LangChain ReAct agent, with on-demand access to the resources
+  return createReactAgent({ llm: chatModel, tools: [...tools, createReadResourceTool(mcpClient)] });
 }
 
 /**
- * Process a user message with the LangChain agent
+ * Build the agent input and run options for a user message
  * @param {string} userMessage - The user's message
- * @param {Object} agent - The LangChain agent
  * @param {Array} messages - Previous conversation messages
- * @returns {Object} - The LLM response with any tool calls
+ * @returns {Object} - { input, options }
  */
-export async function processMessage(userMessage, agent, messages = []) {
-  try {
+function buildAgentRun(userMessage, messages) {
+  return {
     // Add the user message to the conversation history
-    const updatedMessages = [
-      ...messages,
-      { role: 'user', content: userMessage }
-    ];
-
-    // Invoke the agent with the messages
-    const response = await agent.invoke({
-      messages: updatedMessages,
+    input: {
+      messages: [
+        ...messages,
+        { role: 'user', content: userMessage }
+      ]
+    },
+    // Bound the ReAct loop
+    options: {
+      recursionLimit: parseInt(process.env.CHAT_MAX_AGENT_STEPS || '25', 10)
+    }
+  };
+}
+
+/**
+ * Extract the text of a message or streamed message chunk
+ * @param {Object} message - LangChain message or AIMessageChunk
+ * @returns {string} - Text content (empty for tool-call-only chunks)
+ */
+function messageText(message) {
+  if (typeof message?.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message?.content)) {
+    return message.content
+      .filter(part => part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('');
+  }
+  return '';
+}
+
+/**
+ * Create a timer for the tool runs of one agent invocation
+ *
+ * Runs are identified by their callback run ID. A run is matched to its tool
+ * call by the tool call ID of its ToolMessage, or for failed runs (which have
+ * no ToolMessage) by tool name, in order.
+ * @returns {Object} - { start, end, durationOf, handler }
+ */
+function createToolTimer() {
+  const running = new Map();
+  const finished = [];
+
+  const timer = {
+    start(runId, name) {
+      running.set(runId, { name, startedAt: Date.now() });
+    },
+
+    /**
+     * @returns {number} - Duration of the run in milliseconds
+     */
+    end(runId, toolCallId = null) {
+      const run = running.get(runId) ?? { name: null, startedAt: Date.now() };
+      running.delete(runId);
+      const durationMs = Date.now() - run.startedAt;
+      finished.push({ name: run.name, toolCallId, durationMs, claimed: false });
+      return durationMs;
+    },
+
+    /**
+     * @returns {number|null} - Duration of the tool call, if it ran
+     */
+    durationOf(toolCall) {
+      const run = finished.find(r => !r.claimed && r.toolCallId === toolCall.id)
+        ?? finished.find(r => !r.claimed && !r.toolCallId && r.name === toolCall.name);
+      if (!run) return null;
+      run.claimed = true;
+      return run.durationMs;
+    },
+
+    // Callback handler feeding the timer, for runs that are not streamed
+    handler: {
+      handleToolStart: (tool, input, runId, parentRunId, tags, metadata, runName) => timer.start(runId, runName),
+      handleToolEnd: (output, runId) => timer.end(runId, output?.tool_call_id),
+      handleToolError: (error, runId) => timer.end(runId)
+    }
+  };
+
+  return timer;
+}
+
+/**
+ * Build the trace of the tool calls made while answering one message
+ * @param {Array} turnMessages - Messages added by the agent for this message
+ * @param {Object} timer - Tool timer of the run
+ * @returns {Array<Object>} - { id, tool, args, result, truncated, status, durationMs } per tool call
+ */
+function buildToolTrace(turnMessages, timer) {
+  const maxResultChars = parseInt(process.env.CHAT_TRACE_MAX_RESULT_CHARS || '1000', 10);
+  const results = new Map(turnMessages
+    .filter(msg => msg._getType() === 'tool')
+    .map(msg => [msg.tool_call_id, msg]));
+
+  return turnMessages
+    .flatMap(msg => msg.tool_calls ?? [])
+    .map(toolCall => {
+      const result = results.get(toolCall.id);
+      const text = result ? messageText(result) : '';
+      return {
+        id: toolCall.id,
+        tool: toolCall.name,
+        args: toolCall.args,
+        result: text.length > maxResultChars ? `${text.slice(0, maxResultChars)}...` : text,
+        truncated: text.length > maxResultChars,
+        status: !result ? 'skipped' : result.status === 'error' ? 'error' : 'success',
+        durationMs: timer.durationOf(toolCall)
+      };
     });
+}
+
+/**
+ * Shape the agent's final messages as a chat result
+ * @param {Array} agentMessages - Messages of the agent's final state
+ * @param {number} turnStart - Index of the first message added by the agent
+ * @param {Object} timer - Tool timer of the run
+ * @returns {Object} - { message, toolCalls, trace, allMessages }
+ */
+function toChatResult(agentMessages, turnStart, timer) {
+  const turnMessages = agentMessages.slice(turnStart);
 
-    // Extract tool calls from the response
-    const toolCalls = response.messages
-      .filter(msg => msg.tool_calls && msg.tool_calls.length > 0)
-      .flatMap(msg => msg.tool_calls);
+  // Extract this turn's tool calls from the response
+  const toolCalls = turnMessages
+    .filter(msg => msg.tool_calls && msg.tool_calls.length > 0)
+    .flatMap(msg => msg.tool_calls);
 
+  return {
     // Get the final answer (last message)
-    const lastMessage = response.messages[response.messages.length - 1];
+    message: agentMessages[agentMessages.length - 1],
+    toolCalls: toolCalls,
+    trace: buildToolTrace(turnMessages, timer),
+    allMessages: agentMessages,
+  };
+}
+
+/**
+ * Recover the arguments of a tool call from an on_tool_start event
+ *
+ * Tool callbacks receive the arguments serialized to a string, which the
+ * event stream wraps as { input }.
+ * @param {*} input - event.data.input
+ * @returns {*} - Parsed arguments when possible, the raw input otherwise
+ */
+function toolArgs(input) {
+  if (typeof input?.input !== 'string') {
+    return input;
+  }
+  try {
+    return JSON.parse(input.input);
+  } catch {
+    return input.input;
+  }
+}
 
-    return {
-      message: lastMessage,
-      toolCalls: toolCalls,
-      allMessages: response.messages,
-    };
+/**
+ * Process a user message with the LangChain agent
+ * @param {string} userMessage - The user's message
+ * @param {Object} agent - The LangChain agent
+ * @param {Array} messages - Previous conversation messages
+ * @returns {Object} - The LLM response with this turn's tool calls and their trace
+ */
+export async function processMessage(userMessage, agent, messages = []) {
+  try {
+    const { input, options } = buildAgentRun(userMessage, messages);
+    const timer = createToolTimer();
+    const response = await agent.invoke(input, { ...options, callbacks: [timer.handler] });
+    return toChatResult(response.messages, input.messages.length, timer);
   } catch (error) {
     console.error('Error processing message:', error);
     throw error;
@@ -155,30 +318,93 @@ export async function processMessage(userMessage, agent, messages = []) {
 }
 
 /**
- * Get the system message for the RAGmonsters chat
- * Includes cached resources and prompts as context for the LLM
- * @returns {Object} - The system message
+ * Process a user message with the LangChain agent, reporting progress as it happens
+ *
+ * onEvent receives, in order of occurrence:
+ *   { type: 'token', content }                          - text delta from the model
+ *   { type: 'tool_start', id, name, args }              - a tool call begins
+ *   { type: 'tool_end', id, name, durationMs, error? }  - a tool call finished
+ * @param {string} userMessage - The user's message
+ * @param {Object} agent - The LangChain agent
+ * @param {Array} messages - Previous conversation messages
+ * @param {Object} [options] - Streaming options
+ * @param {Function} [options.onEvent] - Progress callback
+ * @param {AbortSignal} [options.signal] - Aborts the agent run (e.g. when the client disconnects)
+ * @returns {Object} - The LLM response with this turn's tool calls and their trace, as processMessage
  */
-export function getSystemMessage() {
-  // Build resource context from cached resources
-  let resourceContext = '';
-  if (cachedResources && Object.keys(cachedResources).length > 0) {
-    resourceContext = '\n\n## Available Knowledge (MCP Resources)\n\n';
-    resourceContext += 'Use this information to answer questions without calling tools when possible:\n\n';
-    for (const resource of Object.values(cachedResources)) {
-      resourceContext += `### ${resource.name}\n${resource.content}\n\n`;
+export async function streamMessage(userMessage, agent, messages = [], { onEvent = () => {}, signal } = {}) {
+  const { input, options } = buildAgentRun(userMessage, messages);
+  const timer = createToolTimer();
+  let rootRunId = null;
+  let finalState = null;
+
+  try {
+    const events = agent.streamEvents(input, { ...options, version: 'v2', signal });
+
+    for await (const event of events) {
+      // The first event is the start of the graph run itself
+      rootRunId ??= event.run_id;
+
+      switch (event.event) {
+        case 'on_chat_model_stream': {
+          const content = messageText(event.data.chunk);
+          if (content) {
+            onEvent({ type: 'token', content });
+          }
+          break;
+        }
+        case 'on_tool_start':
+          timer.start(event.run_id, event.name);
+          onEvent({ type: 'tool_start', id: event.run_id, name: event.name, args: toolArgs(event.data.input) });
+          break;
+        case 'on_tool_end':
+        case 'on_tool_error': {
+          const durationMs = timer.end(event.run_id, event.data.output?.tool_call_id);
+          onEvent({
+            type: 'tool_end',
+            id: event.run_id,
+            name: event.name,
+            durationMs,
+            // Only the first line: tool errors carry their stack trace
+            ...(event.event === 'on_tool_error' ? { error: String(event.data.error?.message ?? event.data.error).split('\n')[0] } : {})
+          });
+          break;
+        }
+        case 'on_chain_end':
+          // The output of the graph run is the final state
+          if (event.run_id === rootRunId) {
+            finalState = event.data.output;
+          }
+          break;
+      }
+    }
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error('Error streaming message:', error);
     }
+    throw error;
   }
 
-  // Build prompt context from cached prompts
-  let promptContext = '';
-  if (cachedPrompts && Object.keys(cachedPrompts).length > 0) {
-    promptContext = '\n\n## Available Workflows (MCP Prompts)\n\n';
-    promptContext += 'When the user asks for analysis, comparison, or strategy, follow the appropriate workflow:\n\n';
-    for (const prompt of Object.values(cachedPrompts)) {
-      promptContext += `### ${prompt.name}\n**Description:** ${prompt.description}\n\n**Workflow:**\n${prompt.content}\n\n---\n\n`;
-    }
+  if (!finalState) {
+    throw new Error('The agent finished without producing a response');
   }
+  return toChatResult(finalState.messages, input.messages.length, timer);
+}
+
+/**
+ * Get the system message for the RAGmonsters chat
+ * Includes the cached resources and the prompts relevant to the user's message,
+ * within the context budget (see src/context.js)
+ * @param {string} [userMessage] - The user's message, to pick relevant workflows
+ * @returns {Object} - The system message
+ */
+export function getSystemMessage(userMessage = '') {
+  const context = buildContext({
+    resources: Object.values(cachedResources || {}),
+    prompts: Object.values(cachedPrompts || {}),
+    userMessage
+  });
+  logger.info(`System message context: ~${context.tokens} tokens (resources: ${context.included.length} full, ${context.truncated.length} truncated, ${context.listed.length} listed; workflows: ${context.prompts.join(', ') || 'none'})`);
 
   return {
     role: 'system',
@@ -187,21 +413,32 @@ export function getSystemMessage() {
 ## Available Tools
 
 - **getMonsters**: Get a list of monsters with optional filtering, sorting, and pagination
-- **getMonsterById**: Get detailed information about a specific monster by ID
+- **getMonsterById**: Get detailed information about a specific monster by ID (use \`include\` to request only the sections you need, e.g. ["powers", "affinities"])
+- **getMonstersByIds**: Get detailed information about several monsters at once (prefer it over repeated getMonsterById calls)
+- **getHabitats**: Get all habitats with their number of monsters
+- **getCategories**: Get all categories with their number of subcategories and monsters
+- **getSubcategories**: Get subcategories (optionally of one category) with their number of monsters
 - **getBiomes**: Get a list of all available biomes
 - **getRarities**: Get a list of all available rarities
 - **getMonsterByHabitat**: Get monsters by habitat (use habitats from Available Knowledge)
 - **getMonsterByName**: Get monsters by name (partial match)
+- **searchMonsters**: Full-text and fuzzy search across monster descriptions, powers and weaknesses
+- **semanticSearchMonsters**: Semantic search for conceptual questions where exact words may not match
+- **getMonsterStats**: Counts and min/avg/max statistics grouped by category, rarity, habitat, etc.
 - **compareMonsters**: Compare two monsters side-by-side
+- **simulateMatchup**: Simulate a QuestWorlds contest between two monsters and get win probabilities
+- **suggestTeam**: Suggest ranked teams for an opponent, a habitat or general use, with a role for each member
+- **findCounters**: Find monsters that counter a given monster, with the modifiers that justify each one
+- **readResource**: Read the full text of a resource (schema, categories, habitats...) when the Available Knowledge section does not show all of it
 
 ## Guidelines
 
 - When users ask about monsters, use the appropriate tools to provide accurate information
 - Use the Available Knowledge section below to answer questions about schema, categories, habitats without calling tools
-- When users request analysis or comparisons, follow the workflows in the Available Workflows section
+- When users request analysis or comparisons, follow the workflows in the Relevant Workflows section
 - Format responses in a user-friendly way with proper formatting and organization
 - Use numbered or bulleted lists when showing multiple items
-- Be concise but informative${resourceContext}${promptContext}`
+- Be concise but informative${context.text}`
   };
 }
 
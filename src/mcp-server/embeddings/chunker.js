@@ -0,0 +1,72 @@
+/**
+ * Text chunking for embedding indexing
+ */
+
+/**
+ * Monster columns that are embedded, in display order
+ */
+export const EMBEDDED_FIELDS = [
+  'appearance',
+  'primary_power',
+  'secondary_power',
+  'special_ability',
+  'weakness',
+  'behavior_ecology',
+  'notable_specimens',
+  'discovery'
+];
+
+/**
+ * Split a text into overlapping chunks on sentence boundaries
+ * @param {string} text - Text to split
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChars=500] - Target maximum chunk length
+ * @param {number} [options.overlapSentences=1] - Sentences repeated at the start of the next chunk, when they fit
+ * @returns {Array<string>} Chunks (a single chunk for short texts; a sentence longer than maxChars is its own chunk)
+ */
+export function chunkText(text, { maxChars = 500, overlapSentences = 1 } = {}) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return [];
+  if (clean.length <= maxChars) return [clean];
+
+  const sentences = clean.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g).map(s => s.trim()).filter(Boolean);
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const sentence of sentences) {
+    if (current.length > 0 && length + sentence.length + 1 > maxChars) {
+      chunks.push(current.join(' '));
+      current = overlapSentences > 0 ? current.slice(-overlapSentences) : [];
+      length = current.reduce((sum, s) => sum + s.length + 1, 0);
+      // Drop overlap that would push the next chunk over the limit
+      while (current.length > 0 && length + sentence.length + 1 > maxChars) {
+        length -= current.shift().length + 1;
+      }
+    }
+    current.push(sentence);
+    length += sentence.length + 1;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join(' '));
+  }
+
+  return chunks;
+}
+
+/**
+ * Build the chunks to embed for one monster row
+ * @param {Object} monster - Row from ragmonsters.monsters
+ * @returns {Array<Object>} Chunks with field, chunkIndex and content
+ */
+export function chunkMonster(monster) {
+  const chunks = [];
+  for (const field of EMBEDDED_FIELDS) {
+    chunkText(monster[field]).forEach((content, chunkIndex) => {
+      // Prefix the monster name so each chunk is self-describing
+      chunks.push({ field, chunkIndex, content: `${monster.name}: ${content}` });
+    });
+  }
+  return chunks;
+}
@@ -0,0 +1,92 @@
+/**
+ * Pluggable embedding providers for semantic search
+ *
+ * An embedding provider is a plain object:
+ *   {
+ *     name: string,         // provider name stored alongside each vector
+ *     model: string,        // model name stored alongside each vector
+ *     dimensions: number,   // vector size (may be undefined until the first call)
+ *     embed: async (texts: string[]) => number[][]
+ *   }
+ *
+ * Vectors are only compared with vectors produced by the same provider and
+ * model, so switching provider requires re-running the indexing script.
+ */
+import { createLocalEmbedder } from './local.js';
+import { createOpenAIEmbedder } from './openai.js';
+import logger from '../utils/logger.js';
+
+export { chunkText, chunkMonster, EMBEDDED_FIELDS } from './chunker.js';
+
+// Registered provider factories, keyed by provider name
+const providerFactories = {
+  local: (config) => createLocalEmbedder({
+    dimensions: config.dimensions || 256
+  }),
+  openai: (config) => createOpenAIEmbedder({
+    model: config.model || 'text-embedding-3-small',
+    apiKey: config.apiKey,
+    baseURL: config.baseURL || 'https://api.openai.com/v1',
+    dimensions: config.dimensions
+  })
+};
+
+// Provider built from the environment (created lazily)
+let defaultProvider = null;
+
+/**
+ * Register an embedding provider factory
+ * @param {string} name - Provider name (used as EMBEDDING_PROVIDER value)
+ * @param {Function} factory - Function receiving the provider config and returning a provider
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providerFactories[name] = factory;
+  logger.info(`Registered embedding provider: ${name}`);
+}
+
+/**
+ * Read the embedding configuration from environment variables
+ * @returns {Object} Embedding provider configuration
+ */
+export function getEmbeddingConfig() {
+  return {
+    provider: process.env.EMBEDDING_PROVIDER || 'local',
+    model: process.env.EMBEDDING_MODEL,
+    dimensions: process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : undefined,
+    apiKey: process.env.EMBEDDING_API_KEY || process.env.LLM_API_KEY,
+    baseURL: process.env.EMBEDDING_API_URL || process.env.LLM_API_URL
+  };
+}
+
+/**
+ * Create an embedding provider
+ * @param {Object} [config] - Provider configuration (defaults to getEmbeddingConfig())
+ * @returns {Object} Embedding provider
+ */
+export function createEmbeddingProvider(config = getEmbeddingConfig()) {
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider '${config.provider}'. Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Get the embedding provider configured by the environment
+ * @returns {Object} Embedding provider
+ */
+export function getEmbeddingProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createEmbeddingProvider();
+    logger.info(`Using embedding provider ${defaultProvider.name} (${defaultProvider.model})`);
+  }
+  return defaultProvider;
+}
+
+/**
+ * Override the embedding provider used by the server (e.g. in tests)
+ * @param {Object|null} provider - Embedding provider, or null to reset to the environment default
+ */
+export function setEmbeddingProvider(provider) {
+  defaultProvider = provider;
+}
@@ -0,0 +1,96 @@
+/**
+ * Deterministic local embedding provider
+ *
+ * Uses the hashing trick over word unigrams, word bigrams and character
+ * trigrams to produce fixed-size, L2-normalised vectors. It needs no network
+ * access and always returns the same vector for the same text, which makes it
+ * suitable for offline development and tests. Quality is far below a real
+ * embedding model, but related texts that share vocabulary score higher.
+ */
+
+// Words too common to carry meaning
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'they', 'this',
+  'to', 'was', 'which', 'with', 'what', 'who', 'does', 'do'
+]);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into normalised word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Lowercase tokens without stop words
+ */
+function tokenize(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[a-z0-9]+/g) || [];
+
+  // Very light stemming so that "controls" and "control" collide
+  return words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss')) ? word.slice(0, -1) : word);
+}
+
+/**
+ * Embed a single text into a normalised vector
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} Embedding vector
+ */
+export function embedText(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % dimensions] += sign * weight;
+  };
+
+  tokens.forEach((token, index) => {
+    addFeature(`w:${token}`, 1);
+    if (index > 0) {
+      addFeature(`b:${tokens[index - 1]} ${token}`, 0.5);
+    }
+    const padded = `_${token}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`c:${padded.slice(i, i + 3)}`, 0.25);
+    }
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create the local hashing embedder
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.dimensions=256] - Vector size
+ * @returns {Object} Embedding provider
+ */
+export function createLocalEmbedder({ dimensions = 256 } = {}) {
+  return {
+    name: 'local',
+    model: `hashing-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(text => embedText(text, dimensions));
+    }
+  };
+}
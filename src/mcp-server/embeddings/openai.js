@@ -0,0 +1,34 @@
+/**
+ * OpenAI-compatible embedding provider
+ *
+ * Works with any endpoint implementing the OpenAI /embeddings API.
+ */
+import { OpenAIEmbeddings } from '@langchain/openai';
+
+/**
+ * Create an OpenAI-compatible embedder
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Embedding model name
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - API base URL
+ * @param {number} [options.dimensions] - Requested vector size (text-embedding-3 and later)
+ * @returns {Object} Embedding provider
+ */
+export function createOpenAIEmbedder({ model, apiKey, baseURL, dimensions }) {
+  const client = new OpenAIEmbeddings({
+    model,
+    apiKey,
+    dimensions,
+    configuration: { baseURL }
+  });
+
+  return {
+    name: 'openai',
+    // Vectors of another size cannot be compared: the requested size is part of the stored model key
+    model: dimensions ? `${model}@${dimensions}` : model,
+    dimensions,
+    async embed(texts) {
+      return client.embedDocuments(texts);
+    }
+  };
+}
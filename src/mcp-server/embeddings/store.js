@@ -0,0 +1,190 @@
+/**
+ * Storage for monster text embeddings
+ *
+ * Embeddings live in ragmonsters.monster_embeddings. When the pgvector
+ * extension is available the vectors are stored in a `vector` column and
+ * ranked in SQL; otherwise they are stored as DOUBLE PRECISION[] and ranked
+ * in JavaScript with cosine similarity (fine for a catalog of this size).
+ */
+import { executeQuery, executeTransaction, hasExtension } from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+export const EMBEDDINGS_TABLE = 'ragmonsters.monster_embeddings';
+
+/**
+ * Cosine similarity between two vectors of the same length
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 if either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Detect how embeddings are stored
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<string|null>} 'pgvector', 'array', or null if the table does not exist
+ */
+export async function getEmbeddingStorage(pool) {
+  const result = await executeQuery(pool, `
+    SELECT udt_name
+    FROM information_schema.columns
+    WHERE table_schema = 'ragmonsters'
+      AND table_name = 'monster_embeddings'
+      AND column_name = 'embedding'
+  `);
+
+  if (result.length === 0) return null;
+  return result[0].udt_name === 'vector' ? 'pgvector' : 'array';
+}
+
+/**
+ * Create the embeddings table if needed, using pgvector when it can be enabled
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<string>} Storage type ('pgvector' or 'array')
+ */
+export async function ensureEmbeddingsTable(pool) {
+  const existing = await getEmbeddingStorage(pool);
+  if (existing) return existing;
+
+  try {
+    await executeQuery(pool, 'CREATE EXTENSION IF NOT EXISTS vector');
+  } catch (error) {
+    logger.info(`pgvector could not be enabled (${error.message}), falling back to array storage`);
+  }
+
+  const useVector = await hasExtension(pool, 'vector');
+  await executeQuery(pool, `
+    CREATE TABLE IF NOT EXISTS ${EMBEDDINGS_TABLE} (
+      embedding_id SERIAL PRIMARY KEY,
+      monster_id INTEGER NOT NULL REFERENCES ragmonsters.monsters(monster_id) ON DELETE CASCADE,
+      field VARCHAR(50) NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      embedding ${useVector ? 'vector' : 'DOUBLE PRECISION[]'} NOT NULL,
+      CONSTRAINT uq_monster_embedding_chunk UNIQUE (monster_id, field, chunk_index, provider, model)
+    )
+  `);
+  await executeQuery(pool, `
+    CREATE INDEX IF NOT EXISTS idx_monster_embeddings_model
+    ON ${EMBEDDINGS_TABLE}(provider, model)
+  `);
+
+  return useVector ? 'pgvector' : 'array';
+}
+
+/**
+ * Replace all embeddings produced by a provider/model with a new set
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} storage - Storage type returned by ensureEmbeddingsTable
+ * @param {Object} provider - Embedding provider that produced the vectors
+ * @param {Array<Object>} rows - Rows with monsterId, field, chunkIndex, content and embedding
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function replaceEmbeddings(pool, storage, provider, rows) {
+  return executeTransaction(pool, async (client) => {
+    await client.query(
+      `DELETE FROM ${EMBEDDINGS_TABLE} WHERE provider = $1 AND model = $2`,
+      [provider.name, provider.model]
+    );
+
+    const cast = storage === 'pgvector' ? '::vector' : '::double precision[]';
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO ${EMBEDDINGS_TABLE}
+          (monster_id, field, chunk_index, content, provider, model, embedding)
+        VALUES ($1, $2, $3, $4, $5, $6, $7${cast})`,
+        [
+          row.monsterId,
+          row.field,
+          row.chunkIndex,
+          row.content,
+          provider.name,
+          provider.model,
+          storage === 'pgvector' ? JSON.stringify(row.embedding) : row.embedding
+        ]
+      );
+    }
+
+    return rows.length;
+  });
+}
+
+/**
+ * Find the monsters closest to a query vector, with their best matching chunk
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} storage - Storage type returned by getEmbeddingStorage
+ * @param {Array<number>} queryVector - Embedded query
+ * @param {Object} options - Search options
+ * @param {string} options.provider - Provider name the vectors must come from
+ * @param {string} options.model - Model name the vectors must come from
+ * @param {number} options.limit - Maximum number of monsters to return
+ * @returns {Promise<Array<Object>>} One chunk per monster with monster_id, field, content and similarity, best first
+ */
+export async function searchEmbeddings(pool, storage, queryVector, { provider, model, limit }) {
+  if (storage === 'pgvector') {
+    // Rank the chunks of each monster, then the monsters by their best chunk
+    return executeQuery(pool, `
+      SELECT best.monster_id, best.field, best.content, 1 - best.distance AS similarity
+      FROM (
+        SELECT DISTINCT ON (e.monster_id)
+          e.embedding_id,
+          e.monster_id,
+          e.field,
+          e.content,
+          e.embedding <=> $1::vector AS distance
+        FROM
+          ${EMBEDDINGS_TABLE} e
+        WHERE
+          e.provider = $2 AND e.model = $3
+        ORDER BY
+          e.monster_id, e.embedding <=> $1::vector ASC, e.embedding_id ASC
+      ) best
+      ORDER BY
+        best.distance ASC, best.embedding_id ASC
+      LIMIT $4
+    `, [JSON.stringify(queryVector), provider, model, limit]);
+  }
+
+  // JS fallback: load every vector for this provider/model and rank in memory
+  const rows = await executeQuery(pool, `
+    SELECT e.embedding_id, e.monster_id, e.field, e.content, e.embedding
+    FROM ${EMBEDDINGS_TABLE} e
+    WHERE e.provider = $1 AND e.model = $2
+  `, [provider, model]);
+
+  return bestChunkPerMonster(rows.map(row => ({
+    embedding_id: row.embedding_id,
+    monster_id: row.monster_id,
+    field: row.field,
+    content: row.content,
+    similarity: cosineSimilarity(queryVector, row.embedding)
+  }))).slice(0, limit);
+}
+
+/**
+ * Keep the most similar chunk of each monster
+ * @param {Array<Object>} chunks - Chunks with embedding_id, monster_id and similarity
+ * @returns {Array<Object>} One chunk per monster, best first
+ */
+export function bestChunkPerMonster(chunks) {
+  const sorted = [...chunks].sort((a, b) => b.similarity - a.similarity || a.embedding_id - b.embedding_id);
+  const best = new Map();
+  for (const chunk of sorted) {
+    if (!best.has(chunk.monster_id)) {
+      best.set(chunk.monster_id, chunk);
+    }
+  }
+  return [...best.values()];
+}
@@ -1,11 +1,13 @@
-import { FastMCP } from "fastmcp";
 import { registerToolsWithServer, initializeTools } from './tools/index.js';
 import { registerResourcesWithServer, initializeResources } from './resources/index.js';
-import { registerPromptsWithServer } from './prompts/index.js';
+import { registerPromptsWithServer, initializePrompts, validatePromptReferences } from './prompts/index.js';
 import pg from 'pg';
 const { Pool } = pg;
 import dotenv from 'dotenv';
 import logger from './utils/logger.js';
+import { LinkableFastMCP, startServer, registerShutdownHandlers, getTransportConfig } from './utils/transport.js';
+import { createAuthenticators, createMcpAuthenticate } from './utils/auth.js';
+import { createRateLimiter } from './utils/rateLimit.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -35,42 +37,68 @@ export const initializeDbPool = () => {
 /**
  * Create and configure the MCP server
  * @param {Object} dbPool - PostgreSQL connection pool
- * @returns {Server} Configured MCP server instance
+ * @param {Object} [options] - Server options
+ * @param {Function} [options.authenticate] - Authentication for HTTP sessions (see createMcpAuthenticate)
+ * @param {Object} [options.rateLimiter] - Rate limiter applied to tool calls of HTTP sessions
+ * @returns {LinkableFastMCP} Configured MCP server instance
  */
-export const createMCPServer = async (dbPool) => {
-  // Create a new MCP server instance
-  const server = new FastMCP({
+export const createMCPServer = async (dbPool, { authenticate, rateLimiter } = {}) => {
+  // Create a new MCP server instance (linkable so the web app can use it in-process)
+  const server = new LinkableFastMCP({
     name: 'RAGmonsters MCP Server',
     version: '0.1.0',
     description: 'A domain-specific MCP server for the RAGmonsters dataset',
+    authenticate
   });
 
   // Initialize modules with database access
   initializeTools(dbPool);
   await initializeResources(dbPool);
+  initializePrompts(dbPool);
   logger.info('Initialized modules with database pool');
 
   // Register tools, resources, and prompts
-  registerToolsWithServer(server);
+  registerToolsWithServer(server, { rateLimiter });
   registerResourcesWithServer(server);
   registerPromptsWithServer(server);
 
+  // Workflows must only point the LLM to registered tools and resources
+  await validatePromptReferences(server);
+
   logger.info('MCP server created and configured');
   return server;
 };
 
 /**
  * Initialize and start the MCP server
+ * @param {Object} [transportConfig] - Transport configuration (defaults to getTransportConfig())
  */
-export const initializeAndStartServer = async () => {
+export const initializeAndStartServer = async (transportConfig = getTransportConfig()) => {
   const dbPool = initializeDbPool();
-  const server = await createMCPServer(dbPool);
 
-  logger.info('Starting MCP server with STDIO transport');
-  server.start({
-    transportType: "stdio",
+  // Only HTTP sessions are authenticated; a stdio client is the process owner
+  const authenticators = transportConfig.type !== 'stdio' ? createAuthenticators() : [];
+  if (transportConfig.type !== 'stdio' && authenticators.length === 0) {
+    logger.info('MCP HTTP transport is unauthenticated: set AUTH_API_KEYS or AUTH_JWT_SECRET to protect it');
+  }
+
+  // Without authenticators, HTTP sessions are anonymous and identified by client address
+  const server = await createMCPServer(dbPool, {
+    authenticate: transportConfig.type !== 'stdio' ? createMcpAuthenticate(authenticators) : undefined,
+    rateLimiter: createRateLimiter()
   });
 
+  await startServer(server, transportConfig);
+  registerShutdownHandlers(server, () => dbPool.end());
+
+  return { server, dbPool };
 };
 
-initializeAndStartServer();
+// Start the server when this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  initializeAndStartServer().catch(error => {
+    logger.error(`Failed to start MCP server: ${error.message}`);
+    console.error('Failed to start MCP server:', error);
+    process.exit(1);
+  });
+}
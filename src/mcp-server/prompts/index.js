@@ -5,15 +5,42 @@
  * multi-step analysis and strategy generation using available tools.
  */
 import {
+  initializePrompts,
   loadAnalyzeMonsterWeakness,
   loadCompareMonsters,
   loadExploreHabitat,
-  loadBuildTeam
+  loadBuildTeam,
+  completeMonsterName,
+  completeHabitat,
+  TEAM_OBJECTIVES,
+  TEAM_SIZES
 } from './monsters.js';
 import logger from '../utils/logger.js';
 
-// Export the prompt loaders
-export { loadAnalyzeMonsterWeakness, loadCompareMonsters, loadExploreHabitat, loadBuildTeam };
+// Export the initialize function and prompt loaders
+export { initializePrompts, loadAnalyzeMonsterWeakness, loadCompareMonsters, loadExploreHabitat, loadBuildTeam };
+export { validatePromptReferences, getPromptValidationMode, findPromptReferences } from './validate.js';
+
+/**
+ * Prompt argument naming a monster, completed from the database
+ * @param {string} name - Argument name
+ * @param {string} description - Argument description
+ * @param {boolean} required - Whether the argument is required
+ * @returns {Object} Prompt argument
+ */
+function monsterArgument(name, description, required) {
+  return { name, description, required, complete: completeMonsterName };
+}
+
+/**
+ * Prompt argument naming a habitat, completed from the database
+ * @param {string} description - Argument description
+ * @param {boolean} required - Whether the argument is required
+ * @returns {Object} Prompt argument
+ */
+function habitatArgument(description, required) {
+  return { name: "habitat", description, required, complete: completeHabitat };
+}
 
 /**
  * Create a logged wrapper for a prompt loader function
@@ -47,6 +74,9 @@ export function registerPromptsWithServer(server) {
   server.addPrompt({
     name: "analyze_monster_weakness",
     description: "Structured workflow to analyze a monster's weaknesses and find effective counter-strategies",
+    arguments: [
+      monsterArgument("monster", "Name of the monster to analyze (its details are embedded)", true)
+    ],
     load: withLogging("analyze_monster_weakness", loadAnalyzeMonsterWeakness)
   });
 
@@ -54,6 +84,10 @@ export function registerPromptsWithServer(server) {
   server.addPrompt({
     name: "compare_monsters",
     description: "Detailed comparison framework for analyzing matchups between two monsters",
+    arguments: [
+      monsterArgument("monsterA", "Name of the first monster (its details are embedded)", true),
+      monsterArgument("monsterB", "Name of the second monster (its details are embedded)", true)
+    ],
     load: withLogging("compare_monsters", loadCompareMonsters)
   });
 
@@ -61,6 +95,9 @@ export function registerPromptsWithServer(server) {
   server.addPrompt({
     name: "explore_habitat",
     description: "Ecosystem analysis workflow for exploring a habitat and understanding its monster population",
+    arguments: [
+      habitatArgument("Name of the habitat to explore (its monsters are embedded)", true)
+    ],
     load: withLogging("explore_habitat", loadExploreHabitat)
   });
 
@@ -68,6 +105,12 @@ export function registerPromptsWithServer(server) {
   server.addPrompt({
     name: "build_team",
     description: "Team composition strategy workflow for building an optimal monster team",
+    arguments: [
+      { name: "objective", description: `Team objective: ${TEAM_OBJECTIVES.join(', ')} (hunt needs an opponent, explore a habitat)`, required: false, enum: TEAM_OBJECTIVES },
+      monsterArgument("opponent", "Name of the monster to hunt (its details are embedded)", false),
+      habitatArgument("Name of the habitat to explore (its monsters are embedded)", false),
+      { name: "teamSize", description: `Number of team members, ${TEAM_SIZES[0]} to ${TEAM_SIZES[TEAM_SIZES.length - 1]}`, required: false, enum: TEAM_SIZES }
+    ],
     load: withLogging("build_team", loadBuildTeam)
   });
 
@@ -2,97 +2,284 @@
  * Monster-related MCP prompts
  *
  * These prompts are workflow templates that guide the LLM through
- * multi-step analysis using the available tools.
+ * multi-step analysis using the available tools. Their arguments name the
+ * monsters and habitats to work on: the workflow is written for them, and their
+ * data is embedded in the returned messages as resources, so the LLM starts
+ * from the facts instead of looking them up.
+ *
+ * A blank argument gives the generic workflow without embedded data (this is
+ * how the chat agent reads the workflows for its system message).
  */
+import { executeQuery } from '../utils/db.js';
+import { loadMonster, loadHabitat } from '../resources/monsters.js';
+import logger from '../utils/logger.js';
+
+// Module-level database pool
+let dbPool = null;
+
+// Maximum number of values returned by a completion
+const MAX_COMPLETIONS = 20;
 
 /**
- * Analyze monster weakness prompt
- * Guides the LLM through a structured weakness analysis workflow
+ * Team objectives accepted by build_team
+ */
+export const TEAM_OBJECTIVES = ['hunt', 'explore', 'balanced'];
+
+/**
+ * Team sizes accepted by build_team (the limits of suggestTeam)
+ */
+export const TEAM_SIZES = ['2', '3', '4', '5', '6'];
+
+/**
+ * Initialize the prompts module with a database pool
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+export function initializePrompts(pool) {
+  dbPool = pool;
+  logger.info('Prompts module initialized with database pool');
+}
+
+/**
+ * Complete a value from a text column, prefix matches first
+ * @param {string} column - Column of ragmonsters.monsters (name or habitat)
+ * @param {string} value - Value typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+async function completeColumn(column, value) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const typed = (value || '').toLowerCase();
+  const rows = await executeQuery(dbPool, `
+    SELECT ${column} AS value, COUNT(*) OVER ()::int AS total
+    FROM (SELECT DISTINCT ${column} FROM ragmonsters.monsters WHERE ${column} IS NOT NULL) AS candidates
+    WHERE POSITION($1 IN LOWER(${column})) > 0
+    ORDER BY (POSITION($1 IN LOWER(${column})) = 1) DESC, ${column} ASC
+    LIMIT $2
+  `, [typed, MAX_COMPLETIONS]);
+
+  const total = rows[0]?.total ?? 0;
+  return { values: rows.map(row => row.value), total, hasMore: total > rows.length };
+}
+
+/**
+ * Complete a monster name
+ * @param {string} value - Name typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+export function completeMonsterName(value) {
+  return completeColumn('name', value);
+}
+
+/**
+ * Complete a habitat name
+ * @param {string} value - Habitat typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+export function completeHabitat(value) {
+  return completeColumn('habitat', value);
+}
+
+/**
+ * Error for a value that matches nothing, with the closest completions
+ * @param {string} kind - What was looked up (monster, habitat)
+ * @param {string} value - Value given
+ * @param {Object} completion - Completion of the value
+ * @returns {Error} Error to throw
+ */
+function notFound(kind, value, completion) {
+  const hint = completion.values.length > 0 ? ` Did you mean: ${completion.values.slice(0, 3).join(', ')}?` : '';
+  return new Error(`Unknown ${kind} '${value}'.${hint}`);
+}
+
+/**
+ * Embed a resource read from a template loader, in its Markdown representation
+ * @param {string} uri - Resource URI
+ * @param {Array<Object>} contents - Representations returned by the loader
+ * @returns {Object} Prompt message
+ */
+function resourceMessage(uri, contents) {
+  const markdown = contents.find(content => content.mimeType === 'text/markdown') ?? contents[0];
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: { uri, mimeType: markdown.mimeType, text: markdown.text }
+    }
+  };
+}
+
+/**
+ * Embed a monster's full details as a resource (ragmonsters://monsters/{id})
+ * @param {string} name - Monster name (case-insensitive)
+ * @returns {Promise<Object>} { name, message } with the resource message
+ */
+async function embedMonster(name) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const rows = await executeQuery(dbPool,
+    'SELECT monster_id, name FROM ragmonsters.monsters WHERE LOWER(name) = LOWER($1)',
+    [name.trim()]
+  );
+  if (rows.length === 0) {
+    throw notFound('monster', name, await completeMonsterName(name.trim()));
+  }
+
+  const id = rows[0].monster_id;
+  return {
+    name: rows[0].name,
+    message: resourceMessage(`ragmonsters://monsters/${id}`, await loadMonster({ id }))
+  };
+}
+
+/**
+ * Embed the monsters of a habitat as a resource (ragmonsters://habitats/{name})
+ *
+ * The resource lists every monster of the habitat, unlike getMonsterByHabitat
+ * which returns a page at a time: the count tells the workflow it is complete.
+ * @param {string} habitat - Habitat name (case-insensitive)
+ * @returns {Promise<Object>} { name, monsterCount, message } with the resource message
+ */
+async function embedHabitat(habitat) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const rows = await executeQuery(dbPool,
+    'SELECT DISTINCT habitat FROM ragmonsters.monsters WHERE LOWER(habitat) = LOWER($1)',
+    [habitat.trim()]
+  );
+  if (rows.length === 0) {
+    throw notFound('habitat', habitat, await completeHabitat(habitat.trim()));
+  }
+
+  const name = rows[0].habitat;
+  const contents = await loadHabitat({ name });
+  const { monsterCount } = JSON.parse(contents.find(content => content.mimeType === 'application/json').text);
+  return {
+    name,
+    monsterCount,
+    message: resourceMessage(`ragmonsters://habitats/${encodeURIComponent(name)}`, contents)
+  };
+}
+
+/**
+ * Prompt result: the workflow, then the embedded resources
+ * @param {string} text - Workflow
+ * @param {Array<Object>} embedded - Embedded resources { message }
+ * @returns {Object} Prompt result
  */
-export async function loadAnalyzeMonsterWeakness() {
+function promptResult(text, embedded = []) {
   return {
     messages: [
       {
         role: "user",
         content: {
           type: "text",
-          text: `Analyze the weaknesses of a monster and suggest counter-strategies.
+          text
+        }
+      },
+      ...embedded.map(resource => resource.message)
+    ]
+  };
+}
+
+/**
+ * Analyze monster weakness prompt
+ * Guides the LLM through a structured weakness analysis workflow
+ * @param {Object} [args] - Prompt arguments
+ * @param {string} [args.monster] - Name of the monster to analyze
+ */
+export async function loadAnalyzeMonsterWeakness({ monster } = {}) {
+  const target = monster?.trim() ? await embedMonster(monster) : null;
+
+  const lookup = target
+    ? `1. ${target.name}'s full details are attached, including weaknesses, flaws, and hindrances
+2. Use the ID from these details with the tools below; no need to look the monster up again`
+    : `1. Use getMonsterByName to fetch the target monster's details
+2. Use getMonsterById to get full details including weaknesses, flaws, and hindrances`;
+
+  return promptResult(`Analyze the weaknesses of ${target ? target.name : 'a monster'} and suggest counter-strategies.
 
 Follow this workflow:
-1. Use getMonsterByName to fetch the target monster's details
-2. Use getMonsterById to get full details including weaknesses, flaws, and hindrances
+${lookup}
 3. Identify the monster's key vulnerabilities (weaknesses, flaws, elemental vulnerabilities)
-4. Use getMonsters with filters to find potential counter-monsters:
-   - Look for monsters with powers that exploit the target's weaknesses
-   - Consider monsters from opposing categories or habitats
-5. Rank the counter-monsters by effectiveness based on:
-   - Direct power advantages
-   - Resistance to the target's abilities
+4. Use findCounters to get the counter-monsters ranked by the modifiers in play:
+   - The target's hindrances naming a counter's category, subcategory or type
+   - The counter's augments naming the target
+   - Risks: modifiers working against the counter
+5. Refine the ranking of the top counters:
+   - Use simulateMatchup to confirm the advantage with win probabilities
+   - Use getMonsters with where filters for power-based counters that exploit the target's weaknesses
    - Rarity (more common = more accessible)
 6. Provide a battle strategy summary with:
-   - Top 3 recommended counter-monsters
+   - Top 3 recommended counter-monsters with the modifiers that justify them
    - Key tactics to exploit weaknesses
-   - Dangers to avoid (the target's strengths)`
-        }
-      }
-    ]
-  };
+   - Dangers to avoid (the target's strengths)`, target ? [target] : []);
 }
 
 /**
  * Compare monsters prompt
  * Guides the LLM through a structured comparison workflow
+ * @param {Object} [args] - Prompt arguments
+ * @param {string} [args.monsterA] - Name of the first monster
+ * @param {string} [args.monsterB] - Name of the second monster
  */
-export async function loadCompareMonsters() {
-  return {
-    messages: [
-      {
-        role: "user",
-        content: {
-          type: "text",
-          text: `Compare two monsters in detail to determine advantages and matchup analysis.
+export async function loadCompareMonsters({ monsterA, monsterB } = {}) {
+  const named = [monsterA, monsterB].filter(name => name?.trim());
+  const embedded = [];
+  for (const name of named) {
+    embedded.push(await embedMonster(name));
+  }
+
+  const subject = embedded.length === 2 ? `${embedded[0].name} and ${embedded[1].name}` : 'two monsters';
+  const details = embedded.length > 0
+    ? `2. The full details of ${embedded.map(monster => monster.name).join(' and ')} are attached${embedded.length < 2 ? '; use getMonstersByIds for the other monster' : ''}, including:`
+    : '2. Use getMonstersByIds with both IDs to get full details in one call, including:';
+
+  return promptResult(`Compare ${subject} in detail to determine advantages and matchup analysis.
 
 Follow this workflow:
 1. Use compareMonsters to get a side-by-side basic comparison
-2. Use getMonsterById for each monster to get full details including:
+${details}
    - Complete power sets (primary, secondary, special)
    - Keywords and abilities with ratings
    - Flaws and weaknesses
    - Strengths (augments) and hindrances
-3. Analyze the matchup:
+3. Use simulateMatchup to run the QuestWorlds contest:
+   - Report the win and draw probabilities
+   - Explain the decisive factors (rating gap, augments, hindrances, flaws)
+   - Try other keywords with keywordA/keywordB if a monster has a better-suited one
+4. Analyze the matchup:
    - Which monster's powers counter the other's weaknesses?
    - Compare keyword ratings and ability masteries
    - Identify asymmetric advantages
-4. Consider environmental factors:
+5. Consider environmental factors:
    - Habitat advantages (home territory bonus)
    - Biome compatibility
-5. Provide a verdict:
-   - Overall advantage assessment
+6. Provide a verdict:
+   - Overall advantage assessment backed by the simulated probabilities
    - Situational factors that could flip the matchup
-   - Recommended tactics for each side`
-        }
-      }
-    ]
-  };
+   - Recommended tactics for each side`, embedded);
 }
 
 /**
  * Explore habitat prompt
  * Guides the LLM through habitat exploration and ecosystem analysis
+ * @param {Object} [args] - Prompt arguments
+ * @param {string} [args.habitat] - Name of the habitat to explore
  */
-export async function loadExploreHabitat() {
-  return {
-    messages: [
-      {
-        role: "user",
-        content: {
-          type: "text",
-          text: `Explore a habitat and analyze its monster ecosystem.
+export async function loadExploreHabitat({ habitat } = {}) {
+  const target = habitat?.trim() ? await embedHabitat(habitat) : null;
+
+  const lookup = target
+    ? `1. All ${target.monsterCount} monsters of ${target.name} are attached, with their IDs, categories and rarities
+2. Use getMonsterByHabitat if you need their powers as well (it returns a page at a time: pass the nextCursor of a response to get the next page)`
+    : `1. Use getHabitats to list available habitats (or use the ragmonsters://habitats resource)
+2. Use getMonsterByHabitat to find all monsters in the target habitat`;
+
+  return promptResult(`Explore ${target ? `the ${target.name} habitat` : 'a habitat'} and analyze its monster ecosystem.
 
 Follow this workflow:
-1. Use getHabitats to list available habitats (or use the ragmonsters://habitats resource)
-2. Use getMonsterByHabitat to find all monsters in the target habitat
-3. For key monsters, use getMonsterById to get detailed information
+${lookup}
+3. For key monsters, use getMonstersByIds to get detailed information in one call
 4. Analyze the ecosystem:
    - Categorize monsters by rarity (common to extremely rare)
    - Identify the apex predators (highest threat monsters)
@@ -102,47 +289,73 @@ Follow this workflow:
    - Danger assessment for the habitat
    - Most common encounters to expect
    - Rare monsters worth seeking
-   - Recommended preparation and counter-strategies`
-        }
-      }
-    ]
-  };
+   - Recommended preparation and counter-strategies`, target ? [target] : []);
 }
 
 /**
  * Build team prompt
  * Guides the LLM through team composition strategy
+ * @param {Object} [args] - Prompt arguments
+ * @param {string} [args.objective] - hunt (a monster), explore (a habitat) or balanced
+ * @param {string} [args.opponent] - Name of the monster to hunt
+ * @param {string} [args.habitat] - Name of the habitat to explore
+ * @param {string} [args.teamSize] - Number of members, 2 to 6
  */
-export async function loadBuildTeam() {
-  return {
-    messages: [
-      {
-        role: "user",
-        content: {
-          type: "text",
-          text: `Build an optimal monster team for a specific objective.
+export async function loadBuildTeam({ objective, opponent, habitat, teamSize } = {}) {
+  if (objective && !TEAM_OBJECTIVES.includes(objective)) {
+    throw new Error(`Unknown objective '${objective}'. Expected one of: ${TEAM_OBJECTIVES.join(', ')}`);
+  }
+  if (teamSize && !TEAM_SIZES.includes(String(teamSize).trim())) {
+    throw new Error(`Invalid team size '${teamSize}'. Expected ${TEAM_SIZES[0]} to ${TEAM_SIZES[TEAM_SIZES.length - 1]}`);
+  }
+  if (objective === 'hunt' && !opponent?.trim()) {
+    throw new Error('The hunt objective requires an opponent');
+  }
+  if (objective === 'explore' && !habitat?.trim()) {
+    throw new Error('The explore objective requires a habitat');
+  }
 
-Follow this workflow:
-1. Clarify the objective:
+  const target = opponent?.trim() ? await embedMonster(opponent) : null;
+  const area = habitat?.trim() ? await embedHabitat(habitat) : null;
+  const size = teamSize ? String(teamSize).trim() : null;
+
+  const goals = [
+    target && `hunt ${target.name} (details attached)`,
+    area && `explore ${area.name} (all ${area.monsterCount} of its monsters attached)`,
+    objective === 'balanced' && 'a general purpose balanced team'
+  ].filter(Boolean);
+  const clarify = goals.length > 0
+    ? `1. The objective: ${goals.join(', ')}${size ? `, with a team of ${size}` : ''}`
+    : `1. Clarify the objective:
    - Target habitat/biome to explore?
    - Specific monster to hunt?
-   - General purpose balanced team?
-2. Use getCategories and getSubcategories to understand available monster types
-3. Use getMonsters with appropriate filters to find candidates:
-   - Consider category diversity for balanced coverage
-   - Match habitat affinity if targeting a specific area
-   - Balance rarity (rare monsters are powerful but hard to find)
-4. For top candidates, use getMonsterById to evaluate:
+   - General purpose balanced team?`;
+  const constraints = [
+    target && `opponent: "${target.name}"`,
+    area && `targetHabitat: "${area.name}"`,
+    size && `size: ${size}`
+  ].filter(Boolean);
+
+  return promptResult(`Build an optimal monster team for a specific objective.
+
+Follow this workflow:
+${clarify}
+2. Use suggestTeam with the matching constraints:
+${constraints.length > 0 ? `   - ${constraints.join(', ')}
+   - allowedRarities and mustInclude from the user's request` : `   - opponent for a specific monster to hunt
+   - targetHabitat for an area to explore
+   - size, allowedRarities and mustInclude from the user's request`}
+3. Review the ranked teams it returns:
+   - Score breakdown (coverage, diversity, resilience, strength, affinity)
+   - Role and justification of each member
+   - Uncovered threats
+4. For members you want to explain further, use getMonstersByIds with their IDs to check:
    - Power synergies between team members
-   - Coverage of each other's weaknesses
    - Complementary abilities
+   - If an opponent was given, use simulateMatchup to confirm each counter
 5. Recommend a team composition:
-   - Primary team (3-5 monsters)
-   - Role for each member (tank, damage, support, specialist)
+   - Primary team (the top ranked candidate unless the user's objective says otherwise)
+   - Role for each member, quoting the justification from suggestTeam
    - Team synergies and combo strategies
-   - Backup alternatives for each role`
-        }
-      }
-    ]
-  };
+   - Backup alternatives from the other ranked teams`, [target, area].filter(Boolean));
 }
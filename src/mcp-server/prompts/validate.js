@@ -0,0 +1,180 @@
+/**
+ * Startup check that prompt workflows only reference tools and resources the
+ * server registers
+ *
+ * Tool names are camelCase, so every camelCase identifier of a workflow is
+ * taken for a tool, wherever it appears ("Use getMonsterByName", `findCounters`,
+ * "getMonstersByIds({ monsterIds })"), unless the server declares it as
+ * something else: a tool parameter, an identifier of a parameter description
+ * (such as nextCursor) or a prompt argument. Resources are referenced by their
+ * ragmonsters:// URI. Each prompt is read through an in-memory client, so the
+ * check sees what MCP clients see: once with blank arguments (its generic
+ * workflow), and once with sample arguments taken from its own completions, so
+ * the text written for specific monsters and habitats is checked too.
+ */
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import logger from '../utils/logger.js';
+
+// camelCase identifiers, the form of tool names
+const IDENTIFIER = /\b[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+\b/g;
+
+// Resource URIs of this server
+const RESOURCE_REFERENCE = /ragmonsters:\/\/[A-Za-z0-9_\-/{}%]+/g;
+
+/**
+ * Read the prompt validation mode from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {string} error (fail startup), warn (log) or off
+ */
+export function getPromptValidationMode(env = process.env) {
+  const mode = env.MCP_PROMPT_VALIDATION || 'error';
+  if (!['error', 'warn', 'off'].includes(mode)) {
+    throw new Error(`Invalid MCP_PROMPT_VALIDATION '${mode}'. Expected error, warn or off`);
+  }
+  return mode;
+}
+
+/**
+ * Find the tool and resource references of a text
+ * @param {string} text - Prompt text
+ * @returns {Object} { tools, resources } as arrays of distinct camelCase identifiers and URIs
+ */
+export function findPromptReferences(text) {
+  const resources = text.match(RESOURCE_REFERENCE) || [];
+  return {
+    tools: [...new Set(text.replace(RESOURCE_REFERENCE, ' ').match(IDENTIFIER) || [])],
+    resources: [...new Set(resources.map(uri => uri.replace(/\/+$/, '')))]
+  };
+}
+
+/**
+ * Sample arguments of a prompt: the first completion of each argument
+ * @param {Client} client - Client connected to the server
+ * @param {Object} prompt - Prompt as listed by the server
+ * @returns {Promise<Object>} Arguments, blank where nothing completes
+ */
+async function sampleArguments(client, prompt) {
+  const entries = [];
+  for (const argument of prompt.arguments || []) {
+    const { completion } = await client.complete({
+      ref: { type: 'ref/prompt', name: prompt.name },
+      argument: { name: argument.name, value: '' }
+    }).catch(() => ({ completion: { values: [] } }));
+    entries.push([argument.name, completion.values[0] ?? '']);
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Text of a prompt rendered with the given arguments
+ * @param {Client} client - Client connected to the server
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments
+ * @returns {Promise<string>} Text messages of the prompt
+ */
+async function renderPrompt(client, name, args) {
+  const result = await client.getPrompt({ name, arguments: args });
+  return result.messages
+    .filter(message => message.content.type === 'text')
+    .map(message => message.content.text)
+    .join('\n');
+}
+
+/**
+ * Describe a validation problem
+ * @param {Object} problem - Problem { prompt, kind, name }
+ * @returns {string} Description
+ */
+function describeProblem(problem) {
+  return problem.kind === 'render'
+    ? `${problem.prompt} fails with sample arguments: ${problem.name}`
+    : `${problem.prompt} references unregistered ${problem.kind} '${problem.name}'`;
+}
+
+/**
+ * Whether a URI is served by a resource template such as ragmonsters://monsters/{id}
+ * @param {string} uri - Referenced URI (possibly a template itself)
+ * @param {string} uriTemplate - Registered URI template
+ * @returns {boolean} True if the template serves the URI
+ */
+function matchesTemplate(uri, uriTemplate) {
+  if (uri === uriTemplate) return true;
+  const pattern = uriTemplate
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${pattern}$`).test(uri);
+}
+
+/**
+ * Check every prompt of a server for references to unregistered tools or resources
+ * @param {LinkableFastMCP} server - Server with its tools, resources and prompts registered
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.mode] - error, warn or off (defaults to getPromptValidationMode())
+ * @returns {Promise<Array<Object>>} Problems { prompt, kind, name } (kind tool, resource, or render
+ *   for a prompt that fails with its sample arguments, name then being the error)
+ * @throws {Error} In error mode, if a prompt references something unregistered or fails to render
+ */
+export async function validatePromptReferences(server, { mode = getPromptValidationMode() } = {}) {
+  if (mode === 'off') return [];
+
+  const client = new Client({ name: 'prompt-validator', version: '1.0.0' });
+  await server.connectClient(client);
+
+  const problems = [];
+  try {
+    const { tools: registeredTools } = await client.listTools();
+    const tools = new Set(registeredTools.map(tool => tool.name));
+    const resources = new Set((await client.listResources()).resources.map(resource => resource.uri));
+    // FastMCP only answers resources/templates/list when templates are registered
+    const templates = await client.listResourceTemplates().then(
+      result => result.resourceTemplates.map(template => template.uriTemplate),
+      () => []
+    );
+    const { prompts } = await client.listPrompts();
+
+    // camelCase identifiers the server declares as something other than a tool
+    const declared = new Set([
+      ...registeredTools.flatMap(tool => JSON.stringify(tool.inputSchema ?? {}).match(IDENTIFIER) || []),
+      ...prompts.flatMap(prompt => (prompt.arguments || []).map(argument => argument.name))
+    ]);
+
+    for (const prompt of prompts) {
+      const blank = Object.fromEntries((prompt.arguments || []).map(argument => [argument.name, '']));
+      const texts = [await renderPrompt(client, prompt.name, blank)];
+
+      const sample = await sampleArguments(client, prompt);
+      if (Object.values(sample).some(Boolean)) {
+        try {
+          texts.push(await renderPrompt(client, prompt.name, sample));
+        } catch (error) {
+          problems.push({ prompt: prompt.name, kind: 'render', name: error.message });
+        }
+      }
+
+      const references = findPromptReferences(texts.join('\n'));
+      for (const name of references.tools.filter(name => !tools.has(name) && !declared.has(name))) {
+        problems.push({ prompt: prompt.name, kind: 'tool', name });
+      }
+      for (const uri of references.resources) {
+        if (!resources.has(uri) && !templates.some(template => matchesTemplate(uri, template))) {
+          problems.push({ prompt: prompt.name, kind: 'resource', name: uri });
+        }
+      }
+    }
+  } finally {
+    await client.close();
+  }
+
+  if (problems.length === 0) {
+    logger.info('Prompt references validated: every referenced tool and resource is registered');
+    return problems;
+  }
+
+  const report = problems.map(describeProblem).join('; ');
+  if (mode === 'error') {
+    throw new Error(`Invalid prompt references (set MCP_PROMPT_VALIDATION=warn to start anyway): ${report}`);
+  }
+  logger.error(`Invalid prompt references: ${report}`);
+  return problems;
+}
@@ -1,11 +1,23 @@
 /**
  * Resource definitions for the RAGmonsters MCP server
  */
-import { initializeResources, loadSchema, loadCategories, loadSubcategories, loadHabitats } from './monsters.js';
+import {
+  initializeResources,
+  loadSchema,
+  loadCategories,
+  loadSubcategories,
+  loadHabitats,
+  loadMonster,
+  loadHabitat,
+  loadCategory,
+  completeMonsterId,
+  completeHabitatName,
+  completeCategoryName
+} from './monsters.js';
 import logger from '../utils/logger.js';
 
 // Export the initialize function and resource loaders
-export { initializeResources, loadSchema, loadCategories, loadSubcategories, loadHabitats };
+export { initializeResources, loadSchema, loadCategories, loadSubcategories, loadHabitats, loadMonster, loadHabitat, loadCategory };
 
 /**
  * Create a logged wrapper for a resource loader function
@@ -40,7 +52,7 @@ export function registerResourcesWithServer(server) {
     uri: "ragmonsters://schema",
     name: "RAGmonsters Database Schema",
     mimeType: "text/plain",
-    description: "Schema definition for the monsters database, describing available tables, columns and types.",
+    description: "Schema of the monsters database, read live from the database: tables, columns, types, keys, foreign keys, indexes and comments, as plain text and JSON.",
     load: withLogging("ragmonsters://schema", loadSchema)
   });
 
@@ -71,5 +83,39 @@ export function registerResourcesWithServer(server) {
     load: withLogging("ragmonsters://habitats", loadHabitats)
   });
 
+  // Entity resource templates: Markdown and JSON representations of one monster, habitat or category
+  server.addResourceTemplate({
+    uriTemplate: "ragmonsters://monsters/{id}",
+    name: "Monster",
+    mimeType: "text/markdown",
+    description: "A monster's full details (powers, physical attributes, lore, QuestWorlds stats, affinities), as Markdown and JSON.",
+    arguments: [
+      { name: "id", description: "Monster ID (completion also matches part of the monster's name)", required: true, complete: completeMonsterId }
+    ],
+    load: withLogging("ragmonsters://monsters/{id}", loadMonster)
+  });
+
+  server.addResourceTemplate({
+    uriTemplate: "ragmonsters://habitats/{name}",
+    name: "Habitat",
+    mimeType: "text/markdown",
+    description: "A habitat with its biomes and the monsters living there, as Markdown and JSON.",
+    arguments: [
+      { name: "name", description: "Habitat name (see ragmonsters://habitats)", required: true, complete: completeHabitatName }
+    ],
+    load: withLogging("ragmonsters://habitats/{name}", loadHabitat)
+  });
+
+  server.addResourceTemplate({
+    uriTemplate: "ragmonsters://categories/{name}",
+    name: "Category",
+    mimeType: "text/markdown",
+    description: "A monster category with its subcategories and their monsters, as Markdown and JSON.",
+    arguments: [
+      { name: "name", description: "Category name (see ragmonsters://categories)", required: true, complete: completeCategoryName }
+    ],
+    load: withLogging("ragmonsters://categories/{name}", loadCategory)
+  });
+
   logger.info('Registered resources with the MCP server');
 }
@@ -1,7 +1,8 @@
 /**
  * Monster-related MCP resources
  */
-import { executeQuery } from '../utils/db.js';
+import { executeQuery, getDatabaseSchema } from '../utils/db.js';
+import { getMonsterById } from '../tools/monsters.js';
 import logger from '../utils/logger.js';
 
 // Module-level database pool
@@ -53,52 +54,81 @@ export async function initializeResources(pool) {
 }
 
 /**
- * Load the database schema resource
- * @returns {Promise<Object>} Schema description
+ * Describe a column for the schema text: type, constraints, default and comment
+ * @param {Object} column - Column from getDatabaseSchema
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} One line of the schema text
+ */
+function columnLine(column, table) {
+  const parts = [`${column.name}: ${column.type}`];
+  if (!column.nullable) parts.push('NOT NULL');
+  if (column.default?.startsWith('nextval(')) {
+    parts.push('auto-increment');
+  } else if (column.default !== null && column.default !== undefined) {
+    parts.push(`DEFAULT ${column.default}`);
+  }
+  if (table.primaryKey.length === 1 && table.primaryKey[0] === column.name) parts.push('PRIMARY KEY');
+  if (table.uniqueConstraints.some(unique => unique.columns.length === 1 && unique.columns[0] === column.name)) {
+    parts.push('UNIQUE');
+  }
+  // The same reference may be declared twice (inline and as a named constraint)
+  const references = table.foreignKeys
+    .filter(fk => fk.columns.length === 1 && fk.columns[0] === column.name)
+    .map(fk => {
+      const onDelete = fk.onDelete && fk.onDelete !== 'NO ACTION' ? ` ON DELETE ${fk.onDelete}` : '';
+      return `-> ${fk.references.table}.${fk.references.columns[0]}${onDelete}`;
+    });
+  parts.push(...new Set(references));
+  return `  ${parts.join(' ')}${column.comment ? ` -- ${column.comment}` : ''}`;
+}
+
+/**
+ * Render a schema description as plain text, one block per table
+ * @param {Object} schema - Result of getDatabaseSchema
+ * @returns {string} Schema text
+ */
+function schemaText(schema) {
+  const blocks = schema.tables.map(table => {
+    const lines = [`${schema.schema}.${table.name}${table.comment ? ` -- ${table.comment}` : ''}`];
+    lines.push(...table.columns.map(column => columnLine(column, table)));
+
+    // Multi-column constraints do not fit on a column line
+    if (table.primaryKey.length > 1) lines.push(`  PRIMARY KEY (${table.primaryKey.join(', ')})`);
+    for (const unique of table.uniqueConstraints.filter(unique => unique.columns.length > 1)) {
+      lines.push(`  UNIQUE (${unique.columns.join(', ')})`);
+    }
+    for (const foreignKey of table.foreignKeys.filter(fk => fk.columns.length > 1)) {
+      lines.push(`  FOREIGN KEY (${foreignKey.columns.join(', ')}) -> ${foreignKey.references.table} (${foreignKey.references.columns.join(', ')})`);
+    }
+
+    const indexes = table.indexes.filter(index => !index.primary);
+    if (indexes.length > 0) {
+      lines.push('  Indexes:');
+      lines.push(...indexes.map(index =>
+        `    ${index.name} ${index.unique ? 'UNIQUE ' : ''}(${index.columns.join(', ')})${index.method !== 'btree' ? ` USING ${index.method}` : ''}`
+      ));
+    }
+    return lines.join('\n');
+  });
+
+  return `RAGmonsters Database Schema (${schema.schema}, ${schema.tables.length} tables)\n\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Load the database schema resource, read live from information_schema and pg_catalog
+ * @returns {Promise<Array<Object>>} Plain text and JSON representations of the schema
  */
 export async function loadSchema() {
-  return {
-    text: `RAGmonsters Database Schema
-
-Monster {
-  id: Integer (primary key)
-  name: String (unique)
-  category: String (from categories table)
-  subcategory: String (from subcategories table)
-  habitat: String
-  biome: String
-  rarity: Enum(Common, Uncommon, Rare, Very Rare, Extremely Rare)
-  discovery: Text (discovery story)
-  height: String
-  weight: String
-  appearance: Text
-  primary_power: String
-  secondary_power: String
-  special_ability: String
-  weakness: Text
-  behavior_ecology: Text
-  notable_specimens: Text
-}
-
-Category {
-  category_id: Integer (primary key)
-  category_name: String (unique)
-}
-
-Subcategory {
-  subcategory_id: Integer (primary key)
-  subcategory_name: String
-  category_id: Integer (foreign key to Category)
-}
-
-QuestWorlds Stats (for game mechanics) {
-  Keywords: name + rating
-  Abilities: name + mastery value (linked to keywords)
-  Flaws: name + rating
-  Augments: target + modifier (strengths)
-  Hindrances: target + modifier (weaknesses)
-}`
-  };
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const schema = await getDatabaseSchema(dbPool);
+  if (schema.tables.length === 0) {
+    throw new Error(`Schema '${schema.schema}' has no tables. Is the database initialized?`);
+  }
+  return [
+    { text: schemaText(schema), mimeType: 'text/plain' },
+    { text: JSON.stringify(schema, null, 2), mimeType: 'application/json' }
+  ];
 }
 
 /**
@@ -151,3 +181,244 @@ export async function loadHabitats() {
       : 'Habitats not loaded. Server may not be fully initialized.'
   };
 }
+
+// Maximum number of values returned by a completion
+const MAX_COMPLETIONS = 20;
+
+/**
+ * Complete a value among cached names, prefix matches first
+ * @param {Array<string>|null} names - Cached names
+ * @param {string} value - Value typed so far
+ * @returns {Object} Completion { values, total, hasMore }
+ */
+function completeFrom(names, value) {
+  const typed = (value || '').toLowerCase();
+  const matches = (names || [])
+    .filter(name => name.toLowerCase().includes(typed))
+    .sort((a, b) => Number(b.toLowerCase().startsWith(typed)) - Number(a.toLowerCase().startsWith(typed)) || a.localeCompare(b));
+  return { values: matches.slice(0, MAX_COMPLETIONS), total: matches.length, hasMore: matches.length > MAX_COMPLETIONS };
+}
+
+/**
+ * Error for a name that matches nothing, with the closest names
+ * @param {string} kind - What was looked up (habitat, category)
+ * @param {string} name - Name given
+ * @param {Array<string>|null} names - Known names
+ * @returns {Error} Error to throw
+ */
+function unknownName(kind, name, names) {
+  const { values } = completeFrom(names, name);
+  return new Error(`Unknown ${kind} '${name}'.${values.length > 0 ? ` Did you mean: ${values.slice(0, 3).join(', ')}?` : ''}`);
+}
+
+/**
+ * Markdown and JSON representations of an entity
+ * @param {string} markdown - Markdown text
+ * @param {Object} data - Entity data
+ * @returns {Array<Object>} Resource contents
+ */
+function representations(markdown, data) {
+  return [
+    { text: markdown, mimeType: 'text/markdown' },
+    { text: JSON.stringify(data, null, 2), mimeType: 'application/json' }
+  ];
+}
+
+/**
+ * Complete a monster ID, from the start of the ID or part of the monster's name
+ * @param {string} value - Value typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+export async function completeMonsterId(value) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const typed = (value || '').toLowerCase();
+  const rows = await executeQuery(dbPool, `
+    SELECT monster_id, COUNT(*) OVER ()::int AS total
+    FROM ragmonsters.monsters
+    WHERE monster_id::text LIKE $1 || '%' OR POSITION($1 IN LOWER(name)) > 0
+    ORDER BY monster_id ASC
+    LIMIT $2
+  `, [typed, MAX_COMPLETIONS]);
+
+  const total = rows[0]?.total ?? 0;
+  return { values: rows.map(row => String(row.monster_id)), total, hasMore: total > rows.length };
+}
+
+/**
+ * Complete a habitat name
+ * @param {string} value - Value typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+export async function completeHabitatName(value) {
+  return completeFrom(cachedHabitats, value);
+}
+
+/**
+ * Complete a category name
+ * @param {string} value - Value typed so far
+ * @returns {Promise<Object>} Completion { values, total, hasMore }
+ */
+export async function completeCategoryName(value) {
+  return completeFrom(cachedCategories, value);
+}
+
+/**
+ * Write a monster's details as Markdown
+ * @param {Object} monster - Monster details (see getMonsterById)
+ * @returns {string} Markdown
+ */
+function monsterMarkdown(monster) {
+  const list = (items, format) => items.length > 0 ? items.map(item => `- ${format(item)}`).join('\n') : '- None';
+  const signed = (modifier) => modifier > 0 ? `+${modifier}` : `${modifier}`;
+
+  return `# ${monster.name}
+
+*${monster.rarity} ${monster.subcategory} (${monster.category})*, found in ${monster.habitat} (${monster.biome})
+
+## Powers
+- Primary: ${monster.powers.primary}
+- Secondary: ${monster.powers.secondary}
+- Special: ${monster.powers.special}
+- Weakness: ${monster.powers.weakness}
+
+## Physical Attributes
+- Height: ${monster.physicalAttributes.height}
+- Weight: ${monster.physicalAttributes.weight}
+- Appearance: ${monster.physicalAttributes.appearance}
+
+## Lore
+**Discovery:** ${monster.discovery}
+
+**Behavior and ecology:** ${monster.behaviorEcology}
+
+**Notable specimens:** ${monster.notableSpecimens}
+
+## QuestWorlds
+### Keywords
+${list(monster.keywords, keyword => `${keyword.name} (${keyword.rating})${keyword.abilities.length > 0 ? `: ${keyword.abilities.map(ability => `${ability.name} ${ability.mastery}`).join(', ')}` : ''}`)}
+
+### Flaws
+${list(monster.flaws, flaw => `${flaw.name} (${flaw.rating})`)}
+
+### Augments (strong against)
+${list(monster.strengths, strength => `${strength.target} ${signed(strength.modifier)}`)}
+
+### Hindrances (weak against)
+${list(monster.weaknesses, weakness => `${weakness.target} ${signed(weakness.modifier)}`)}
+`;
+}
+
+/**
+ * Load a monster resource (ragmonsters://monsters/{id})
+ * @param {Object} args - Template arguments
+ * @param {string} args.id - Monster ID
+ * @returns {Promise<Array<Object>>} Markdown and JSON representations
+ */
+export async function loadMonster({ id }) {
+  const monsterId = Number(id);
+  if (!Number.isInteger(monsterId) || monsterId <= 0) {
+    throw new Error(`Invalid monster ID '${id}': expected a positive integer`);
+  }
+
+  const details = await getMonsterById({ monsterId });
+  const monster = JSON.parse(details.content[0].text).data;
+  return representations(monsterMarkdown(monster), monster);
+}
+
+/**
+ * Load a habitat resource (ragmonsters://habitats/{name})
+ * @param {Object} args - Template arguments
+ * @param {string} args.name - Habitat name (case-insensitive)
+ * @returns {Promise<Array<Object>>} Markdown and JSON representations
+ */
+export async function loadHabitat({ name }) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const rows = await executeQuery(dbPool, `
+    SELECT m.monster_id, m.name, m.habitat, m.biome, m.rarity, c.category_name, s.subcategory_name
+    FROM ragmonsters.monsters m
+    JOIN ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+    JOIN ragmonsters.categories c ON s.category_id = c.category_id
+    WHERE LOWER(m.habitat) = LOWER($1)
+    ORDER BY m.name ASC
+  `, [name]);
+  if (rows.length === 0) {
+    throw unknownName('habitat', name, cachedHabitats);
+  }
+
+  const habitat = {
+    name: rows[0].habitat,
+    biomes: [...new Set(rows.map(row => row.biome).filter(Boolean))],
+    monsterCount: rows.length,
+    monsters: rows.map(row => ({
+      id: row.monster_id,
+      name: row.name,
+      category: row.category_name,
+      subcategory: row.subcategory_name,
+      rarity: row.rarity
+    }))
+  };
+
+  const markdown = `# ${habitat.name}
+
+Biomes: ${habitat.biomes.join(', ') || 'unknown'}
+
+## Monsters (${habitat.monsterCount})
+${habitat.monsters.map(monster => `- ${monster.name} (ID ${monster.id}): ${monster.rarity} ${monster.subcategory} (${monster.category})`).join('\n')}
+`;
+  return representations(markdown, habitat);
+}
+
+/**
+ * Load a category resource (ragmonsters://categories/{name})
+ * @param {Object} args - Template arguments
+ * @param {string} args.name - Category name (case-insensitive)
+ * @returns {Promise<Array<Object>>} Markdown and JSON representations
+ */
+export async function loadCategory({ name }) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+
+  const rows = await executeQuery(dbPool, `
+    SELECT c.category_name, s.subcategory_name, m.monster_id, m.name, m.habitat, m.rarity
+    FROM ragmonsters.categories c
+    LEFT JOIN ragmonsters.subcategories s ON s.category_id = c.category_id
+    LEFT JOIN ragmonsters.monsters m ON m.subcategory_id = s.subcategory_id
+    WHERE LOWER(c.category_name) = LOWER($1)
+    ORDER BY s.subcategory_name ASC, m.name ASC
+  `, [name]);
+  if (rows.length === 0) {
+    throw unknownName('category', name, cachedCategories);
+  }
+
+  // Group the monsters by subcategory
+  const subcategories = new Map();
+  for (const row of rows.filter(row => row.subcategory_name)) {
+    if (!subcategories.has(row.subcategory_name)) {
+      subcategories.set(row.subcategory_name, { name: row.subcategory_name, monsters: [] });
+    }
+    if (row.monster_id) {
+      subcategories.get(row.subcategory_name).monsters.push({
+        id: row.monster_id,
+        name: row.name,
+        habitat: row.habitat,
+        rarity: row.rarity
+      });
+    }
+  }
+
+  const category = {
+    name: rows[0].category_name,
+    monsterCount: rows.filter(row => row.monster_id).length,
+    subcategories: [...subcategories.values()]
+  };
+
+  const markdown = `# ${category.name}
+
+${category.monsterCount} monsters in ${category.subcategories.length} subcategories.
+${category.subcategories.map(subcategory => `
+## ${subcategory.name} (${subcategory.monsters.length})
+${subcategory.monsters.map(monster => `- ${monster.name} (ID ${monster.id}): ${monster.rarity}, ${monster.habitat}`).join('\n') || '- No monsters'}`).join('\n')}
+`;
+  return representations(markdown, category);
+}
@@ -0,0 +1,776 @@
+/**
+ * Battle-related MCP tools built on the QuestWorlds game data
+ * (keywords, flaws, augments and hindrances)
+ */
+import { executeQuery } from '../utils/db.js';
+import {
+  FLAW_PENALTY,
+  createRng,
+  resolveContest,
+  formatRating,
+  applicableModifiers,
+  matchupModifiers
+} from '../utils/questworlds.js';
+import logger from '../utils/logger.js';
+
+// Module-level database pool
+let dbPool = null;
+
+/**
+ * Initialize the battle module with a database pool
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+export function initializeBattleTools(pool) {
+  dbPool = pool;
+  logger.info('Battle module initialized with database pool');
+}
+
+/**
+ * Load the game profile of several monsters with set-based queries
+ * @param {Object} where - Selection: { ids: number[] } or { names: string[] } (case-insensitive) or {} for all
+ * @returns {Promise<Array<Object>>} Profiles with keywords, flaws, augments and hindrances
+ */
+async function loadCombatProfiles({ ids, names } = {}) {
+  let condition = '';
+  const queryParams = [];
+  if (ids) {
+    condition = 'WHERE m.monster_id = ANY($1)';
+    queryParams.push(ids);
+  } else if (names) {
+    condition = 'WHERE LOWER(m.name) = ANY($1)';
+    queryParams.push(names.map(name => name.toLowerCase()));
+  }
+
+  const monsters = await executeQuery(dbPool, `
+    SELECT
+      m.monster_id, m.name, c.category_name, s.subcategory_name,
+      m.monster_type, m.habitat, m.biome, m.rarity
+    FROM ragmonsters.monsters m
+    JOIN ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+    JOIN ragmonsters.categories c ON s.category_id = c.category_id
+    ${condition}
+    ORDER BY m.monster_id ASC
+  `, queryParams);
+
+  if (monsters.length === 0) return [];
+  const monsterIds = monsters.map(monster => monster.monster_id);
+
+  const [keywords, flaws, augments, hindrances] = await Promise.all([
+    executeQuery(dbPool, `
+      SELECT qs.monster_id, k.keyword_name, k.rating
+      FROM ragmonsters.questworlds_stats qs
+      JOIN ragmonsters.keywords k ON k.stats_id = qs.stats_id
+      WHERE qs.monster_id = ANY($1)
+      ORDER BY k.rating DESC, k.keyword_name ASC
+    `, [monsterIds]),
+    executeQuery(dbPool, `
+      SELECT qs.monster_id, f.flaw_name, f.rating
+      FROM ragmonsters.questworlds_stats qs
+      JOIN ragmonsters.flaws f ON f.stats_id = qs.stats_id
+      WHERE qs.monster_id = ANY($1)
+      ORDER BY f.rating DESC, f.flaw_name ASC
+    `, [monsterIds]),
+    executeQuery(dbPool, `
+      SELECT monster_id, target_name, modifier
+      FROM ragmonsters.augments
+      WHERE monster_id = ANY($1)
+      ORDER BY target_name ASC
+    `, [monsterIds]),
+    executeQuery(dbPool, `
+      SELECT monster_id, target_name, modifier
+      FROM ragmonsters.hindrances
+      WHERE monster_id = ANY($1)
+      ORDER BY target_name ASC
+    `, [monsterIds])
+  ]);
+
+  const byMonster = (rows, map) => {
+    const grouped = new Map(monsterIds.map(id => [id, []]));
+    rows.forEach(row => grouped.get(row.monster_id).push(map(row)));
+    return grouped;
+  };
+  const keywordsById = byMonster(keywords, row => ({ name: row.keyword_name, rating: row.rating }));
+  const flawsById = byMonster(flaws, row => ({ name: row.flaw_name, rating: row.rating }));
+  const augmentsById = byMonster(augments, row => ({ target: row.target_name, modifier: row.modifier }));
+  const hindrancesById = byMonster(hindrances, row => ({ target: row.target_name, modifier: row.modifier }));
+
+  return monsters.map(monster => ({
+    id: monster.monster_id,
+    name: monster.name,
+    category: monster.category_name,
+    subcategory: monster.subcategory_name,
+    type: monster.monster_type,
+    habitat: monster.habitat,
+    biome: monster.biome,
+    rarity: monster.rarity,
+    keywords: keywordsById.get(monster.monster_id),
+    flaws: flawsById.get(monster.monster_id),
+    augments: augmentsById.get(monster.monster_id),
+    hindrances: hindrancesById.get(monster.monster_id)
+  }));
+}
+
+/**
+ * Load the profile of one monster, by ID or else by exact name
+ *
+ * Names are not unique, so a name shared by several monsters is refused with
+ * their IDs rather than resolved to one of them.
+ * @param {Object} reference - { id, name, idParam } where idParam names the tool parameter taking the ID
+ * @returns {Promise<Object>} Combat profile
+ */
+async function loadCombatProfile({ id, name, idParam }) {
+  if (id !== undefined) {
+    const [monster] = await loadCombatProfiles({ ids: [id] });
+    if (!monster) throw new Error(`Monster with ID ${id} not found.`);
+    return monster;
+  }
+
+  const matches = await loadCombatProfiles({ names: [name] });
+  if (matches.length === 0) {
+    throw new Error(`Monster '${name}' not found. Use searchMonsters to find the exact name.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`${matches.length} monsters are named '${matches[0].name}' (IDs ${matches.map(monster => monster.id).join(', ')}). Pass ${idParam} to choose one.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Work out how one monster fights against an opponent
+ * @param {Object} monster - Combat profile
+ * @param {Object} opponent - Opponent combat profile
+ * @param {string} [keywordName] - Keyword to use (default: highest rated)
+ * @returns {Object} Keyword used, applicable modifiers and effective rating
+ */
+function prepareContestant(monster, opponent, keywordName) {
+  let keyword = monster.keywords[0];
+  if (keywordName) {
+    keyword = monster.keywords.find(k => k.name.toLowerCase() === keywordName.toLowerCase());
+    if (!keyword) {
+      throw new Error(`${monster.name} has no keyword '${keywordName}'. Available: ${monster.keywords.map(k => k.name).join(', ') || 'none'}`);
+    }
+  }
+  if (!keyword) {
+    throw new Error(`${monster.name} has no QuestWorlds keywords to contest with`);
+  }
+
+  const modifiers = [
+    ...applicableModifiers(monster.augments, opponent).map(entry => ({ ...entry, type: 'augment' })),
+    ...applicableModifiers(monster.hindrances, opponent).map(entry => ({ ...entry, type: 'hindrance' }))
+  ];
+  const flaw = monster.flaws[0] || null;
+
+  return {
+    monster,
+    keyword,
+    modifiers,
+    flaw,
+    effectiveRating: keyword.rating + modifiers.reduce((sum, entry) => sum + entry.modifier, 0)
+  };
+}
+
+/**
+ * Simulate a QuestWorlds contest between two monsters
+ *
+ * Each round both monsters contest with their chosen keyword, adjusted by
+ * their augments and hindrances against the opponent; each monster's worst
+ * flaw may be exploited for a -5 penalty that round. See utils/questworlds.js
+ * for the resolution rules.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {number} [params.monsterIdA] - ID of the first monster
+ * @param {string} [params.monsterNameA] - Name of the first monster (if no id)
+ * @param {number} [params.monsterIdB] - ID of the second monster
+ * @param {string} [params.monsterNameB] - Name of the second monster (if no id)
+ * @param {string} [params.keywordA] - Keyword used by the first monster (default: its highest rated)
+ * @param {string} [params.keywordB] - Keyword used by the second monster (default: its highest rated)
+ * @param {number} [params.rounds=1000] - Number of simulated contests (max 10000)
+ * @param {number} [params.seed=42] - Random seed, so results are reproducible
+ * @returns {Promise<Object>} Win probabilities and decisive factors
+ */
+export async function simulateMatchup(params) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`simulateMatchup called with params: ${JSON.stringify(params)}`);
+
+    const { monsterIdA, monsterNameA, monsterIdB, monsterNameB, keywordA, keywordB, rounds = 1000, seed = 42 } = params;
+    if ((monsterIdA === undefined && !monsterNameA) || (monsterIdB === undefined && !monsterNameB)) {
+      throw new Error('Provide monsterIdA or monsterNameA, and monsterIdB or monsterNameB.');
+    }
+
+    // Principle 5: Guardrails at the Edge - Clamp rounds
+    const safeRounds = Math.min(Math.max(1, rounds), 10000);
+
+    const [monsterA, monsterB] = await Promise.all([
+      loadCombatProfile({ id: monsterIdA, name: monsterNameA, idParam: 'monsterIdA' }),
+      loadCombatProfile({ id: monsterIdB, name: monsterNameB, idParam: 'monsterIdB' })
+    ]);
+
+    const sideA = prepareContestant(monsterA, monsterB, keywordA);
+    const sideB = prepareContestant(monsterB, monsterA, keywordB);
+
+    // Run the seeded simulation
+    const rng = createRng(seed);
+    const tally = { A: 0, B: 0, draws: 0, marginA: 0, marginB: 0, flawA: 0, flawB: 0 };
+    for (let round = 0; round < safeRounds; round++) {
+      let ratingA = sideA.effectiveRating;
+      let ratingB = sideB.effectiveRating;
+      if (sideA.flaw && Math.floor(rng() * 20) + 1 <= sideA.flaw.rating) {
+        ratingA += FLAW_PENALTY;
+        tally.flawA++;
+      }
+      if (sideB.flaw && Math.floor(rng() * 20) + 1 <= sideB.flaw.rating) {
+        ratingB += FLAW_PENALTY;
+        tally.flawB++;
+      }
+
+      const outcome = resolveContest(ratingA, ratingB, rng);
+      if (outcome.winner === 'A') {
+        tally.A++;
+        tally.marginA += outcome.margin;
+      } else if (outcome.winner === 'B') {
+        tally.B++;
+        tally.marginB += outcome.margin;
+      } else {
+        tally.draws++;
+      }
+    }
+
+    const probability = count => Number((count / safeRounds).toFixed(3));
+
+    // Results are keyed by side: both sides may be the same monster, or share a name
+    const sideKey = side => side === sideA ? 'A' : 'B';
+    const label = side => monsterA.name === monsterB.name ? `${side.monster.name} (${sideKey(side)})` : side.monster.name;
+
+    // Decisive factors, largest expected rating impact first
+    const decisiveFactors = [];
+    const ratingGap = sideA.keyword.rating - sideB.keyword.rating;
+    if (ratingGap !== 0) {
+      const leader = ratingGap > 0 ? sideA : sideB;
+      decisiveFactors.push({
+        side: sideKey(leader),
+        monster: leader.monster.name,
+        factor: 'keyword rating',
+        detail: `${label(sideA)} ${sideA.keyword.name} ${formatRating(sideA.keyword.rating)} vs ${label(sideB)} ${sideB.keyword.name} ${formatRating(sideB.keyword.rating)}`,
+        impact: Math.abs(ratingGap)
+      });
+    }
+    for (const side of [sideA, sideB]) {
+      const opponent = side === sideA ? monsterB : monsterA;
+      for (const entry of side.modifiers) {
+        decisiveFactors.push({
+          side: sideKey(side),
+          monster: side.monster.name,
+          factor: entry.type,
+          detail: `${entry.type === 'augment' ? 'Strong' : 'Weak'} against ${entry.target} (${entry.modifier > 0 ? '+' : ''}${entry.modifier}), matches ${opponent.name}'s ${entry.matchedOn.replace('_', ' ')} '${entry.matchedValue}'`,
+          impact: Math.abs(entry.modifier)
+        });
+      }
+      if (side.flaw) {
+        const flawRate = side === sideA ? tally.flawA : tally.flawB;
+        decisiveFactors.push({
+          side: sideKey(side),
+          monster: side.monster.name,
+          factor: 'flaw',
+          detail: `${side.flaw.name} (${side.flaw.rating}) exploited in ${Math.round(100 * flawRate / safeRounds)}% of rounds (${FLAW_PENALTY} each time)`,
+          impact: Number((Math.abs(FLAW_PENALTY) * flawRate / safeRounds).toFixed(2))
+        });
+      }
+    }
+    decisiveFactors.sort((a, b) => b.impact - a.impact);
+
+    const describeSide = side => ({
+      side: sideKey(side),
+      id: side.monster.id,
+      name: side.monster.name,
+      keyword: side.keyword.name,
+      baseRating: formatRating(side.keyword.rating),
+      modifiers: side.modifiers.map(entry => ({
+        type: entry.type,
+        target: entry.target,
+        modifier: entry.modifier,
+        matchedOn: entry.matchedOn
+      })),
+      effectiveRating: formatRating(side.effectiveRating),
+      flaw: side.flaw
+    });
+
+    const winProbabilityA = probability(tally.A);
+    const winProbabilityB = probability(tally.B);
+    const favourite = winProbabilityA === winProbabilityB
+      ? null
+      : label(winProbabilityA > winProbabilityB ? sideA : sideB);
+
+    const summary = favourite
+      ? `${favourite} is favoured: ${label(sideA)} wins ${Math.round(winProbabilityA * 100)}%, ${label(sideB)} wins ${Math.round(winProbabilityB * 100)}%, draws ${Math.round(probability(tally.draws) * 100)}% over ${safeRounds} rounds. Top factor: ${decisiveFactors[0]?.detail || 'none'}.`
+      : `${label(sideA)} and ${label(sideB)} are evenly matched over ${safeRounds} rounds.`;
+
+    logger.info(`simulateMatchup ${monsterA.name} vs ${monsterB.name}: ${tally.A}/${tally.B}/${tally.draws}`);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: {
+            monsters: [describeSide(sideA), describeSide(sideB)],
+            rounds: safeRounds,
+            seed,
+            results: {
+              A: {
+                id: monsterA.id,
+                name: monsterA.name,
+                wins: tally.A,
+                winProbability: winProbabilityA,
+                averageMarginOfVictory: tally.A > 0 ? Number((tally.marginA / tally.A).toFixed(2)) : null
+              },
+              B: {
+                id: monsterB.id,
+                name: monsterB.name,
+                wins: tally.B,
+                winProbability: winProbabilityB,
+                averageMarginOfVictory: tally.B > 0 ? Number((tally.marginB / tally.B).toFixed(2)) : null
+              },
+              draws: tally.draws,
+              drawProbability: probability(tally.draws)
+            },
+            decisiveFactors
+          },
+          summary,
+          source: "RAGmonsters DB",
+          policy: "Simulated with QuestWorlds contest rules; same seed and inputs always give the same result.",
+          next: [`getMonstersByIds({ monsterIds: [${monsterA.id}, ${monsterB.id}] })`]
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in simulateMatchup: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to simulate matchup: ${error.message}`);
+  }
+}
+
+// Weights of the team score components (sum to 1)
+const TEAM_WEIGHTS = {
+  coverage: 0.45,
+  diversity: 0.2,
+  resilience: 0.15,
+  strength: 0.1,
+  affinity: 0.1
+};
+
+// Number of partial teams kept at each step of the beam search
+const TEAM_BEAM_WIDTH = 25;
+
+/**
+ * Describe a modifier factor in plain words
+ * @param {Object} factor - Factor returned by matchupModifiers
+ * @returns {string} e.g. "strong against Aquatic (+5)"
+ */
+function describeFactor(factor) {
+  const sign = factor.modifier > 0 ? '+' : '';
+  const relation = factor.type === 'augment' ? 'strong against' : 'weak against';
+  return `${factor.holder} is ${relation} ${factor.target} (${sign}${factor.modifier}, matches ${factor.matchedOn.replace('_', ' ')})`;
+}
+
+/**
+ * Score a team against a set of threats
+ * @param {Array<Object>} members - Combat profiles of the team
+ * @param {Object} context - { threats, edges (Map id -> Map threatId -> net), targetHabitat }
+ * @returns {Object} { score, breakdown, uncovered }
+ */
+function scoreTeam(members, { threats, edges, targetHabitat }) {
+  // Coverage: share of threats at least one member has a net edge over
+  const covered = new Set();
+  for (const member of members) {
+    for (const [threatId, net] of edges.get(member.id)) {
+      if (net > 0) covered.add(threatId);
+    }
+  }
+  const coverage = threats.length > 0 ? covered.size / threats.length : 0;
+
+  // Diversity: distinct categories per member
+  const diversity = new Set(members.map(member => member.category)).size / members.length;
+
+  // Resilience: share of the team's weaknesses that only one member has
+  const hindranceCounts = new Map();
+  members.forEach(member => {
+    new Set(member.hindrances.map(h => h.target.toLowerCase())).forEach(target => {
+      hindranceCounts.set(target, (hindranceCounts.get(target) || 0) + 1);
+    });
+  });
+  const shared = [...hindranceCounts.values()].filter(count => count > 1).length;
+  const resilience = hindranceCounts.size > 0 ? 1 - shared / hindranceCounts.size : 1;
+
+  // Strength: average best keyword rating, 40 (2M) counts as full strength
+  const strength = members.reduce((sum, member) => sum + Math.min((member.keywords[0]?.rating || 0) / 40, 1), 0) / members.length;
+
+  // Affinity: members at home in the target habitat
+  const affinity = targetHabitat
+    ? members.filter(member => (member.habitat || '').toLowerCase() === targetHabitat.toLowerCase()).length / members.length
+    : 0;
+
+  const breakdown = { coverage, diversity, resilience, strength, affinity };
+  const score = Object.entries(TEAM_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * breakdown[key], 0);
+
+  return {
+    score,
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, Number(value.toFixed(3))])),
+    uncovered: threats.filter(threat => !covered.has(threat.id))
+  };
+}
+
+/**
+ * Assign a role to each team member with a justification derived from the data
+ * @param {Array<Object>} members - Combat profiles of the team
+ * @param {Object} context - { threats, edges, opponent }
+ * @returns {Array<Object>} Members with role and justification
+ */
+function assignRoles(members, { threats, edges, opponent }) {
+  const bestRating = Math.max(...members.map(member => member.keywords[0]?.rating || 0));
+  const threatNames = new Map(threats.map(threat => [threat.id, threat.name]));
+
+  return members.map(member => {
+    const reasons = [];
+    let role = null;
+
+    if (opponent) {
+      const { net, factors } = matchupModifiers(member, opponent);
+      if (net > 0) {
+        role = 'counter';
+        reasons.push(`Net ${net > 0 ? '+' : ''}${net} against ${opponent.name}: ${factors.map(describeFactor).join('; ')}`);
+      }
+    }
+
+    // Covers a teammate's weakness with a matching augment
+    for (const teammate of members) {
+      if (teammate === member) continue;
+      for (const hindrance of teammate.hindrances) {
+        const augment = member.augments.find(a => a.target.toLowerCase() === hindrance.target.toLowerCase());
+        if (augment) {
+          role = role || 'support';
+          reasons.push(`Covers ${teammate.name}'s weakness against ${hindrance.target} (strong against it, +${augment.modifier})`);
+        }
+      }
+    }
+
+    const best = member.keywords[0];
+    if (best && best.rating === bestRating) {
+      role = role || 'striker';
+      reasons.push(`Highest keyword rating in the team: ${best.name} ${formatRating(best.rating)}`);
+    }
+
+    const ownEdges = [...edges.get(member.id)].filter(([, net]) => net > 0).map(([threatId]) => threatId);
+    const uniqueEdges = ownEdges.filter(threatId =>
+      members.every(other => other === member || !(edges.get(other.id).get(threatId) > 0))
+    );
+    if (uniqueEdges.length > 0) {
+      role = role || 'specialist';
+      const names = uniqueEdges.map(threatId => threatNames.get(threatId));
+      reasons.push(`Only member with an edge over ${names.slice(0, 5).join(', ')}${names.length > 5 ? ` and ${names.length - 5} more` : ''}`);
+    } else if (ownEdges.length > 0) {
+      reasons.push(`Has an edge over ${ownEdges.length} of ${threats.length} threats`);
+    }
+
+    if (members.filter(other => other.category === member.category).length === 1) {
+      reasons.push(`Only ${member.category} member`);
+    }
+
+    return {
+      id: member.id,
+      name: member.name,
+      category: member.category,
+      subcategory: member.subcategory,
+      habitat: member.habitat,
+      rarity: member.rarity,
+      bestKeyword: best ? `${best.name} ${formatRating(best.rating)}` : null,
+      role: role || 'generalist',
+      justification: reasons.length > 0 ? reasons : ['Fills the team without a specific data-backed advantage']
+    };
+  });
+}
+
+/**
+ * Suggest monster teams that cover threats and complement each other
+ *
+ * Threats are the opponent (if given), the monsters of the target habitat
+ * (if given), or otherwise the whole catalog. A member "covers" a threat
+ * when the augments and hindrances of both sides give it a net advantage.
+ * Teams are built with a deterministic beam search and scored on coverage,
+ * category diversity, resilience (few shared weaknesses), keyword strength
+ * and habitat affinity (see TEAM_WEIGHTS).
+ *
+ * @param {Object} params - Tool parameters
+ * @param {number} [params.size=3] - Team size (2 to 6)
+ * @param {Array<string>} [params.allowedRarities] - Only consider monsters of these rarities
+ * @param {string} [params.targetHabitat] - Habitat the team will explore
+ * @param {string} [params.opponent] - Name of a monster the team must beat
+ * @param {Array<string>} [params.mustInclude] - Names of monsters that must be in the team
+ * @param {number} [params.candidates=3] - Number of teams to return (max 5)
+ * @returns {Promise<Object>} Ranked team candidates with per-member roles
+ */
+export async function suggestTeam(params = {}) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`suggestTeam called with params: ${JSON.stringify(params)}`);
+
+    const { size = 3, allowedRarities, targetHabitat, opponent: opponentName, mustInclude = [], candidates = 3 } = params;
+
+    // Principle 5: Guardrails at the Edge - Clamp sizes
+    const teamSize = Math.min(Math.max(2, size), 6);
+    const teamCount = Math.min(Math.max(1, candidates), 5);
+
+    const catalog = await loadCombatProfiles();
+    const byName = new Map(catalog.map(monster => [monster.name.toLowerCase(), monster]));
+
+    // A monster listed twice (e.g. with different casing) is one member
+    const required = [...new Map(mustInclude.map(name => {
+      const monster = byName.get(name.toLowerCase());
+      if (!monster) throw new Error(`Monster '${name}' (mustInclude) not found.`);
+      return [monster.id, monster];
+    })).values()];
+    if (required.length > teamSize) {
+      throw new Error(`mustInclude lists ${required.length} monsters but the team size is ${teamSize}`);
+    }
+
+    let opponent = null;
+    if (opponentName) {
+      opponent = byName.get(opponentName.toLowerCase());
+      if (!opponent) throw new Error(`Opponent '${opponentName}' not found.`);
+    }
+
+    // Threats the team should cover
+    let threats;
+    let threatBasis;
+    if (opponent) {
+      threats = [opponent];
+      threatBasis = `opponent ${opponent.name}`;
+    } else if (targetHabitat) {
+      threats = catalog.filter(monster => (monster.habitat || '').toLowerCase() === targetHabitat.toLowerCase());
+      if (threats.length === 0) {
+        throw new Error(`No monsters found in habitat '${targetHabitat}'. Use the ragmonsters://habitats resource for valid names.`);
+      }
+      threatBasis = `monsters of ${threats[0].habitat}`;
+    } else {
+      threats = catalog;
+      threatBasis = 'the whole catalog';
+    }
+
+    const requiredIds = new Set(required.map(monster => monster.id));
+    const pool = catalog.filter(monster =>
+      !requiredIds.has(monster.id) &&
+      monster.id !== opponent?.id &&
+      (!allowedRarities || allowedRarities.length === 0 || allowedRarities.includes(monster.rarity))
+    );
+    if (pool.length + required.length < teamSize) {
+      throw new Error(`Only ${pool.length + required.length} monsters satisfy the constraints, fewer than the team size ${teamSize}`);
+    }
+
+    // Net edge of every candidate over every threat
+    const edges = new Map();
+    for (const monster of [...required, ...pool]) {
+      edges.set(monster.id, new Map(threats
+        .filter(threat => threat.id !== monster.id)
+        .map(threat => [threat.id, matchupModifiers(monster, threat).net])));
+    }
+    const context = { threats, edges, targetHabitat, opponent };
+
+    // Beam search over partial teams, always starting from the required members
+    let beam = [required];
+    while (beam[0].length < teamSize) {
+      const expanded = new Map();
+      for (const team of beam) {
+        const lastId = team.length > required.length ? team[team.length - 1].id : -Infinity;
+        for (const monster of pool) {
+          // Add members in id order so each combination is generated once
+          if (monster.id <= lastId) continue;
+          const next = [...team, monster];
+          expanded.set(next.map(m => m.id).join(','), next);
+        }
+      }
+      beam = [...expanded.values()]
+        .map(team => ({ team, ...scoreTeam(team, context) }))
+        .sort((a, b) => b.score - a.score || a.team.map(m => m.id).join(',').localeCompare(b.team.map(m => m.id).join(',')))
+        .slice(0, TEAM_BEAM_WIDTH)
+        .map(entry => entry.team);
+      if (beam.length === 0) break;
+    }
+
+    const teams = beam
+      .filter(team => team.length === teamSize)
+      .map(team => ({ team, ...scoreTeam(team, context) }))
+      .slice(0, teamCount)
+      .map((entry, index) => ({
+        rank: index + 1,
+        score: Number(entry.score.toFixed(3)),
+        breakdown: entry.breakdown,
+        members: assignRoles(entry.team, context),
+        uncoveredThreats: entry.uncovered.map(threat => threat.name).slice(0, 10),
+        uncoveredCount: entry.uncovered.length
+      }));
+
+    logger.info(`suggestTeam returning ${teams.length} teams of ${teamSize} against ${threatBasis}`);
+
+    const best = teams[0];
+    const summary = best
+      ? `Best team of ${teamSize} against ${threatBasis}: ${best.members.map(m => `${m.name} (${m.role})`).join(', ')}. Covers ${threats.length - best.uncoveredCount}/${threats.length} threats with ${new Set(best.members.map(m => m.category)).size} categories.`
+      : 'No team satisfies the constraints.';
+
+    const next = best
+      ? (opponent
+        ? best.members.map(member => `simulateMatchup({ monsterIdA: ${member.id}, monsterIdB: ${opponent.id} })`)
+        : [`getMonstersByIds({ monsterIds: [${best.members.map(member => member.id).join(', ')}] })`])
+      : [];
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: {
+            constraints: {
+              size: teamSize,
+              allowedRarities: allowedRarities || null,
+              targetHabitat: targetHabitat || null,
+              opponent: opponent?.name || null,
+              mustInclude: required.map(monster => monster.name)
+            },
+            threats: { basis: threatBasis, count: threats.length },
+            weights: TEAM_WEIGHTS,
+            teams
+          },
+          summary,
+          source: "RAGmonsters DB",
+          policy: "Teams scored from augments, hindrances, categories and keyword ratings; deterministic for the same constraints.",
+          next
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in suggestTeam: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to suggest a team: ${error.message}`);
+  }
+}
+
+/**
+ * Find the monsters that counter a given monster
+ *
+ * A counter is a monster that gets a net advantage from the QuestWorlds
+ * modifiers in play: the target's hindrances naming its category,
+ * subcategory, type or name, and its own augments naming the target.
+ * Modifiers working against the counter are reported as risks.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {number} [params.monsterId] - ID of the monster to counter
+ * @param {string} [params.monsterName] - Name of the monster to counter (if no id)
+ * @param {number} [params.limit=10] - Maximum number of counters (max 25)
+ * @returns {Promise<Object>} Ranked counters with the modifiers that justify them
+ */
+export async function findCounters(params = {}) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`findCounters called with params: ${JSON.stringify(params)}`);
+
+    const { monsterId, monsterName, limit = 10 } = params;
+    if (monsterId === undefined && !monsterName) {
+      throw new Error('Provide monsterId or monsterName');
+    }
+
+    // Principle 5: Guardrails at the Edge - Clamp limits
+    const safeLimit = Math.min(Math.max(1, limit), 25);
+
+    const target = await loadCombatProfile({ id: monsterId, name: monsterName, idParam: 'monsterId' });
+
+    const others = (await loadCombatProfiles()).filter(monster => monster.id !== target.id);
+
+    const counters = others
+      .map(monster => {
+        const { net, factors } = matchupModifiers(monster, target);
+        return { monster, net, factors };
+      })
+      .filter(entry => entry.net > 0)
+      .sort((a, b) =>
+        b.net - a.net ||
+        a.factors.filter(f => f.effect < 0).length - b.factors.filter(f => f.effect < 0).length ||
+        (b.monster.keywords[0]?.rating || 0) - (a.monster.keywords[0]?.rating || 0) ||
+        a.monster.id - b.monster.id
+      );
+
+    const toModifier = factor => ({
+      holder: factor.holder,
+      type: factor.type,
+      target: factor.target,
+      modifier: factor.modifier,
+      matchedOn: factor.matchedOn,
+      matchedValue: factor.matchedValue,
+      effect: factor.effect
+    });
+
+    const ranked = counters.slice(0, safeLimit).map((entry, index) => ({
+      rank: index + 1,
+      id: entry.monster.id,
+      name: entry.monster.name,
+      category: entry.monster.category,
+      subcategory: entry.monster.subcategory,
+      type: entry.monster.type,
+      rarity: entry.monster.rarity,
+      bestKeyword: entry.monster.keywords[0]
+        ? `${entry.monster.keywords[0].name} ${formatRating(entry.monster.keywords[0].rating)}`
+        : null,
+      netModifier: entry.net,
+      modifiers: entry.factors.filter(f => f.effect > 0).map(toModifier),
+      risks: entry.factors.filter(f => f.effect < 0).map(toModifier)
+    }));
+
+    logger.info(`findCounters found ${counters.length} counters for ${target.name}`);
+
+    // Principle 6 & 7: Human-readable summaries & Explainability
+    const weaknesses = target.hindrances.map(h => `${h.target} (${h.modifier})`).join(', ') || 'none recorded';
+    const summary = ranked.length > 0
+      ? `Found ${counters.length} counter${counters.length === 1 ? '' : 's'} for ${target.name} (weak against: ${weaknesses}). Best: ${ranked.slice(0, 3).map(c => `${c.name} (net +${c.netModifier})`).join(', ')}.`
+      : `No monster has a net modifier advantage against ${target.name} (weak against: ${weaknesses}).`;
+
+    const next = ranked.slice(0, 3).map(counter =>
+      `simulateMatchup({ monsterIdA: ${counter.id}, monsterIdB: ${target.id} })`
+    );
+    if (ranked.length > 0) {
+      next.push(`suggestTeam({ opponent: "${target.name}" })`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: {
+            target: {
+              id: target.id,
+              name: target.name,
+              category: target.category,
+              subcategory: target.subcategory,
+              type: target.type,
+              hindrances: target.hindrances
+            },
+            counters: ranked,
+            totalCounters: counters.length
+          },
+          summary,
+          source: "RAGmonsters DB",
+          policy: "Counters ranked by net augment/hindrance modifier against the target, then fewest risks, then keyword rating.",
+          next
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in findCounters: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to find counters: ${error.message}`);
+  }
+}
@@ -1,22 +1,84 @@
 /**
  * Tool definitions for the RAGmonsters MCP server
  */
-import { getMonsters, getMonsterById, getRarities, getBiomes, getMonsterByHabitat, getMonsterByName, compareMonsters, initializeTools } from './monsters.js';
+import { getMonsters, getMonsterById, getMonstersByIds, MAX_BATCH_IDS, DETAIL_SECTIONS, getRarities, getBiomes, getHabitats, getCategories, getSubcategories, getMonsterByHabitat, getMonsterByName, searchMonsters, SEARCHABLE_FIELDS, compareMonsters, initializeTools as initializeMonsterTools } from './monsters.js';
+import { semanticSearchMonsters, initializeSemanticTools } from './semantic.js';
+import { getMonsterStats, initializeStatsTools, STAT_DIMENSIONS, STAT_MEASURES } from './stats.js';
+import { simulateMatchup, suggestTeam, findCounters, initializeBattleTools } from './battle.js';
+import { FILTER_FIELDS, FILTER_OPERATORS, RARITY_ORDER } from '../utils/filters.js';
+import { UserError } from 'fastmcp';
 import { z } from 'zod';
 import logger from '../utils/logger.js';
 
-// Export the tools and initialize function
-export { getMonsters, getMonsterById, getRarities, getBiomes, getMonsterByHabitat, getMonsterByName, compareMonsters, initializeTools };
+// Export the tools
+export { getMonsters, getMonsterById, getMonstersByIds, getRarities, getBiomes, getHabitats, getCategories, getSubcategories, getMonsterByHabitat, getMonsterByName, searchMonsters, semanticSearchMonsters, getMonsterStats, compareMonsters, simulateMatchup, suggestTeam, findCounters };
+
+/**
+ * Initialize every tool module with a database pool
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+export function initializeTools(pool) {
+  initializeMonsterTools(pool);
+  initializeSemanticTools(pool);
+  initializeStatsTools(pool);
+  initializeBattleTools(pool);
+}
+
+/**
+ * Structured filter conditions shared by tools that accept a `where` parameter
+ */
+const whereSchema = z.array(z.object({
+  field: z.enum(Object.keys(FILTER_FIELDS)).describe('Field to filter on. power = any of the three powers; keyword/keyword_rating, flaw/flaw_rating, augment_target and hindrance_target match QuestWorlds data'),
+  op: z.enum(FILTER_OPERATORS).describe('Operator: eq, in (set), gt/gte/lt/lte (numbers, or rarity order Common < Uncommon < Rare < Very Rare < Extremely Rare), between ([min, max]), contains (case-insensitive text)'),
+  value: z.union([
+    z.string(),
+    z.number(),
+    z.array(z.union([z.string(), z.number()]))
+  ]).describe('Value to compare with; an array for in and between'),
+  keyword: z.string().optional().describe('For keyword_rating: only consider this keyword'),
+  flaw: z.string().optional().describe('For flaw_rating: only consider this flaw'),
+  not: z.boolean().optional().describe('Negate the condition (e.g. not in habitat X, has no hindrance against Fire)')
+})).max(20).optional().describe('Structured filter conditions combined with AND, e.g. [{ field: "height", op: "between", value: [1, 3] }, { field: "rarity", op: "gte", value: "Rare" }, { field: "hindrance_target", op: "eq", value: "Fire" }]');
+
+/**
+ * Detail sections shared by the monster detail tools
+ */
+const includeSchema = z.array(z.enum(Object.keys(DETAIL_SECTIONS))).optional().describe('Sections to return besides identity fields (name, category, habitat, rarity...): powers, physical (height, weight, appearance), lore (discovery, behavior, notable specimens), questworlds (keywords, abilities, flaws), affinities (strengths and weaknesses against other monsters). Default: all');
+
+// Rate limiter for tool calls of HTTP MCP sessions (set at registration)
+let toolRateLimiter = null;
+
+/**
+ * Rate limit key of an MCP session, matching the web API's keys
+ * @param {Object} session - Session auth returned by createMcpAuthenticate
+ * @returns {string} `ip:<address>` for anonymous sessions, else `key:<principal id>`
+ */
+function sessionClientKey(session) {
+  return session.type === 'anonymous' ? session.id : `key:${session.id}`;
+}
 
 /**
  * Create a logged wrapper for a tool function
+ *
+ * Calls from HTTP sessions (authenticated, or anonymous and keyed by address)
+ * are charged to the caller's `tools` budget when a rate limiter is configured.
+ * In-process and stdio sessions have no session auth and are not limited.
  * @param {string} toolName - Name of the tool
  * @param {Function} fn - The tool function to wrap
  * @returns {Function} Wrapped function with logging
  */
 function withLogging(toolName, fn) {
-  return async (params) => {
+  return async (params, context) => {
     logger.info(`[TOOL CALL] ${toolName} called with params: ${JSON.stringify(params)}`);
+
+    if (toolRateLimiter && context?.session?.id) {
+      const limit = await toolRateLimiter.consume('tools', sessionClientKey(context.session));
+      if (!limit.allowed) {
+        logger.error(`[TOOL REJECTED] ${toolName}: ${limit.reason}`);
+        throw new UserError(`${limit.reason}. Retry after ${limit.retryAfterSeconds}s.`);
+      }
+    }
+
     const startTime = Date.now();
     try {
       const result = await fn(params);
@@ -34,12 +96,16 @@ function withLogging(toolName, fn) {
 /**
  * Register all tools with an MCP server
  * @param {Object} server - The MCP server instance
+ * @param {Object} [options] - Registration options
+ * @param {Object} [options.rateLimiter] - Rate limiter for tool calls of HTTP sessions
  */
-export function registerToolsWithServer(server) {
+export function registerToolsWithServer(server, { rateLimiter = null } = {}) {
+  toolRateLimiter = rateLimiter;
+
   // Register monster tools with logging wrappers
   server.addTool({
     name: 'getMonsters',
-    description: 'Get a list of monsters with optional filtering, sorting, and pagination',
+    description: 'Get a list of monsters with optional filtering, sorting, and cursor-based pagination. Responses include totalCount, hasMore and a nextCursor.',
     parameters: z.object({
       filters: z.object({
         category: z.enum([
@@ -53,12 +119,16 @@ export function registerToolsWithServer(server) {
         ]).optional().describe('Filter by monster rarity')
       }).optional().describe('Optional filters for the query'),
 
+      where: whereSchema,
+
       sort: z.object({
         field: z.string().optional().describe('Field to sort by (name, category, habitat, rarity)'),
         direction: z.enum(['asc', 'desc']).optional().describe('Sort direction (asc or desc)')
       }).optional().describe('Optional sorting parameters'),
 
-      limit: z.number().int().min(1).optional().describe('Maximum number of results to return (default: 10, max: 50)')
+      limit: z.number().int().min(1).optional().describe('Maximum number of results to return (default: 10, max: 50)'),
+
+      cursor: z.string().optional().describe('Opaque cursor from the previous response\'s nextCursor to fetch the next page (repeat the same filters and sort)')
     }),
     execute: withLogging('getMonsters', getMonsters)
   });
@@ -67,11 +137,22 @@ export function registerToolsWithServer(server) {
     name: 'getMonsterById',
     description: 'Get detailed information about a specific monster by ID',
     parameters: z.object({
-      monsterId: z.number().describe('ID of the monster to retrieve')
+      monsterId: z.number().describe('ID of the monster to retrieve'),
+      include: includeSchema
     }),
     execute: withLogging('getMonsterById', getMonsterById)
   });
 
+  server.addTool({
+    name: 'getMonstersByIds',
+    description: `Get detailed information about up to ${MAX_BATCH_IDS} monsters in one call. Results follow the order of the IDs; missing IDs are reported individually instead of failing the call.`,
+    parameters: z.object({
+      monsterIds: z.array(z.number().int()).min(1).max(MAX_BATCH_IDS).describe('IDs of the monsters to retrieve'),
+      include: includeSchema
+    }),
+    execute: withLogging('getMonstersByIds', getMonstersByIds)
+  });
+
   server.addTool({
     name: 'getBiomes',
     description: 'Get a list of all available biomes in the database',
@@ -86,25 +167,83 @@ export function registerToolsWithServer(server) {
     execute: withLogging('getRarities', getRarities)
   });
 
+  server.addTool({
+    name: 'getHabitats',
+    description: 'Get all habitats with the number of monsters living in each',
+    parameters: z.object({}),
+    execute: withLogging('getHabitats', getHabitats)
+  });
+
+  server.addTool({
+    name: 'getCategories',
+    description: 'Get all monster categories with their number of subcategories and monsters',
+    parameters: z.object({}),
+    execute: withLogging('getCategories', getCategories)
+  });
+
+  server.addTool({
+    name: 'getSubcategories',
+    description: 'Get monster subcategories with their parent category and number of monsters',
+    parameters: z.object({
+      category: z.string().optional().describe('Only list the subcategories of this category (see getCategories)')
+    }),
+    execute: withLogging('getSubcategories', getSubcategories)
+  });
+
   server.addTool({
     name: 'getMonsterByHabitat',
     description: 'Get monsters by habitat (exact match only). Use the ragmonsters://habitats resource for the list of valid habitat names.',
     parameters: z.object({
       habitat: z.string().describe('Exact habitat name (must match exactly). Refer to the ragmonsters://habitats resource for valid habitat names.'),
-      limit: z.number().optional().describe('Maximum number of results to return (default: 10)')
+      limit: z.number().int().min(1).optional().describe('Maximum number of results to return (default: 10, max: 50)'),
+      cursor: z.string().optional().describe('Opaque cursor from the previous response\'s nextCursor to fetch the next page')
     }),
     execute: withLogging('getMonsterByHabitat', getMonsterByHabitat)
   });
 
   server.addTool({
     name: 'getMonsterByName',
-    description: 'Get monsters by name (partial match, returns up to 5 matches)',
+    description: 'Get monsters by name (partial match, returns 5 matches per page by default)',
     parameters: z.object({
-      name: z.string().describe('Name of the monster to search for (can be partial)')
+      name: z.string().describe('Name of the monster to search for (can be partial)'),
+      limit: z.number().int().min(1).optional().describe('Maximum number of results to return (default: 5, max: 50)'),
+      cursor: z.string().optional().describe('Opaque cursor from the previous response\'s nextCursor to fetch the next page')
     }),
     execute: withLogging('getMonsterByName', getMonsterByName)
   });
 
+  server.addTool({
+    name: 'searchMonsters',
+    description: 'Full-text and fuzzy search across monster names, appearance, powers, weaknesses, behavior and notable specimens. Returns ranked hits with the matched field and a highlighted snippet.',
+    parameters: z.object({
+      query: z.string().min(1).describe('Free-text query, e.g. "controls water pressure" (typos are tolerated)'),
+      fields: z.array(z.enum(Object.keys(SEARCHABLE_FIELDS))).optional().describe('Restrict the search to these fields (default: all searchable fields)'),
+      limit: z.number().int().min(1).optional().describe('Maximum number of results to return (default: 10, max: 50)')
+    }),
+    execute: withLogging('searchMonsters', searchMonsters)
+  });
+
+  server.addTool({
+    name: 'semanticSearchMonsters',
+    description: 'Semantic search over monster descriptions (appearance, powers, weaknesses, behavior, lore). Use for conceptual questions where the exact words may not appear in the data.',
+    parameters: z.object({
+      query: z.string().min(1).describe('Natural-language description of what you are looking for'),
+      limit: z.number().int().min(1).optional().describe('Maximum number of monsters to return (default: 5, max: 20)')
+    }),
+    execute: withLogging('semanticSearchMonsters', semanticSearchMonsters)
+  });
+
+  server.addTool({
+    name: 'getMonsterStats',
+    description: 'Aggregate statistics over the whole catalog: monster counts grouped by up to 3 dimensions, with min/avg/max of numeric measures. Use instead of paging through getMonsters to count or compare groups.',
+    parameters: z.object({
+      groupBy: z.array(z.enum(Object.keys(STAT_DIMENSIONS))).max(3).optional().describe('Dimensions to group by, e.g. ["category", "rarity"] (default: no grouping, overall totals)'),
+      measures: z.array(z.enum(Object.keys(STAT_MEASURES))).optional().describe('Numeric measures to summarise with min/avg/max (default: ["height"])'),
+      where: whereSchema
+    }),
+    execute: withLogging('getMonsterStats', getMonsterStats)
+  });
+
   server.addTool({
     name: 'compareMonsters',
     description: 'Compare two monsters side-by-side by name',
@@ -115,6 +254,47 @@ export function registerToolsWithServer(server) {
     execute: withLogging('compareMonsters', compareMonsters)
   });
 
+  server.addTool({
+    name: 'simulateMatchup',
+    description: 'Simulate a QuestWorlds contest between two monsters using keyword ratings, augments and hindrances against the opponent, and flaws. Returns win probabilities and the decisive factors.',
+    parameters: z.object({
+      monsterIdA: z.number().int().optional().describe('ID of the first monster'),
+      monsterNameA: z.string().optional().describe('Exact name of the first monster (used if monsterIdA is not given; refused if several monsters share it)'),
+      monsterIdB: z.number().int().optional().describe('ID of the second monster'),
+      monsterNameB: z.string().optional().describe('Exact name of the second monster (used if monsterIdB is not given; refused if several monsters share it)'),
+      keywordA: z.string().optional().describe('Keyword the first monster contests with (default: its highest rated)'),
+      keywordB: z.string().optional().describe('Keyword the second monster contests with (default: its highest rated)'),
+      rounds: z.number().int().min(1).max(10000).optional().describe('Number of simulated contests (default: 1000)'),
+      seed: z.number().int().optional().describe('Random seed for reproducible results (default: 42)')
+    }),
+    execute: withLogging('simulateMatchup', simulateMatchup)
+  });
+
+  server.addTool({
+    name: 'suggestTeam',
+    description: 'Suggest ranked monster teams that cover an opponent, the monsters of a habitat, or the whole catalog. Teams are scored on coverage (augments and hindrances giving an edge), category diversity, few shared weaknesses, keyword strength and habitat affinity; each member gets a role with a data-backed justification.',
+    parameters: z.object({
+      size: z.number().int().min(2).max(6).optional().describe('Team size (default: 3)'),
+      allowedRarities: z.array(z.enum(RARITY_ORDER)).optional().describe('Only consider monsters of these rarities (mustInclude monsters are always allowed)'),
+      targetHabitat: z.string().optional().describe('Habitat the team will explore; its monsters become the threats to cover'),
+      opponent: z.string().optional().describe('Exact name of a monster the team must beat (takes precedence over targetHabitat for threats)'),
+      mustInclude: z.array(z.string()).max(6).optional().describe('Exact names of monsters that must be in the team'),
+      candidates: z.number().int().min(1).max(5).optional().describe('Number of ranked teams to return (default: 3)')
+    }),
+    execute: withLogging('suggestTeam', suggestTeam)
+  });
+
+  server.addTool({
+    name: 'findCounters',
+    description: 'Find monsters that counter a given monster: its hindrances naming their category, subcategory or type, and their augments naming it. Returns a ranked list with the exact modifiers that justify each counter.',
+    parameters: z.object({
+      monsterId: z.number().int().optional().describe('ID of the monster to counter'),
+      monsterName: z.string().optional().describe('Exact name of the monster to counter (used if monsterId is not given; refused if several monsters share it)'),
+      limit: z.number().int().min(1).max(25).optional().describe('Maximum number of counters (default: 10)')
+    }),
+    execute: withLogging('findCounters', findCounters)
+  });
+
   logger.info(`Registered tools with the MCP server`);
   logger.info(`Available categories: monsters`);
 }
@@ -1,18 +1,100 @@
 /**
  * Monster-related MCP tools
  */
-import { executeQuery } from '../utils/db.js';
+import { executeQuery, hasExtension } from '../utils/db.js';
+import { encodeCursor, decodeCursor, buildKeysetCondition, formatToolCall } from '../utils/pagination.js';
+import { compileFilters } from '../utils/filters.js';
 import logger from '../utils/logger.js';
 
 // Module-level database pool
 let dbPool = null;
 
+// Whether pg_trgm is installed (checked lazily on first search)
+let trigramAvailable = null;
+
+/**
+ * Sortable fields for getMonsters, mapped to their SQL expression
+ */
+const SORT_FIELDS = {
+  name: 'm.name',
+  category: 'c.category_name',
+  habitat: 'm.habitat',
+  rarity: 'm.rarity'
+};
+
+/**
+ * Maximum number of distinct IDs accepted by getMonstersByIds
+ */
+export const MAX_BATCH_IDS = 25;
+
+/**
+ * Optional sections of the monster detail tools
+ * 
+ * Identity fields (id, name, category, subcategory, habitat, biome, rarity) are
+ * always returned. Each section lists the monster columns it needs and how they
+ * are shaped; questworlds and affinities also pull their own child tables.
+ */
+export const DETAIL_SECTIONS = {
+  powers: {
+    columns: ['m.primary_power', 'm.secondary_power', 'm.special_ability', 'm.weakness'],
+    format: monster => ({
+      powers: {
+        primary: monster.primary_power,
+        secondary: monster.secondary_power,
+        special: monster.special_ability,
+        weakness: monster.weakness
+      }
+    })
+  },
+  physical: {
+    columns: ['m.height', 'm.weight', 'm.appearance'],
+    format: monster => ({
+      physicalAttributes: {
+        height: monster.height,
+        weight: monster.weight,
+        appearance: monster.appearance
+      }
+    })
+  },
+  lore: {
+    columns: ['m.discovery', 'm.behavior_ecology', 'm.notable_specimens'],
+    format: monster => ({
+      discovery: monster.discovery,
+      behaviorEcology: monster.behavior_ecology,
+      notableSpecimens: monster.notable_specimens
+    })
+  },
+  questworlds: {
+    columns: [],
+    format: () => ({ keywords: [], flaws: [] })
+  },
+  affinities: {
+    columns: [],
+    format: () => ({ strengths: [], weaknesses: [] })
+  }
+};
+
+/**
+ * Text columns searchable by searchMonsters, mapped to their SQL expression
+ */
+export const SEARCHABLE_FIELDS = {
+  name: 'm.name',
+  appearance: 'm.appearance',
+  primary_power: 'm.primary_power',
+  secondary_power: 'm.secondary_power',
+  special_ability: 'm.special_ability',
+  weakness: 'm.weakness',
+  behavior_ecology: 'm.behavior_ecology',
+  notable_specimens: 'm.notable_specimens'
+};
+
 /**
  * Initialize the monsters module with a database pool
  * @param {Object} pool - PostgreSQL connection pool
  */
 export function initializeTools(pool) {
   dbPool = pool;
+  trigramAvailable = null;
   logger.info('Monsters module initialized with database pool');
 }
 
@@ -62,6 +144,118 @@ export async function getBiomes() {
   }
 }
 
+/**
+ * Get the habitats with their number of monsters
+ * @returns {Promise<Object>} List of { habitat, monsterCount }
+ */
+export async function getHabitats() {
+  try {
+    if (!dbPool) throw new Error('Database pool not initialized');
+
+    const query = `
+      SELECT habitat, COUNT(*)::int AS monster_count
+      FROM ragmonsters.monsters
+      WHERE habitat IS NOT NULL
+      GROUP BY habitat
+      ORDER BY habitat ASC
+    `;
+    const result = await executeQuery(dbPool, query);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result.map(r => ({ habitat: r.habitat, monsterCount: r.monster_count })))
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in getHabitats: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the categories with their number of subcategories and monsters
+ * @returns {Promise<Object>} List of { category, subcategoryCount, monsterCount }
+ */
+export async function getCategories() {
+  try {
+    if (!dbPool) throw new Error('Database pool not initialized');
+
+    const query = `
+      SELECT
+        c.category_name,
+        COUNT(DISTINCT s.subcategory_id)::int AS subcategory_count,
+        COUNT(m.monster_id)::int AS monster_count
+      FROM ragmonsters.categories c
+      LEFT JOIN ragmonsters.subcategories s ON s.category_id = c.category_id
+      LEFT JOIN ragmonsters.monsters m ON m.subcategory_id = s.subcategory_id
+      GROUP BY c.category_name
+      ORDER BY c.category_name ASC
+    `;
+    const result = await executeQuery(dbPool, query);
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result.map(r => ({
+          category: r.category_name,
+          subcategoryCount: r.subcategory_count,
+          monsterCount: r.monster_count
+        })))
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in getCategories: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the subcategories with their parent category and number of monsters
+ * @param {Object} [params] - Tool parameters
+ * @param {string} [params.category] - Only list the subcategories of this category
+ * @returns {Promise<Object>} List of { subcategory, category, monsterCount }
+ */
+export async function getSubcategories(params = {}) {
+  try {
+    if (!dbPool) throw new Error('Database pool not initialized');
+
+    const { category } = params;
+    const queryParams = category ? [category] : [];
+    const query = `
+      SELECT
+        s.subcategory_name,
+        c.category_name,
+        COUNT(m.monster_id)::int AS monster_count
+      FROM ragmonsters.subcategories s
+      JOIN ragmonsters.categories c ON s.category_id = c.category_id
+      LEFT JOIN ragmonsters.monsters m ON m.subcategory_id = s.subcategory_id
+      ${category ? 'WHERE c.category_name = $1' : ''}
+      GROUP BY s.subcategory_name, c.category_name
+      ORDER BY c.category_name ASC, s.subcategory_name ASC
+    `;
+    const result = await executeQuery(dbPool, query, queryParams);
+
+    if (category && result.length === 0) {
+      throw new Error(`Unknown category '${category}'. Use getCategories for the list of categories.`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result.map(r => ({
+          subcategory: r.subcategory_name,
+          category: r.category_name,
+          monsterCount: r.monster_count
+        })))
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in getSubcategories: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Get a list of monsters with optional filtering, sorting, and pagination
  * 
@@ -71,11 +265,13 @@ export async function getBiomes() {
  * @param {string} [params.filters.habitat] - Filter by monster habitat
  * @param {string} [params.filters.biome] - Filter by monster biome
  * @param {string} [params.filters.rarity] - Filter by monster rarity
+ * @param {Array<Object>} [params.where] - Structured filter conditions (see utils/filters.js), combined with AND
  * @param {Object} [params.sort] - Optional sorting parameters
  * @param {string} [params.sort.field] - Field to sort by (e.g., 'name', 'category')
  * @param {string} [params.sort.direction] - Sort direction ('asc' or 'desc')
  * @param {number} [params.limit] - Maximum number of results to return
- * @param {number} [params.offset] - Number of results to skip (for pagination)
+ * @param {string} [params.cursor] - Opaque cursor from a previous call's nextCursor
+ * @param {number} [params.offset] - Number of results to skip (ignored when a cursor is given)
  * @returns {Promise<Array>} List of monsters
  */
 export async function getMonsters(params = {}) {
@@ -85,84 +281,121 @@ export async function getMonsters(params = {}) {
     }
 
     logger.info(`getMonsters called with params: ${JSON.stringify(params)}`);
-    const { filters = {}, sort = {}, limit = 10, offset = 0 } = params;
+    const { filters = {}, where = [], sort = {}, limit = 10, offset = 0, cursor } = params;
 
     // Principle 5: Guardrails at the Edge - Clamp limits
     const safeLimit = Math.min(Math.max(1, limit), 50);
 
-    // Start building the query
-    let query = `
-      SELECT 
-        m.monster_id,
-        m.name,
-        c.category_name,
-        s.subcategory_name,
-        m.habitat,
-        m.biome,
-        m.rarity,
-        m.primary_power,
-        m.secondary_power,
-        m.special_ability
+    // Validate sort field to prevent SQL injection
+    const sortField = SORT_FIELDS[sort.field] ? sort.field : 'name';
+    const sortExpression = SORT_FIELDS[sortField];
+    const sortDirection = sort.direction?.toLowerCase() === 'desc' ? 'desc' : 'asc';
+
+    const fromClause = `
       FROM 
         ragmonsters.monsters m
       JOIN 
         ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
       JOIN 
         ragmonsters.categories c ON s.category_id = c.category_id
-      WHERE 1=1
     `;
 
     // Build parameter array for prepared statement
-    const queryParams = [];
+    const conditions = [];
+    const filterParams = [];
 
     // Add filters
     if (filters.category) {
-      queryParams.push(filters.category);
-      query += ` AND c.category_name = $${queryParams.length}`;
+      filterParams.push(filters.category);
+      conditions.push(`c.category_name = $${filterParams.length}`);
     }
 
     if (filters.habitat) {
-      queryParams.push(filters.habitat);
-      query += ` AND m.habitat = $${queryParams.length}`;
+      filterParams.push(filters.habitat);
+      conditions.push(`m.habitat = $${filterParams.length}`);
     }
 
     if (filters.biome) {
-      queryParams.push(filters.biome);
-      query += ` AND m.biome = $${queryParams.length}`;
+      filterParams.push(filters.biome);
+      conditions.push(`m.biome = $${filterParams.length}`);
     }
 
     if (filters.rarity) {
-      queryParams.push(filters.rarity);
-      query += ` AND m.rarity = $${queryParams.length}`;
+      filterParams.push(filters.rarity);
+      conditions.push(`m.rarity = $${filterParams.length}`);
     }
 
-    // Add sorting
-    if (sort.field) {
-      // Validate sort field to prevent SQL injection
-      const validSortFields = ['name', 'category', 'habitat', 'rarity'];
-      const sortField = validSortFields.includes(sort.field) ? sort.field : 'name';
+    // Structured filter expressions (validated and parameterized)
+    conditions.push(...compileFilters(where, filterParams));
 
-      // Validate sort direction
-      const sortDirection = sort.direction?.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countRows = await executeQuery(dbPool, `SELECT COUNT(*)::int AS total ${fromClause} ${whereClause}`, filterParams);
+    const totalCount = countRows[0]?.total ?? 0;
 
-      // Principle 3: Deterministic Behavior - Add tie-breaker
-      query += ` ORDER BY m.${sortField} ${sortDirection}, m.monster_id ASC`;
-    } else {
-      // Default sort by name with tie-breaker
-      query += ` ORDER BY m.name ASC, m.monster_id ASC`;
+    // Resume after the cursor position (keyset pagination) instead of using OFFSET
+    const queryParams = [...filterParams];
+    const pageConditions = [...conditions];
+    if (cursor) {
+      const position = decodeCursor(cursor, { sort: sortField, direction: sortDirection, query: { filters, where } });
+      pageConditions.push(buildKeysetCondition(sortExpression, 'm.monster_id', sortDirection, position, queryParams));
     }
 
-    // Add pagination
-    query += ` LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
-    queryParams.push(safeLimit, offset);
+    let query = `
+      SELECT 
+        m.monster_id,
+        m.name,
+        c.category_name,
+        s.subcategory_name,
+        m.habitat,
+        m.biome,
+        m.rarity,
+        m.primary_power,
+        m.secondary_power,
+        m.special_ability,
+        ${sortExpression} AS sort_value
+      ${fromClause}
+      ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+    `;
+
+    // Principle 3: Deterministic Behavior - Add tie-breaker
+    query += ` ORDER BY ${sortExpression} ${sortDirection.toUpperCase()}, m.monster_id ASC`;
 
-    const monsters = await executeQuery(dbPool, query, queryParams);
+    // Fetch one extra row to know whether another page exists
+    queryParams.push(safeLimit + 1);
+    query += ` LIMIT $${queryParams.length}`;
+    if (!cursor && offset > 0) {
+      queryParams.push(offset);
+      query += ` OFFSET $${queryParams.length}`;
+    }
 
-    logger.info(`getMonsters returning ${monsters.length} monsters`);
+    const rows = await executeQuery(dbPool, query, queryParams);
+    const hasMore = rows.length > safeLimit;
+    const monsters = hasMore ? rows.slice(0, safeLimit) : rows;
+
+    logger.info(`getMonsters returning ${monsters.length} of ${totalCount} monsters`);
     logger.debug(`First monster in results: ${JSON.stringify(monsters[0] || {})}`);
 
+    const lastMonster = monsters[monsters.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ sort: sortField, direction: sortDirection, query: { filters, where }, value: lastMonster.sort_value, id: lastMonster.monster_id })
+      : null;
+
     // Principle 6 & 7: Human-readable summaries & Explainability
-    const summary = `Found ${monsters.length} monsters${filters.category ? ` in category '${filters.category}'` : ''}${filters.habitat ? ` in habitat '${filters.habitat}'` : ''}.`;
+    const summary = `Found ${totalCount} monsters${filters.category ? ` in category '${filters.category}'` : ''}${filters.habitat ? ` in habitat '${filters.habitat}'` : ''}${where.length > 0 ? ` matching ${where.length} filter condition(s)` : ''}; returning ${monsters.length}${hasMore ? ', more available with nextCursor' : ''}.`;
+
+    const next = [];
+    if (nextCursor) {
+      next.push(formatToolCall('getMonsters', {
+        ...(Object.keys(filters).length > 0 ? { filters } : {}),
+        ...(where.length > 0 ? { where } : {}),
+        sort: { field: sortField, direction: sortDirection },
+        limit: safeLimit,
+        cursor: nextCursor
+      }));
+    }
+    if (monsters.length > 0) {
+      next.push(`getMonsterById({ monsterId: ${monsters[0].monster_id} })`);
+    }
 
     // Format the response
     return {
@@ -183,10 +416,13 @@ export async function getMonsters(params = {}) {
               special: monster.special_ability
             }
           })),
+          totalCount,
+          hasMore,
+          nextCursor,
           summary,
           source: "RAGmonsters DB",
           policy: "Data retrieved from official RAGmonsters catalog.",
-          next: monsters.length > 0 ? [`getMonsterById({ monsterId: ${monsters[0].monster_id} })`] : []
+          next
         })
       }]
     };
@@ -198,57 +434,47 @@ export async function getMonsters(params = {}) {
 }
 
 /**
- * Get detailed information about a specific monster by ID
+ * Load the details of several monsters with set-based queries
  * 
- * @param {Object} params - Tool parameters
- * @param {number} params.monsterId - ID of the monster to retrieve
- * @returns {Promise<Object>} Detailed monster information
+ * Only the columns and child tables of the requested sections are queried.
+ * @param {Array<number>} ids - Monster IDs
+ * @param {Array<string>} [sections] - Sections from DETAIL_SECTIONS (default: all)
+ * @returns {Promise<Map<number, Object>>} Details by monster ID (missing IDs are absent)
  */
-export async function getMonsterById(params) {
-  try {
-    if (!dbPool) {
-      throw new Error('Database pool not initialized. Call initialize() first.');
-    }
-
-    logger.info(`getMonsterById called with params: ${JSON.stringify(params)}`);
-
-    const { monsterId } = params;
-
-    if (!monsterId) {
-      logger.error('Monster ID is required but was not provided');
-      throw new Error('Monster ID is required');
-    }
-
-    logger.debug(`Fetching monster with ID: ${monsterId}`);
-    // Get basic monster information
-    // Principle 4: Least Privilege - Explicit columns
-    const monsterQuery = `
-      SELECT
-        m.monster_id, m.name, c.category_name, s.subcategory_name, 
-        m.habitat, m.biome, m.rarity, m.discovery,
-        m.height, m.weight, m.appearance, m.primary_power, m.secondary_power,
-        m.special_ability, m.weakness, m.behavior_ecology, m.notable_specimens
-      FROM 
-        ragmonsters.monsters m
-      JOIN 
-        ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
-      JOIN 
-        ragmonsters.categories c ON s.category_id = c.category_id
-      WHERE
-        m.monster_id = $1
-    `;
-
-    const monsters = await executeQuery(dbPool, monsterQuery, [monsterId]);
-
-    if (monsters.length === 0) {
-      throw new Error(`Monster with ID ${monsterId} not found`);
-    }
-
-    const monster = monsters[0];
-
-    // Get monster's abilities and keywords
-    const abilitiesQuery = `
+async function loadMonsterDetails(ids, sections = Object.keys(DETAIL_SECTIONS)) {
+  const wanted = new Set(sections);
+
+  // Get basic monster information
+  // Principle 4: Least Privilege - Explicit columns, only for the requested sections
+  const columns = [
+    'm.monster_id', 'm.name', 'c.category_name', 's.subcategory_name',
+    'm.habitat', 'm.biome', 'm.rarity',
+    ...sections.flatMap(section => DETAIL_SECTIONS[section].columns)
+  ];
+  const monsterQuery = `
+    SELECT
+      ${columns.join(', ')}
+    FROM 
+      ragmonsters.monsters m
+    JOIN 
+      ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+    JOIN 
+      ragmonsters.categories c ON s.category_id = c.category_id
+    WHERE
+      m.monster_id = ANY($1)
+  `;
+
+  const monsters = await executeQuery(dbPool, monsterQuery, [ids]);
+  if (monsters.length === 0) return new Map();
+
+  const foundIds = monsters.map(monster => monster.monster_id);
+  const none = Promise.resolve([]);
+
+  const [abilities, flaws, strengths, weaknesses] = await Promise.all([
+    // Get abilities and keywords
+    wanted.has('questworlds') ? executeQuery(dbPool, `
       SELECT 
+        qs.monster_id,
         k.keyword_name,
         k.rating,
         a.ability_name,
@@ -260,16 +486,14 @@ export async function getMonsterById(params) {
       JOIN 
         ragmonsters.abilities a ON k.keyword_id = a.keyword_id
       WHERE 
-        qs.monster_id = $1
+        qs.monster_id = ANY($1)
       ORDER BY 
         k.keyword_name, a.ability_name
-    `;
-
-    const abilities = await executeQuery(dbPool, abilitiesQuery, [monsterId]);
-
-    // Get monster's flaws
-    const flawsQuery = `
+    `, [foundIds]) : none,
+    // Get flaws
+    wanted.has('questworlds') ? executeQuery(dbPool, `
       SELECT 
+        qs.monster_id,
         f.flaw_name,
         f.rating
       FROM 
@@ -277,55 +501,140 @@ export async function getMonsterById(params) {
       JOIN 
         ragmonsters.flaws f ON qs.stats_id = f.stats_id
       WHERE 
-        qs.monster_id = $1
+        qs.monster_id = ANY($1)
       ORDER BY 
         f.rating DESC
-    `;
-
-    const flaws = await executeQuery(dbPool, flawsQuery, [monsterId]);
-
-    // Get monster's strengths (augments)
-    const strengthsQuery = `
+    `, [foundIds]) : none,
+    // Get strengths (augments)
+    wanted.has('affinities') ? executeQuery(dbPool, `
       SELECT 
+        monster_id,
         target_name,
         modifier
       FROM 
         ragmonsters.augments
       WHERE 
-        monster_id = $1
-    `;
-
-    const strengths = await executeQuery(dbPool, strengthsQuery, [monsterId]);
-
-    // Get monster's weaknesses (hindrances)
-    const weaknessesQuery = `
+        monster_id = ANY($1)
+    `, [foundIds]) : none,
+    // Get weaknesses (hindrances)
+    wanted.has('affinities') ? executeQuery(dbPool, `
       SELECT 
+        monster_id,
         target_name,
         modifier
       FROM 
         ragmonsters.hindrances
       WHERE 
-        monster_id = $1
-    `;
-
-    const weaknesses = await executeQuery(dbPool, weaknessesQuery, [monsterId]);
-
-    // Organize abilities by keyword
-    const keywordAbilities = {};
-    abilities.forEach(item => {
-      if (!keywordAbilities[item.keyword_name]) {
-        keywordAbilities[item.keyword_name] = {
-          name: item.keyword_name,
-          rating: item.rating,
-          abilities: []
-        };
-      }
+        monster_id = ANY($1)
+    `, [foundIds]) : none
+  ]);
+
+  const details = new Map();
+  monsters.forEach(monster => {
+    const detail = {
+      id: monster.monster_id,
+      name: monster.name,
+      category: monster.category_name,
+      subcategory: monster.subcategory_name,
+      habitat: monster.habitat,
+      biome: monster.biome,
+      rarity: monster.rarity
+    };
+    sections.forEach(section => Object.assign(detail, DETAIL_SECTIONS[section].format(monster)));
+    details.set(monster.monster_id, detail);
+  });
+
+  // Organize abilities by keyword
+  const keywordAbilities = new Map();
+  abilities.forEach(item => {
+    const key = `${item.monster_id}:${item.keyword_name}`;
+    if (!keywordAbilities.has(key)) {
+      const keyword = { name: item.keyword_name, rating: item.rating, abilities: [] };
+      keywordAbilities.set(key, keyword);
+      details.get(item.monster_id).keywords.push(keyword);
+    }
 
-      keywordAbilities[item.keyword_name].abilities.push({
-        name: item.ability_name,
-        mastery: item.mastery_value
-      });
+    keywordAbilities.get(key).abilities.push({
+      name: item.ability_name,
+      mastery: item.mastery_value
     });
+  });
+
+  flaws.forEach(flaw => details.get(flaw.monster_id).flaws.push({
+    name: flaw.flaw_name,
+    rating: flaw.rating
+  }));
+  strengths.forEach(strength => details.get(strength.monster_id).strengths.push({
+    target: strength.target_name,
+    modifier: strength.modifier
+  }));
+  weaknesses.forEach(weakness => details.get(weakness.monster_id).weaknesses.push({
+    target: weakness.target_name,
+    modifier: weakness.modifier
+  }));
+
+  return details;
+}
+
+/**
+ * Validate the sections requested from a detail tool
+ * @param {Array<string>} [include] - Requested sections (empty or missing means all)
+ * @returns {Array<string>} Sections to load
+ */
+function resolveSections(include) {
+  if (include === undefined || include === null || include.length === 0) {
+    return Object.keys(DETAIL_SECTIONS);
+  }
+
+  const unknown = include.filter(section => !DETAIL_SECTIONS[section]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown section(s): ${unknown.join(', ')}. Valid sections: ${Object.keys(DETAIL_SECTIONS).join(', ')}`);
+  }
+
+  return [...new Set(include)];
+}
+
+/**
+ * One-line description of a monster
+ * @param {Object} monster - Monster details from loadMonsterDetails
+ * @returns {string} Human-readable summary
+ */
+function describeMonster(monster) {
+  return `${monster.name} is a ${monster.rarity} ${monster.subcategory} (${monster.category}) monster found in ${monster.habitat}.`;
+}
+
+/**
+ * Get detailed information about a specific monster by ID
+ * 
+ * @param {Object} params - Tool parameters
+ * @param {number} params.monsterId - ID of the monster to retrieve
+ * @param {Array<string>} [params.include] - Sections to return (see DETAIL_SECTIONS, default: all)
+ * @returns {Promise<Object>} Detailed monster information
+ */
+export async function getMonsterById(params) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`getMonsterById called with params: ${JSON.stringify(params)}`);
+
+    const { monsterId, include } = params;
+
+    if (!monsterId) {
+      logger.error('Monster ID is required but was not provided');
+      throw new Error('Monster ID is required');
+    }
+
+    const sections = resolveSections(include);
+
+    logger.debug(`Fetching monster with ID: ${monsterId} (sections: ${sections.join(', ')})`);
+    const details = await loadMonsterDetails([monsterId], sections);
+    const monster = details.get(monsterId);
+
+    if (!monster) {
+      throw new Error(`Monster with ID ${monsterId} not found`);
+    }
 
     // Format the response
     // Principle 6 & 7: Human-readable summaries & Explainability
@@ -333,40 +642,9 @@ export async function getMonsterById(params) {
       content: [{
         type: 'text',
         text: JSON.stringify({
-          data: {
-            id: monster.monster_id,
-            name: monster.name,
-            category: monster.category_name,
-            subcategory: monster.subcategory_name,
-            habitat: monster.habitat,
-            biome: monster.biome,
-            rarity: monster.rarity,
-            discovery: monster.discovery,
-            physicalAttributes: {
-              height: monster.height,
-              weight: monster.weight,
-              appearance: monster.appearance
-            },
-            powers: {
-              primary: monster.primary_power,
-              secondary: monster.secondary_power,
-              special: monster.special_ability
-            },
-            keywords: Object.values(keywordAbilities),
-            flaws: flaws.map(flaw => ({
-              name: flaw.flaw_name,
-              rating: flaw.rating
-            })),
-            strengths: strengths.map(strength => ({
-              target: strength.target_name,
-              modifier: strength.modifier
-            })),
-            weaknesses: weaknesses.map(weakness => ({
-              target: weakness.target_name,
-              modifier: weakness.modifier
-            }))
-          },
-          summary: `${monster.name} is a ${monster.rarity} ${monster.subcategory_name} (${monster.category_name}) monster found in ${monster.habitat}.`,
+          data: monster,
+          summary: describeMonster(monster),
+          sections,
           source: "RAGmonsters DB",
           policy: "Detailed specimen data from field research logs."
         })
@@ -379,12 +657,83 @@ export async function getMonsterById(params) {
   }
 }
 
+/**
+ * Get detailed information about several monsters in one call
+ * 
+ * @param {Object} params - Tool parameters
+ * @param {Array<number>} params.monsterIds - IDs of the monsters to retrieve (max MAX_BATCH_IDS)
+ * @param {Array<string>} [params.include] - Sections to return (see DETAIL_SECTIONS, default: all)
+ * @returns {Promise<Object>} One result per distinct ID, in input order; missing IDs are reported, not fatal
+ */
+export async function getMonstersByIds(params) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`getMonstersByIds called with params: ${JSON.stringify(params)}`);
+
+    const { monsterIds, include } = params;
+
+    if (!Array.isArray(monsterIds) || monsterIds.length === 0) {
+      throw new Error('monsterIds must be a non-empty array');
+    }
+
+    // Principle 5: Guardrails at the Edge - Bound the batch size
+    const ids = [...new Set(monsterIds)];
+    if (ids.length > MAX_BATCH_IDS) {
+      throw new Error(`At most ${MAX_BATCH_IDS} distinct IDs per call (got ${ids.length})`);
+    }
+
+    const sections = resolveSections(include);
+    const details = await loadMonsterDetails(ids, sections);
+
+    const results = ids.map(id => details.has(id)
+      ? { id, found: true, monster: details.get(id), summary: describeMonster(details.get(id)) }
+      : { id, found: false, error: `Monster with ID ${id} not found` });
+    const missingIds = ids.filter(id => !details.has(id));
+
+    logger.info(`getMonstersByIds found ${details.size} of ${ids.length} monsters`);
+
+    // Principle 6 & 7: Human-readable summaries & Explainability
+    const found = results.filter(result => result.found).map(result => result.monster.name);
+    let summary = `Found ${found.length} of ${ids.length} monsters${found.length > 0 ? `: ${found.join(', ')}` : ''}.`;
+    if (missingIds.length > 0) {
+      summary += ` Not found: ${missingIds.join(', ')}.`;
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: {
+            results,
+            count: details.size,
+            missingIds
+          },
+          summary,
+          sections,
+          source: "RAGmonsters DB",
+          policy: "Detailed specimen data from field research logs. Results follow the order of the requested IDs.",
+          // Unknown IDs: browse the catalog for valid ones
+          next: missingIds.length > 0 ? [formatToolCall('getMonsters', { limit: 10 })] : []
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in getMonstersByIds: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to retrieve monster details: ${error.message}`);
+  }
+}
+
 /**
  * Get monsters by habitat (exact match only)
  * 
  * @param {Object} params - Tool parameters
  * @param {string} params.habitat - Exact habitat name
  * @param {number} [params.limit=10] - Maximum number of results to return
+ * @param {string} [params.cursor] - Opaque cursor from a previous call's nextCursor
  * @returns {Promise<Object>} Monsters matching the habitat
  */
 export async function getMonsterByHabitat(params) {
@@ -395,12 +744,30 @@ export async function getMonsterByHabitat(params) {
 
     logger.info(`getMonsterByHabitat called with params: ${JSON.stringify(params)}`);
 
-    const { habitat, limit = 10 } = params;
+    const { habitat, limit = 10, cursor } = params;
 
     if (!habitat) {
       throw new Error('Habitat parameter is required');
     }
 
+    // Principle 5: Guardrails at the Edge - Clamp limits
+    const safeLimit = Math.min(Math.max(1, limit), 50);
+
+    const countRows = await executeQuery(dbPool,
+      'SELECT COUNT(*)::int AS total FROM ragmonsters.monsters m WHERE m.habitat = $1',
+      [habitat]
+    );
+    const totalCount = countRows[0]?.total ?? 0;
+
+    // Resume after the cursor position (keyset pagination on name, monster_id)
+    const queryParams = [habitat];
+    let cursorCondition = '';
+    if (cursor) {
+      const position = decodeCursor(cursor, { sort: 'name', direction: 'asc', query: { habitat } });
+      cursorCondition = `AND ${buildKeysetCondition('m.name', 'm.monster_id', 'asc', position, queryParams)}`;
+    }
+    queryParams.push(safeLimit + 1);
+
     // Query monsters with the exact habitat name
     const query = `
       SELECT 
@@ -421,14 +788,22 @@ export async function getMonsterByHabitat(params) {
         ragmonsters.categories c ON s.category_id = c.category_id
       WHERE 
         m.habitat = $1
+        ${cursorCondition}
       ORDER BY 
-        m.name ASC
-      LIMIT $2
+        m.name ASC, m.monster_id ASC
+      LIMIT $${queryParams.length}
     `;
 
-    const monsters = await executeQuery(dbPool, query, [habitat, limit]);
+    const rows = await executeQuery(dbPool, query, queryParams);
+    const hasMore = rows.length > safeLimit;
+    const monsters = hasMore ? rows.slice(0, safeLimit) : rows;
 
-    logger.info(`getMonsterByHabitat returning ${monsters.length} monsters for habitat "${habitat}"`);
+    logger.info(`getMonsterByHabitat returning ${monsters.length} of ${totalCount} monsters for habitat "${habitat}"`);
+
+    const lastMonster = monsters[monsters.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ sort: 'name', direction: 'asc', query: { habitat }, value: lastMonster.name, id: lastMonster.monster_id })
+      : null;
 
     // Format the response
     return {
@@ -449,7 +824,12 @@ export async function getMonsterByHabitat(params) {
             }
           })),
           habitat: habitat,
-          count: monsters.length
+          count: monsters.length,
+          totalCount,
+          hasMore,
+          nextCursor,
+          summary: `Found ${totalCount} monsters in habitat '${habitat}'; returning ${monsters.length}${hasMore ? ', more available with nextCursor' : ''}.`,
+          next: nextCursor ? [formatToolCall('getMonsterByHabitat', { habitat, limit: safeLimit, cursor: nextCursor })] : []
         })
       }]
     };
@@ -465,6 +845,8 @@ export async function getMonsterByHabitat(params) {
  * 
  * @param {Object} params - Tool parameters
  * @param {string} params.name - Name of the monster to search for (can be partial)
+ * @param {number} [params.limit=5] - Maximum number of results to return
+ * @param {string} [params.cursor] - Opaque cursor from a previous call's nextCursor
  * @returns {Promise<Object>} Monster information if found
  */
 export async function getMonsterByName(params) {
@@ -475,12 +857,31 @@ export async function getMonsterByName(params) {
 
     logger.info(`getMonsterByName called with params: ${JSON.stringify(params)}`);
 
-    const { name } = params;
+    const { name, limit = 5, cursor } = params;
 
     if (!name) {
       throw new Error('Monster name is required');
     }
 
+    // Principle 5: Guardrails at the Edge - Clamp limits
+    const safeLimit = Math.min(Math.max(1, limit), 50);
+    const pattern = `%${name}%`;
+
+    const countRows = await executeQuery(dbPool,
+      'SELECT COUNT(*)::int AS total FROM ragmonsters.monsters m WHERE LOWER(m.name) LIKE LOWER($1)',
+      [pattern]
+    );
+    const totalCount = countRows[0]?.total ?? 0;
+
+    // Resume after the cursor position (keyset pagination on name, monster_id)
+    const queryParams = [pattern];
+    let cursorCondition = '';
+    if (cursor) {
+      const position = decodeCursor(cursor, { sort: 'name', direction: 'asc', query: { name } });
+      cursorCondition = `AND ${buildKeysetCondition('m.name', 'm.monster_id', 'asc', position, queryParams)}`;
+    }
+    queryParams.push(safeLimit + 1);
+
     // Simple partial match query (case insensitive)
     const query = `
       SELECT 
@@ -501,12 +902,15 @@ export async function getMonsterByName(params) {
         ragmonsters.categories c ON s.category_id = c.category_id
       WHERE 
         LOWER(m.name) LIKE LOWER($1)
+        ${cursorCondition}
       ORDER BY
-        m.name ASC
-      LIMIT 5
+        m.name ASC, m.monster_id ASC
+      LIMIT $${queryParams.length}
     `;
 
-    const monsters = await executeQuery(dbPool, query, [`%${name}%`]);
+    const rows = await executeQuery(dbPool, query, queryParams);
+    const hasMore = rows.length > safeLimit;
+    const monsters = hasMore ? rows.slice(0, safeLimit) : rows;
 
     if (monsters.length === 0) {
       logger.info(`No monsters found with name: ${name}`);
@@ -515,14 +919,23 @@ export async function getMonsterByName(params) {
           type: 'text',
           text: JSON.stringify({
             found: false,
-            message: `No monsters found with name: ${name}`
+            totalCount,
+            hasMore: false,
+            nextCursor: null,
+            message: `No monsters found with name: ${name}`,
+            next: [formatToolCall('searchMonsters', { query: name })]
           })
         }]
       };
     }
 
     // Format the response for the matches
-    logger.info(`Found ${monsters.length} monsters matching name: ${name}`);
+    logger.info(`Found ${monsters.length} of ${totalCount} monsters matching name: ${name}`);
+
+    const lastMonster = monsters[monsters.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ sort: 'name', direction: 'asc', query: { name }, value: lastMonster.name, id: lastMonster.monster_id })
+      : null;
 
     return {
       content: [{
@@ -530,6 +943,9 @@ export async function getMonsterByName(params) {
         text: JSON.stringify({
           found: true,
           count: monsters.length,
+          totalCount,
+          hasMore,
+          nextCursor,
           monsters: monsters.map(monster => ({
             id: monster.monster_id,
             name: monster.name,
@@ -542,7 +958,10 @@ export async function getMonsterByName(params) {
               secondary: monster.secondary_power,
               special: monster.special_ability
             }
-          }))
+          })),
+          next: nextCursor
+            ? [formatToolCall('getMonsterByName', { name, limit: safeLimit, cursor: nextCursor })]
+            : [`getMonsterById({ monsterId: ${monsters[0].monster_id} })`]
         })
       }]
     };
@@ -553,6 +972,126 @@ export async function getMonsterByName(params) {
   }
 }
 
+/**
+ * Search monsters by free text across their descriptive columns
+ *
+ * Combines PostgreSQL full-text search (ranked with ts_rank) with trigram
+ * similarity from pg_trgm so that misspelled queries still find a match.
+ * When pg_trgm is not installed, only full-text matching is used.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {string} params.query - Free-text query (e.g. "controls water pressure")
+ * @param {Array<string>} [params.fields] - Restrict the search to these fields (see SEARCHABLE_FIELDS)
+ * @param {number} [params.limit=10] - Maximum number of results to return (max 50)
+ * @returns {Promise<Object>} Ranked monsters with the best matching field and a highlighted snippet
+ */
+export async function searchMonsters(params) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`searchMonsters called with params: ${JSON.stringify(params)}`);
+
+    const { query: searchText, fields, limit = 10 } = params;
+
+    if (!searchText || !searchText.trim()) {
+      throw new Error('Search query is required');
+    }
+
+    // Principle 5: Guardrails at the Edge - Clamp limits and whitelist fields
+    const safeLimit = Math.min(Math.max(1, limit), 50);
+    const fieldNames = fields && fields.length > 0 ? fields : Object.keys(SEARCHABLE_FIELDS);
+    const unknownFields = fieldNames.filter(field => !SEARCHABLE_FIELDS[field]);
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown search field(s): ${unknownFields.join(', ')}. Allowed: ${Object.keys(SEARCHABLE_FIELDS).join(', ')}`);
+    }
+
+    if (trigramAvailable === null) {
+      trigramAvailable = await hasExtension(dbPool, 'pg_trgm');
+      logger.info(`pg_trgm ${trigramAvailable ? 'available' : 'not available'}, fuzzy matching ${trigramAvailable ? 'enabled' : 'disabled'}`);
+    }
+
+    // Field names are whitelisted above, so they can safely be inlined
+    const fieldValues = fieldNames
+      .map(field => `('${field}', ${SEARCHABLE_FIELDS[field]})`)
+      .join(', ');
+    const fuzzyScore = trigramAvailable ? 'word_similarity($1, f.content)' : '0';
+
+    const query = `
+      SELECT * FROM (
+        SELECT DISTINCT ON (hits.monster_id) hits.*
+        FROM (
+          SELECT
+            m.monster_id,
+            m.name,
+            c.category_name,
+            s.subcategory_name,
+            m.habitat,
+            m.rarity,
+            f.field,
+            ts_rank(to_tsvector('english', f.content), q.tsq) AS text_rank,
+            ${fuzzyScore} AS fuzzy_score,
+            ts_headline('english', f.content, q.tsq,
+              'StartSel=**, StopSel=**, MaxWords=25, MinWords=8, MaxFragments=1') AS snippet
+          FROM
+            ragmonsters.monsters m
+          JOIN
+            ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+          JOIN
+            ragmonsters.categories c ON s.category_id = c.category_id
+          CROSS JOIN LATERAL
+            (VALUES ${fieldValues}) AS f(field, content)
+          CROSS JOIN
+            websearch_to_tsquery('english', $1) AS q(tsq)
+          WHERE
+            to_tsvector('english', f.content) @@ q.tsq
+            OR ${fuzzyScore} >= $2::real
+        ) hits
+        ORDER BY hits.monster_id, (hits.text_rank + hits.fuzzy_score) DESC
+      ) best
+      ORDER BY (best.text_rank + best.fuzzy_score) DESC, best.name ASC, best.monster_id ASC
+      LIMIT $3
+    `;
+
+    const results = await executeQuery(dbPool, query, [searchText, 0.4, safeLimit]);
+
+    logger.info(`searchMonsters returning ${results.length} monsters for query "${searchText}"`);
+
+    // Principle 6 & 7: Human-readable summaries & Explainability
+    const summary = results.length > 0
+      ? `Found ${results.length} monsters matching '${searchText}'. Best match: ${results[0].name} (${results[0].field}).`
+      : `No monsters matched '${searchText}'.`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: results.map(result => ({
+            id: result.monster_id,
+            name: result.name,
+            category: result.category_name,
+            subcategory: result.subcategory_name,
+            habitat: result.habitat,
+            rarity: result.rarity,
+            matchedField: result.field,
+            snippet: result.snippet,
+            score: Number((Number(result.text_rank) + Number(result.fuzzy_score)).toFixed(4))
+          })),
+          summary,
+          source: "RAGmonsters DB",
+          policy: "Ranked by full-text relevance and trigram similarity.",
+          next: results.length > 0 ? [`getMonsterById({ monsterId: ${results[0].monster_id} })`] : []
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in searchMonsters: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to search monsters: ${error.message}`);
+  }
+}
+
 /**
  * Compare two monsters side-by-side
  * @param {Object} params - Tool parameters
@@ -0,0 +1,129 @@
+/**
+ * Semantic (vector) search MCP tools
+ */
+import { executeQuery } from '../utils/db.js';
+import { getEmbeddingProvider } from '../embeddings/index.js';
+import { getEmbeddingStorage, searchEmbeddings } from '../embeddings/store.js';
+import logger from '../utils/logger.js';
+
+// Module-level database pool
+let dbPool = null;
+
+/**
+ * Initialize the semantic search module with a database pool
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+export function initializeSemanticTools(pool) {
+  dbPool = pool;
+  logger.info('Semantic search module initialized with database pool');
+}
+
+/**
+ * Search monsters by meaning rather than exact words
+ *
+ * Embeds the query with the configured embedding provider and ranks the
+ * indexed description chunks (see scripts/indexEmbeddings.js) by cosine
+ * similarity, keeping the best chunk for each monster.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {string} params.query - Natural-language query
+ * @param {number} [params.limit=5] - Maximum number of monsters to return (max 20)
+ * @returns {Promise<Object>} Ranked monsters with the passage that matched
+ */
+export async function semanticSearchMonsters(params) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`semanticSearchMonsters called with params: ${JSON.stringify(params)}`);
+
+    const { query: searchText, limit = 5 } = params;
+
+    if (!searchText || !searchText.trim()) {
+      throw new Error('Search query is required');
+    }
+
+    // Principle 5: Guardrails at the Edge - Clamp limits
+    const safeLimit = Math.min(Math.max(1, limit), 20);
+
+    const storage = await getEmbeddingStorage(dbPool);
+    if (!storage) {
+      throw new Error('Embeddings index not found. Run `npm run index:embeddings` first.');
+    }
+
+    const provider = getEmbeddingProvider();
+    const [queryVector] = await provider.embed([searchText]);
+
+    // One chunk per monster, so a monster with many matching chunks takes a single place
+    const hits = await searchEmbeddings(dbPool, storage, queryVector, {
+      provider: provider.name,
+      model: provider.model,
+      limit: safeLimit
+    });
+
+    if (hits.length === 0) {
+      logger.info(`No embeddings found for provider ${provider.name} (${provider.model})`);
+    }
+
+    const monsters = hits.length > 0 ? await executeQuery(dbPool, `
+      SELECT
+        m.monster_id,
+        m.name,
+        c.category_name,
+        s.subcategory_name,
+        m.habitat,
+        m.rarity
+      FROM
+        ragmonsters.monsters m
+      JOIN
+        ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+      JOIN
+        ragmonsters.categories c ON s.category_id = c.category_id
+      WHERE
+        m.monster_id = ANY($1)
+    `, [hits.map(hit => hit.monster_id)]) : [];
+    const monstersById = new Map(monsters.map(monster => [monster.monster_id, monster]));
+
+    const data = hits
+      .filter(hit => monstersById.has(hit.monster_id))
+      .map(hit => {
+        const monster = monstersById.get(hit.monster_id);
+        return {
+          id: monster.monster_id,
+          name: monster.name,
+          category: monster.category_name,
+          subcategory: monster.subcategory_name,
+          habitat: monster.habitat,
+          rarity: monster.rarity,
+          matchedField: hit.field,
+          passage: hit.content,
+          similarity: Number(Number(hit.similarity).toFixed(4))
+        };
+      });
+
+    logger.info(`semanticSearchMonsters returning ${data.length} monsters for query "${searchText}"`);
+
+    // Principle 6 & 7: Human-readable summaries & Explainability
+    const summary = data.length > 0
+      ? `Found ${data.length} monsters semantically related to '${searchText}'. Closest: ${data[0].name} (${data[0].matchedField}).`
+      : `No indexed passages matched '${searchText}'.`;
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data,
+          summary,
+          source: "RAGmonsters DB",
+          policy: `Ranked by vector similarity (${provider.name}/${provider.model}, ${storage} storage).`,
+          next: data.length > 0 ? [`getMonsterById({ monsterId: ${data[0].id} })`] : []
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in semanticSearchMonsters: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to run semantic search: ${error.message}`);
+  }
+}
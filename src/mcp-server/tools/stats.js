@@ -0,0 +1,238 @@
+/**
+ * Aggregate statistics MCP tools
+ */
+import { executeQuery } from '../utils/db.js';
+import { compileFilters } from '../utils/filters.js';
+import { formatToolCall } from '../utils/pagination.js';
+import logger from '../utils/logger.js';
+
+// Most groups returned by getMonsterStats
+const MAX_GROUPS = 500;
+
+// Module-level database pool
+let dbPool = null;
+
+/**
+ * Dimensions that can be grouped by, mapped to their SQL expression
+ */
+export const STAT_DIMENSIONS = {
+  category: 'c.category_name',
+  subcategory: 's.subcategory_name',
+  habitat: 'm.habitat',
+  biome: 'm.biome',
+  rarity: 'm.rarity',
+  monster_type: 'm.monster_type'
+};
+
+/**
+ * Numeric measures summarised with min/avg/max
+ *
+ * Monster-level measures are aggregated directly. The others live in child
+ * tables (several rows per monster), so they are aggregated separately and
+ * joined back by group to keep the monster counts correct.
+ */
+export const STAT_MEASURES = {
+  height: { expression: 'b.height' },
+  keyword_rating: {
+    expression: 'k.rating',
+    join: `JOIN ragmonsters.questworlds_stats qs ON qs.monster_id = b.monster_id
+        JOIN ragmonsters.keywords k ON k.stats_id = qs.stats_id`
+  },
+  flaw_rating: {
+    expression: 'f.rating',
+    join: `JOIN ragmonsters.questworlds_stats qs ON qs.monster_id = b.monster_id
+        JOIN ragmonsters.flaws f ON f.stats_id = qs.stats_id`
+  },
+  augment_modifier: {
+    expression: 'a.modifier',
+    join: 'JOIN ragmonsters.augments a ON a.monster_id = b.monster_id'
+  },
+  hindrance_modifier: {
+    expression: 'h.modifier',
+    join: 'JOIN ragmonsters.hindrances h ON h.monster_id = b.monster_id'
+  }
+};
+
+/**
+ * Initialize the statistics module with a database pool
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+export function initializeStatsTools(pool) {
+  dbPool = pool;
+  logger.info('Statistics module initialized with database pool');
+}
+
+/**
+ * Convert a numeric value returned by PostgreSQL (possibly a string) to a number
+ * @param {*} value - Value from the database
+ * @returns {number|null} Number, or null for SQL NULL
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Compute aggregate statistics over the monster catalog
+ *
+ * @param {Object} params - Tool parameters
+ * @param {Array<string>} [params.groupBy] - Dimensions to group by (see STAT_DIMENSIONS, max 3)
+ * @param {Array<string>} [params.measures] - Numeric measures to summarise (see STAT_MEASURES)
+ * @param {Array<Object>} [params.where] - Structured filter conditions (see utils/filters.js)
+ * @returns {Promise<Object>} Flat table of groups with counts and min/avg/max per measure
+ */
+export async function getMonsterStats(params = {}) {
+  try {
+    if (!dbPool) {
+      throw new Error('Database pool not initialized. Call initialize() first.');
+    }
+
+    logger.info(`getMonsterStats called with params: ${JSON.stringify(params)}`);
+
+    const { groupBy = [], where = [] } = params;
+    // A measure asked for twice is summarised once (its columns would otherwise clash)
+    const measures = [...new Set(params.measures ?? ['height'])];
+
+    // Principle 5: Guardrails at the Edge - Whitelist dimensions and measures
+    const unknownDimensions = groupBy.filter(dimension => !STAT_DIMENSIONS[dimension]);
+    if (unknownDimensions.length > 0) {
+      throw new Error(`Unknown dimension(s): ${unknownDimensions.join(', ')}. Allowed: ${Object.keys(STAT_DIMENSIONS).join(', ')}`);
+    }
+    if (new Set(groupBy).size !== groupBy.length || groupBy.length > 3) {
+      throw new Error('groupBy accepts up to 3 distinct dimensions');
+    }
+    const unknownMeasures = measures.filter(measure => !STAT_MEASURES[measure]);
+    if (unknownMeasures.length > 0) {
+      throw new Error(`Unknown measure(s): ${unknownMeasures.join(', ')}. Allowed: ${Object.keys(STAT_MEASURES).join(', ')}`);
+    }
+
+    const queryParams = [];
+    const conditions = compileFilters(where, queryParams);
+
+    // Dimension columns are aliased d0, d1, ... inside the query
+    const dimensionColumns = groupBy.map((dimension, index) => `${STAT_DIMENSIONS[dimension]} AS d${index}`);
+    const dimensionAliases = groupBy.map((_, index) => `d${index}`);
+    const groupClause = dimensionAliases.length > 0 ? `GROUP BY ${dimensionAliases.join(', ')}` : '';
+    const joinCondition = dimensionAliases.length > 0
+      ? `USING (${dimensionAliases.join(', ')})`
+      : 'ON TRUE';
+
+    const aggregates = (expression, name) => `
+        MIN(${expression}) AS ${name}_min,
+        ROUND(AVG(${expression})::numeric, 2) AS ${name}_avg,
+        MAX(${expression}) AS ${name}_max`;
+
+    const monsterMeasures = measures.filter(measure => !STAT_MEASURES[measure].join);
+    const childMeasures = measures.filter(measure => STAT_MEASURES[measure].join);
+
+    const childCtes = childMeasures.map(measure => `,
+      ${measure}_stats AS (
+        SELECT ${[...dimensionAliases.map(alias => `b.${alias}`), aggregates(STAT_MEASURES[measure].expression, measure)].join(',')}
+        FROM base b
+        ${STAT_MEASURES[measure].join}
+        ${dimensionAliases.length > 0 ? `GROUP BY ${dimensionAliases.map(alias => `b.${alias}`).join(', ')}` : ''}
+      )`).join('');
+
+    const selectColumns = [
+      ...dimensionAliases.map(alias => `g.${alias}`),
+      'g.count',
+      ...monsterMeasures.flatMap(measure => ['min', 'avg', 'max'].map(stat => `g.${measure}_${stat}`)),
+      ...childMeasures.flatMap(measure => ['min', 'avg', 'max'].map(stat => `${measure}_stats.${measure}_${stat}`))
+    ];
+
+    const query = `
+      WITH base AS (
+        SELECT
+          ${['m.monster_id', 'm.height', ...dimensionColumns].join(',\n          ')}
+        FROM
+          ragmonsters.monsters m
+        JOIN
+          ragmonsters.subcategories s ON m.subcategory_id = s.subcategory_id
+        JOIN
+          ragmonsters.categories c ON s.category_id = c.category_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ),
+      grouped AS (
+        SELECT ${[...dimensionAliases, 'COUNT(*)::int AS count', ...monsterMeasures.map(measure => aggregates(STAT_MEASURES[measure].expression, measure))].join(',')}
+        FROM base b
+        ${groupClause}
+      )${childCtes}
+      SELECT ${selectColumns.join(', ')},
+        COUNT(*) OVER ()::int AS total_groups,
+        SUM(g.count) OVER ()::int AS total_monsters
+      FROM grouped g
+      ${childMeasures.map(measure => `LEFT JOIN ${measure}_stats ${joinCondition}`).join('\n      ')}
+      WHERE g.count > 0
+      ORDER BY g.count DESC${dimensionAliases.map(alias => `, g.${alias} ASC`).join('')}
+      LIMIT ${MAX_GROUPS}
+    `;
+
+    const rows = await executeQuery(dbPool, query, queryParams);
+
+    // Rename d0, d1, ... back to dimension names and normalise numbers
+    const columns = [
+      ...groupBy,
+      'count',
+      ...measures.flatMap(measure => ['min', 'avg', 'max'].map(stat => `${measure}_${stat}`))
+    ];
+    const data = rows.map(row => {
+      const entry = {};
+      groupBy.forEach((dimension, index) => {
+        entry[dimension] = row[`d${index}`];
+      });
+      entry.count = row.count;
+      measures.forEach(measure => {
+        ['min', 'avg', 'max'].forEach(stat => {
+          entry[`${measure}_${stat}`] = toNumber(row[`${measure}_${stat}`]);
+        });
+      });
+      return entry;
+    });
+
+    // Totals are computed before the LIMIT, so they cover the groups left out too
+    const totalGroups = rows[0]?.total_groups ?? 0;
+    const totalMonsters = rows[0]?.total_monsters ?? 0;
+    const truncated = totalGroups > data.length;
+    logger.info(`getMonsterStats returning ${data.length} of ${totalGroups} groups covering ${totalMonsters} monsters`);
+
+    // Principle 6 & 7: Human-readable summaries & Explainability
+    let summary;
+    if (data.length === 0) {
+      summary = 'No monsters matched the requested filters.';
+    } else if (groupBy.length === 0) {
+      summary = `${totalMonsters} monsters in total${where.length > 0 ? ' matching the filters' : ''}.`;
+    } else {
+      const largest = data[0];
+      summary = `${totalGroups} groups by ${groupBy.join(' × ')} covering ${totalMonsters} monsters. Largest group: ${groupBy.map(dimension => largest[dimension]).join(' / ')} (${largest.count}).`;
+      if (truncated) {
+        summary += ` Only the ${data.length} largest groups are listed; filter with where or group by fewer dimensions to see the rest.`;
+      }
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          data: {
+            dimensions: groupBy,
+            measures,
+            columns,
+            rows: data
+          },
+          totalMonsters,
+          totalGroups,
+          truncated,
+          summary,
+          source: "RAGmonsters DB",
+          policy: "Aggregated server-side; measures from child tables (keywords, flaws, augments, hindrances) are summarised over all their rows.",
+          next: data.length > 0 && groupBy.length > 0
+            ? [formatToolCall('getMonsters', { where: [...where, ...groupBy.map(dimension => ({ field: dimension, op: 'eq', value: data[0][dimension] }))] })]
+            : []
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error in getMonsterStats: ${error.message}`);
+    logger.error(error.stack);
+    throw new Error(`Failed to compute monster statistics: ${error.message}`);
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Pluggable authentication for the HTTP surfaces (web API and HTTP MCP transport)
+ *
+ * An authenticator is a plain object:
+ *   {
+ *     name: string,
+ *     authenticate: async (credentials) => principal | null
+ *   }
+ * where credentials is { apiKey, bearer } extracted from the request headers and
+ * a principal is { id, type, scopes }. Authenticators are tried in order; the
+ * first one returning a principal wins. Principal IDs are prefixed by their type
+ * (`apiKey:<name>`, `jwt:<sub>`), so a key and a token subject of the same name
+ * never share conversations or rate limits.
+ *
+ * Scopes:
+ *   - tools:read          list tools
+ *   - tools:call:<name>   call one tool (tools:call:* for every tool)
+ *   - chat                use the chat endpoint
+ *   - *                   everything
+ */
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Registered authenticator factories, keyed by name
+const authenticatorFactories = {
+  apiKey: (config) => config.apiKeys.length > 0 ? createApiKeyAuthenticator(config.apiKeys) : null,
+  jwt: (config) => config.jwt.secret ? createJwtAuthenticator(config.jwt) : null
+};
+
+/**
+ * Register an authenticator factory
+ * @param {string} name - Authenticator name (used in AUTH_METHODS)
+ * @param {Function} factory - Function receiving the auth config and returning an authenticator, or null if not configured
+ */
+export function registerAuthenticator(name, factory) {
+  authenticatorFactories[name] = factory;
+  logger.info(`Registered authenticator: ${name}`);
+}
+
+/**
+ * Read the authentication configuration from environment variables
+ *
+ * AUTH_API_KEYS is a JSON array of { name, key, scopes }, with distinct names.
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Authentication configuration
+ */
+export function getAuthConfig(env = process.env) {
+  let apiKeys = [];
+  if (env.AUTH_API_KEYS) {
+    try {
+      apiKeys = JSON.parse(env.AUTH_API_KEYS);
+    } catch (error) {
+      throw new Error(`AUTH_API_KEYS must be a JSON array of { name, key, scopes }: ${error.message}`);
+    }
+    if (!Array.isArray(apiKeys) || apiKeys.some(entry => !entry || typeof entry.key !== 'string' || !Array.isArray(entry.scopes))) {
+      throw new Error('AUTH_API_KEYS must be a JSON array of { name, key, scopes }');
+    }
+    // Names identify the clients of the keys (conversation owners, rate limit buckets)
+    const names = apiKeys.map(entry => entry.name);
+    if (names.some(name => typeof name !== 'string' || !name.trim())) {
+      throw new Error('AUTH_API_KEYS entries must each have a non-empty name');
+    }
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`AUTH_API_KEYS names must be distinct: '${duplicate}' is used twice`);
+    }
+  }
+
+  return {
+    methods: (env.AUTH_METHODS || Object.keys(authenticatorFactories).join(',')).split(',').map(m => m.trim()).filter(Boolean),
+    apiKeys,
+    jwt: {
+      secret: env.AUTH_JWT_SECRET,
+      issuer: env.AUTH_JWT_ISSUER,
+      audience: env.AUTH_JWT_AUDIENCE,
+      clockToleranceSeconds: env.AUTH_JWT_CLOCK_TOLERANCE ? parseInt(env.AUTH_JWT_CLOCK_TOLERANCE, 10) : 30
+    }
+  };
+}
+
+/**
+ * Create the authenticators enabled by the configuration
+ * @param {Object} [config] - Authentication configuration (defaults to getAuthConfig())
+ * @returns {Array<Object>} Authenticators; empty when authentication is not configured
+ */
+export function createAuthenticators(config = getAuthConfig()) {
+  return config.methods.map(method => {
+    const factory = authenticatorFactories[method];
+    if (!factory) {
+      throw new Error(`Unknown authentication method '${method}'. Available: ${Object.keys(authenticatorFactories).join(', ')}`);
+    }
+    return factory(config);
+  }).filter(Boolean);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Authenticator for static API keys, sent as X-API-Key or as a bearer token
+ * @param {Array<Object>} apiKeys - Configured keys ({ name, key, scopes })
+ * @returns {Object} Authenticator
+ */
+export function createApiKeyAuthenticator(apiKeys) {
+  return {
+    name: 'apiKey',
+    authenticate: async ({ apiKey, bearer }) => {
+      const candidate = apiKey || bearer;
+      if (!candidate) return null;
+
+      const entry = apiKeys.find(k => safeEqual(k.key, candidate));
+      return entry ? { id: `apiKey:${entry.name}`, type: 'apiKey', scopes: entry.scopes } : null;
+    }
+  };
+}
+
+/**
+ * Verify an HS256-signed JWT and return its claims
+ *
+ * Tokens must carry an `exp` claim: a token that never expires is rejected.
+ * @param {string} token - Compact JWT
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - HMAC secret
+ * @param {string} [options.issuer] - Required iss claim
+ * @param {string} [options.audience] - Required aud claim
+ * @param {number} [options.clockToleranceSeconds=30] - Allowed clock skew for exp/nbf
+ * @returns {Object} Verified claims
+ */
+export function verifyJwt(token, { secret, issuer, audience, clockToleranceSeconds = 30 }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  // Only HMAC-SHA256 is accepted; never trust "none" or an algorithm chosen by the token
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm '${header.alg}'`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  if (!safeEqual(expected, signature)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry (exp claim)');
+  }
+  if (now > claims.exp + clockToleranceSeconds) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - clockToleranceSeconds) {
+    throw new Error('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('Token issuer mismatch');
+  }
+  if (audience && !(Array.isArray(claims.aud) ? claims.aud.includes(audience) : claims.aud === audience)) {
+    throw new Error('Token audience mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Sign claims as an HS256 JWT (for issuing tokens to trusted clients and in tests)
+ * @param {Object} claims - Token claims
+ * @param {string} secret - HMAC secret
+ * @returns {string} Compact JWT
+ */
+export function signJwt(claims, secret) {
+  const encodedHeader = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+/**
+ * Authenticator for HMAC-signed JWT bearer tokens, verified locally
+ *
+ * Scopes come from the space-separated `scope` claim (OAuth style) or a `scopes`
+ * array. The `sub` claim is required: it identifies the client.
+ * @param {Object} options - Verification options (see verifyJwt)
+ * @returns {Object} Authenticator
+ */
+export function createJwtAuthenticator(options) {
+  return {
+    name: 'jwt',
+    authenticate: async ({ bearer }) => {
+      // Bearer values that are not JWTs are left to the other authenticators
+      if (!bearer || bearer.split('.').length !== 3) return null;
+
+      const claims = verifyJwt(bearer, options);
+      if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw new Error('Token has no subject (sub claim)');
+      }
+      const scopes = Array.isArray(claims.scopes)
+        ? claims.scopes
+        : (typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : []);
+      return { id: `jwt:${claims.sub}`, type: 'jwt', scopes };
+    }
+  };
+}
+
+/**
+ * Extract credentials from request headers
+ * @param {Object} headers - Node.js request headers (lower-cased names)
+ * @returns {Object} Credentials ({ apiKey, bearer })
+ */
+export function extractCredentials(headers = {}) {
+  const authorization = Array.isArray(headers.authorization) ? headers.authorization[0] : headers.authorization;
+  const apiKey = Array.isArray(headers['x-api-key']) ? headers['x-api-key'][0] : headers['x-api-key'];
+  const match = authorization && /^Bearer\s+(.+)$/i.exec(authorization);
+  return {
+    apiKey: apiKey || undefined,
+    bearer: match ? match[1].trim() : undefined
+  };
+}
+
+/**
+ * Authenticate a request against a list of authenticators
+ * @param {Object} headers - Request headers
+ * @param {Array<Object>} authenticators - Authenticators to try in order
+ * @returns {Promise<Object>} The principal
+ * @throws {Error} When no credentials are given or none are valid
+ */
+export async function authenticateRequest(headers, authenticators) {
+  const credentials = extractCredentials(headers);
+  if (!credentials.apiKey && !credentials.bearer) {
+    throw new Error('Missing credentials: send an X-API-Key header or an Authorization: Bearer token');
+  }
+
+  let lastError = null;
+  for (const authenticator of authenticators) {
+    try {
+      const principal = await authenticator.authenticate(credentials);
+      if (principal) return principal;
+    } catch (error) {
+      lastError = error;
+      logger.info(`Authenticator ${authenticator.name} rejected credentials: ${error.message}`);
+    }
+  }
+
+  throw new Error(lastError ? `Invalid credentials: ${lastError.message}` : 'Invalid credentials');
+}
+
+/**
+ * Check whether a principal holds a scope
+ *
+ * `*` grants everything and a scope ending in `:*` grants every scope with that prefix.
+ * @param {Object} principal - Authenticated principal
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+export function hasScope(principal, scope) {
+  return (principal?.scopes || []).some(granted =>
+    granted === '*' ||
+    granted === scope ||
+    (granted.endsWith(':*') && scope.startsWith(granted.slice(0, -1)))
+  );
+}
+
+/**
+ * Read which reverse proxies to trust for client addresses
+ *
+ * TRUST_PROXY is `true` (trust every X-Forwarded-For hop) or a number of
+ * trusted hops, like Express's `trust proxy` setting used by the web API.
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {boolean|number} Trusted hops (false when unset)
+ */
+export function getTrustProxy(env = process.env) {
+  if (/^\d+$/.test(env.TRUST_PROXY || '')) return parseInt(env.TRUST_PROXY, 10);
+  return env.TRUST_PROXY === 'true';
+}
+
+/**
+ * Address of the client of an HTTP request
+ * @param {Object} request - Node.js request
+ * @param {boolean|number} [trustProxy=false] - Trusted proxy hops (see getTrustProxy)
+ * @returns {string} Client address ('unknown' when the socket has none)
+ */
+export function clientAddress(request, trustProxy = false) {
+  const socketAddress = request?.socket?.remoteAddress || 'unknown';
+  const forwardedHeader = request?.headers?.['x-forwarded-for'];
+  if (!trustProxy || !forwardedHeader) return socketAddress;
+
+  // Closest hop first: the socket, then X-Forwarded-For from right to left
+  const forwarded = (Array.isArray(forwardedHeader) ? forwardedHeader.join(',') : forwardedHeader)
+    .split(',').map(address => address.trim()).filter(Boolean);
+  const hops = [socketAddress, ...forwarded.reverse()];
+  const trusted = trustProxy === true ? hops.length - 1 : trustProxy;
+  return hops[Math.min(trusted, hops.length - 1)];
+}
+
+/**
+ * Build a FastMCP `authenticate` function for the HTTP MCP transport
+ *
+ * Failures are returned as { authenticated: false } so FastMCP answers 401
+ * instead of opening an unauthenticated session. Without authenticators every
+ * request is accepted as an anonymous principal identified by its address
+ * (`ip:<address>`), so its tool calls can still be rate limited.
+ * @param {Array<Object>} authenticators - Authenticators to try in order (empty to disable authentication)
+ * @param {Object} [options] - Options
+ * @param {boolean|number} [options.trustProxy] - Trusted proxy hops (defaults to getTrustProxy())
+ * @returns {Function} async (request) => session auth
+ */
+export function createMcpAuthenticate(authenticators, { trustProxy = getTrustProxy() } = {}) {
+  return async (request) => {
+    if (authenticators.length === 0) {
+      return { authenticated: true, id: `ip:${clientAddress(request, trustProxy)}`, type: 'anonymous', scopes: ['*'] };
+    }
+
+    try {
+      const principal = await authenticateRequest(request?.headers, authenticators);
+      return { authenticated: true, ...principal };
+    } catch (error) {
+      return { authenticated: false, error: `Unauthorized: ${error.message}` };
+    }
+  };
+}
@@ -60,60 +60,143 @@ export const executeTransaction = async (pool, callback) => {
 };
 
 /**
- * Get database schema information
+ * Get the structure of a database schema from information_schema and pg_catalog
+ *
+ * Columns carry their exact type (format_type), default and comment; tables
+ * their comment, primary key, unique constraints, foreign keys and indexes.
  * @param {Object} pool - PostgreSQL connection pool
- * @returns {Promise<Object>} Database schema information
+ * @param {string} [schemaName='ragmonsters'] - Schema to describe
+ * @returns {Promise<Object>} { schema, tables: [{ name, comment, columns, primaryKey, uniqueConstraints, foreignKeys, indexes }] }
  */
-export const getDatabaseSchema = async (pool) => {
-  const tablesQuery = `
-    SELECT 
-      table_name,
-      table_schema
-    FROM 
-      information_schema.tables
-    WHERE 
-      table_schema NOT IN ('pg_catalog', 'information_schema')
-      AND table_type = 'BASE TABLE'
-    ORDER BY 
-      table_schema, table_name;
-  `;
-  
-  const tables = await executeQuery(pool, tablesQuery);
-  
-  const schema = {};
-  
-  for (const table of tables) {
-    const columnsQuery = `
-      SELECT 
-        column_name, 
-        data_type,
-        is_nullable,
-        column_default
-      FROM 
-        information_schema.columns
-      WHERE 
-        table_schema = $1
-        AND table_name = $2
-      ORDER BY 
-        ordinal_position;
-    `;
-    
-    const columns = await executeQuery(
-      pool, 
-      columnsQuery, 
-      [table.table_schema, table.table_name]
-    );
-    
-    const tableName = table.table_name;
-    schema[tableName] = columns.map(col => ({
-      name: col.column_name,
-      type: col.data_type,
-      nullable: col.is_nullable === 'YES',
-      default: col.column_default
-    }));
+export const getDatabaseSchema = async (pool, schemaName = 'ragmonsters') => {
+  // Tables and their comments
+  const tables = await executeQuery(pool, `
+    SELECT c.oid, c.relname AS table_name, obj_description(c.oid, 'pg_class') AS comment
+    FROM pg_catalog.pg_class c
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1 AND c.relkind IN ('r', 'p')
+    ORDER BY c.relname
+  `, [schemaName]);
+
+  // Columns, with their exact types, defaults and comments
+  const columns = await executeQuery(pool, `
+    SELECT
+      c.relname AS table_name,
+      a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      NOT a.attnotnull AS nullable,
+      pg_get_expr(d.adbin, d.adrelid) AS column_default,
+      col_description(c.oid, a.attnum) AS comment
+    FROM pg_catalog.pg_attribute a
+    JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY c.relname, a.attnum
+  `, [schemaName]);
+
+  // Primary keys, unique constraints and foreign keys, one row per column
+  const constraints = await executeQuery(pool, `
+    SELECT
+      tc.table_name,
+      tc.constraint_name,
+      tc.constraint_type,
+      kcu.column_name,
+      ref.table_name AS foreign_table,
+      ref.column_name AS foreign_column,
+      rc.delete_rule
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.key_column_usage kcu
+      ON kcu.constraint_schema = tc.constraint_schema
+      AND kcu.constraint_name = tc.constraint_name
+      AND kcu.table_name = tc.table_name
+    LEFT JOIN information_schema.referential_constraints rc
+      ON rc.constraint_schema = tc.constraint_schema
+      AND rc.constraint_name = tc.constraint_name
+    LEFT JOIN information_schema.key_column_usage ref
+      ON ref.constraint_schema = rc.unique_constraint_schema
+      AND ref.constraint_name = rc.unique_constraint_name
+      AND ref.ordinal_position = kcu.position_in_unique_constraint
+    WHERE tc.table_schema = $1 AND tc.constraint_type IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+    ORDER BY tc.table_name, tc.constraint_name, kcu.ordinal_position
+  `, [schemaName]);
+
+  // Indexes, with their key columns or expressions
+  const indexes = await executeQuery(pool, `
+    SELECT
+      t.relname AS table_name,
+      i.relname AS index_name,
+      ix.indisunique AS is_unique,
+      ix.indisprimary AS is_primary,
+      am.amname AS method,
+      ARRAY(SELECT pg_get_indexdef(ix.indexrelid, k, true) FROM generate_series(1, ix.indnkeyatts) AS k) AS columns
+    FROM pg_catalog.pg_index ix
+    JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+    JOIN pg_catalog.pg_class t ON t.oid = ix.indrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+    JOIN pg_catalog.pg_am am ON am.oid = i.relam
+    WHERE n.nspname = $1
+    ORDER BY t.relname, i.relname
+  `, [schemaName]);
+
+  const byTable = new Map(tables.map(table => [table.table_name, {
+    name: table.table_name,
+    comment: table.comment,
+    columns: [],
+    primaryKey: [],
+    uniqueConstraints: [],
+    foreignKeys: [],
+    indexes: []
+  }]));
+
+  for (const column of columns) {
+    byTable.get(column.table_name)?.columns.push({
+      name: column.column_name,
+      type: column.data_type,
+      nullable: column.nullable,
+      default: column.column_default,
+      comment: column.comment
+    });
   }
-  
-  return schema;
+
+  // Group the constraint rows by constraint
+  const grouped = new Map();
+  for (const row of constraints) {
+    const key = `${row.table_name}.${row.constraint_name}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, { ...row, columns: [], foreignColumns: [] });
+    }
+    grouped.get(key).columns.push(row.column_name);
+    if (row.foreign_column) grouped.get(key).foreignColumns.push(row.foreign_column);
+  }
+  for (const constraint of grouped.values()) {
+    const table = byTable.get(constraint.table_name);
+    if (!table) continue;
+    if (constraint.constraint_type === 'PRIMARY KEY') {
+      table.primaryKey = constraint.columns;
+    } else if (constraint.constraint_type === 'UNIQUE') {
+      table.uniqueConstraints.push({ name: constraint.constraint_name, columns: constraint.columns });
+    } else {
+      table.foreignKeys.push({
+        name: constraint.constraint_name,
+        columns: constraint.columns,
+        references: { table: constraint.foreign_table, columns: constraint.foreignColumns },
+        onDelete: constraint.delete_rule
+      });
+    }
+  }
+
+  for (const index of indexes) {
+    byTable.get(index.table_name)?.indexes.push({
+      name: index.index_name,
+      columns: index.columns,
+      unique: index.is_unique,
+      primary: index.is_primary,
+      method: index.method
+    });
+  }
+
+  return { schema: schemaName, tables: [...byTable.values()] };
 };
 
 /**
@@ -130,3 +213,23 @@ export const checkDatabaseHealth = async (pool) => {
     return false;
   }
 };
+
+/**
+ * Check whether a PostgreSQL extension is installed in the current database
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} extensionName - Name of the extension (e.g. 'pg_trgm', 'vector')
+ * @returns {Promise<boolean>} True if the extension is installed
+ */
+export const hasExtension = async (pool, extensionName) => {
+  try {
+    const result = await executeQuery(
+      pool,
+      'SELECT 1 FROM pg_extension WHERE extname = $1',
+      [extensionName]
+    );
+    return result.length > 0;
+  } catch (error) {
+    logger.error(`Extension check for ${extensionName} failed: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,242 @@
+/**
+ * Structured filter language for monster queries
+ *
+ * A filter is a list of conditions that are combined with AND:
+ *
+ *   [
+ *     { field: 'height', op: 'between', value: [1, 3] },
+ *     { field: 'rarity', op: 'gte', value: 'Rare' },
+ *     { field: 'habitat', op: 'eq', value: 'Volcanic Mountains', not: true },
+ *     { field: 'power', op: 'contains', value: 'fire' },
+ *     { field: 'keyword_rating', op: 'gte', value: 15 },
+ *     { field: 'hindrance_target', op: 'eq', value: 'Fire' }
+ *   ]
+ *
+ * Conditions compile to parameterized SQL against the `m` (monsters),
+ * `s` (subcategories) and `c` (categories) aliases. Only whitelisted fields
+ * and operators are accepted; anything else raises a descriptive error.
+ */
+
+/**
+ * Rarities from most to least common
+ */
+export const RARITY_ORDER = ['Common', 'Uncommon', 'Rare', 'Very Rare', 'Extremely Rare'];
+
+/**
+ * Supported operators
+ */
+export const FILTER_OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'between', 'contains'];
+
+const STRING_OPS = ['eq', 'in', 'contains'];
+const NUMBER_OPS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// QuestWorlds sub-queries correlated with the outer monster row
+const KEYWORDS_FROM = `
+  FROM ragmonsters.questworlds_stats qs
+  JOIN ragmonsters.keywords k ON k.stats_id = qs.stats_id
+  WHERE qs.monster_id = m.monster_id`;
+const FLAWS_FROM = `
+  FROM ragmonsters.questworlds_stats qs
+  JOIN ragmonsters.flaws f ON f.stats_id = qs.stats_id
+  WHERE qs.monster_id = m.monster_id`;
+
+/**
+ * Filterable fields
+ *
+ * `column` fields compare a SQL expression directly. `exists` fields match
+ * when at least one related row satisfies the condition; `qualifier` names an
+ * optional extra property (e.g. `keyword`) that narrows the related rows.
+ * `integer` number fields reject fractional values.
+ */
+export const FILTER_FIELDS = {
+  name: { column: 'm.name', type: 'string', ops: STRING_OPS },
+  category: { column: 'c.category_name', type: 'string', ops: STRING_OPS },
+  subcategory: { column: 's.subcategory_name', type: 'string', ops: STRING_OPS },
+  monster_type: { column: 'm.monster_type', type: 'string', ops: STRING_OPS },
+  habitat: { column: 'm.habitat', type: 'string', ops: STRING_OPS },
+  biome: { column: 'm.biome', type: 'string', ops: STRING_OPS },
+  rarity: { column: 'm.rarity', type: 'rarity', ops: ['eq', 'in', 'gt', 'gte', 'lt', 'lte'] },
+  height: { column: 'm.height', type: 'number', ops: NUMBER_OPS },
+  power: {
+    column: "(m.primary_power || ' ' || m.secondary_power || ' ' || m.special_ability)",
+    type: 'string',
+    ops: ['contains']
+  },
+  weakness: { column: 'm.weakness', type: 'string', ops: ['contains'] },
+  keyword: { exists: KEYWORDS_FROM, column: 'k.keyword_name', type: 'string', ops: STRING_OPS },
+  keyword_rating: {
+    exists: KEYWORDS_FROM,
+    column: 'k.rating',
+    type: 'number',
+    integer: true,
+    ops: NUMBER_OPS,
+    qualifier: { name: 'keyword', column: 'k.keyword_name' }
+  },
+  flaw: { exists: FLAWS_FROM, column: 'f.flaw_name', type: 'string', ops: STRING_OPS },
+  flaw_rating: {
+    exists: FLAWS_FROM,
+    column: 'f.rating',
+    type: 'number',
+    integer: true,
+    ops: NUMBER_OPS,
+    qualifier: { name: 'flaw', column: 'f.flaw_name' }
+  },
+  augment_target: {
+    exists: `
+  FROM ragmonsters.augments a
+  WHERE a.monster_id = m.monster_id`,
+    column: 'a.target_name',
+    type: 'string',
+    ops: STRING_OPS
+  },
+  hindrance_target: {
+    exists: `
+  FROM ragmonsters.hindrances h
+  WHERE h.monster_id = m.monster_id`,
+    column: 'h.target_name',
+    type: 'string',
+    ops: STRING_OPS
+  }
+};
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} value - Raw value
+ * @returns {string} Value safe to embed in a LIKE pattern
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Validate a condition value against the field type and operator
+ * @param {string} label - Condition label for error messages
+ * @param {Object} definition - Field definition
+ * @param {string} op - Operator
+ * @param {*} value - Condition value
+ */
+function validateValue(label, definition, op, value) {
+  const checkScalar = (item) => {
+    if (definition.type === 'number') {
+      if (typeof item !== 'number' || !Number.isFinite(item)) {
+        throw new Error(`${label}: expected a number, got ${JSON.stringify(item)}`);
+      }
+      if (definition.integer && !Number.isInteger(item)) {
+        throw new Error(`${label}: expected an integer, got ${item}`);
+      }
+    } else if (typeof item !== 'string' || item.length === 0) {
+      throw new Error(`${label}: expected a non-empty string, got ${JSON.stringify(item)}`);
+    }
+    if (definition.type === 'rarity' && !RARITY_ORDER.includes(item)) {
+      throw new Error(`${label}: unknown rarity '${item}'. Allowed: ${RARITY_ORDER.join(', ')}`);
+    }
+  };
+
+  if (op === 'in') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > 50) {
+      throw new Error(`${label}: 'in' expects an array of 1 to 50 values`);
+    }
+    value.forEach(checkScalar);
+  } else if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error(`${label}: 'between' expects [min, max]`);
+    }
+    value.forEach(checkScalar);
+  } else {
+    if (Array.isArray(value)) {
+      throw new Error(`${label}: '${op}' expects a single value, use 'in' for a set`);
+    }
+    checkScalar(value);
+  }
+}
+
+/**
+ * Compile a comparison of one SQL expression
+ * @param {string} column - SQL expression (whitelisted)
+ * @param {Object} definition - Field definition
+ * @param {string} op - Operator
+ * @param {*} value - Condition value
+ * @param {Function} param - Adds a parameter and returns its placeholder
+ * @returns {string} SQL condition
+ */
+function compileComparison(column, definition, op, value, param) {
+  // Rarity is ordinal: range operators become a set of allowed rarities
+  if (definition.type === 'rarity' && ['gt', 'gte', 'lt', 'lte'].includes(op)) {
+    const rank = RARITY_ORDER.indexOf(value);
+    const allowed = RARITY_ORDER.filter((_, index) =>
+      op === 'gt' ? index > rank : op === 'gte' ? index >= rank : op === 'lt' ? index < rank : index <= rank
+    );
+    return `${column} = ANY(${param(allowed)})`;
+  }
+
+  switch (op) {
+    case 'eq':
+      return definition.type === 'string'
+        ? `LOWER(${column}) = LOWER(${param(value)})`
+        : `${column} = ${param(value)}`;
+    case 'in':
+      return definition.type === 'string'
+        ? `LOWER(${column}) = ANY(${param(value.map(item => item.toLowerCase()))})`
+        : `${column} = ANY(${param(value)})`;
+    case 'gt':
+      return `${column} > ${param(value)}`;
+    case 'gte':
+      return `${column} >= ${param(value)}`;
+    case 'lt':
+      return `${column} < ${param(value)}`;
+    case 'lte':
+      return `${column} <= ${param(value)}`;
+    case 'between':
+      return `${column} BETWEEN ${param(Math.min(...value))} AND ${param(Math.max(...value))}`;
+    case 'contains':
+      return `${column} ILIKE ${param(`%${escapeLike(value)}%`)}`;
+    default:
+      throw new Error(`Unsupported operator '${op}'`);
+  }
+}
+
+/**
+ * Compile filter conditions into SQL
+ * @param {Array<Object>} conditions - Filter conditions (see module documentation)
+ * @param {Array} queryParams - Parameter array, extended in place
+ * @returns {Array<string>} SQL conditions to combine with AND
+ */
+export function compileFilters(conditions = [], queryParams) {
+  if (!Array.isArray(conditions)) {
+    throw new Error('Filter must be an array of conditions');
+  }
+
+  const param = (value) => {
+    queryParams.push(value);
+    return `$${queryParams.length}`;
+  };
+
+  return conditions.map((condition, index) => {
+    const { field, op, value } = condition || {};
+    const label = `Filter condition #${index + 1} (${field} ${op})`;
+
+    const definition = FILTER_FIELDS[field];
+    if (!definition) {
+      throw new Error(`Filter condition #${index + 1}: unknown field '${field}'. Allowed fields: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+    if (!definition.ops.includes(op)) {
+      throw new Error(`Filter condition #${index + 1}: operator '${op}' is not allowed on '${field}'. Allowed operators: ${definition.ops.join(', ')}`);
+    }
+    validateValue(label, definition, op, value);
+
+    let sql = compileComparison(definition.column, definition, op, value, param);
+
+    if (definition.exists) {
+      const qualifierValue = definition.qualifier ? condition[definition.qualifier.name] : undefined;
+      if (qualifierValue !== undefined) {
+        if (typeof qualifierValue !== 'string' || qualifierValue.length === 0) {
+          throw new Error(`${label}: '${definition.qualifier.name}' must be a non-empty string`);
+        }
+        sql += ` AND LOWER(${definition.qualifier.column}) = LOWER(${param(qualifierValue)})`;
+      }
+      sql = `EXISTS (SELECT 1 ${definition.exists.trim()} AND ${sql})`;
+    }
+
+    return condition.not ? `NOT (${sql})` : `(${sql})`;
+  });
+}
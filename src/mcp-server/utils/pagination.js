@@ -0,0 +1,118 @@
+/**
+ * Cursor-based (keyset) pagination helpers for the MCP tools
+ *
+ * A cursor is an opaque base64url string encoding the sort field, direction,
+ * a hash of the filters of the query, the sort key of the last row returned
+ * and its monster_id tie-breaker. Resuming from a cursor uses a keyset
+ * condition rather than OFFSET, so pages stay stable even if rows are inserted
+ * before the current position; a cursor reused with other filters is rejected.
+ */
+import { createHash } from 'crypto';
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal filters serialize equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash the filters a cursor is issued for
+ * @param {Object} query - Filters of the query (everything but sort, limit and cursor)
+ * @returns {string} Short hash
+ */
+function hashQuery(query) {
+  return createHash('sha256').update(canonicalJson(query)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encode a cursor for the row after which the next page starts
+ * @param {Object} position - Cursor contents
+ * @param {string} position.sort - Sort field name
+ * @param {string} position.direction - 'asc' or 'desc'
+ * @param {Object} position.query - Filters of the query the cursor belongs to
+ * @param {*} position.value - Sort key of the last row returned
+ * @param {number} position.id - monster_id of the last row returned
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor({ sort, direction, query, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, d: direction, q: hashQuery(query), v: value, i: id })).toString('base64url');
+}
+
+/**
+ * Decode and validate a cursor
+ * @param {string} cursor - Opaque cursor returned by a previous call
+ * @param {Object} expected - Sort and filters the cursor must have been created with
+ * @param {string} expected.sort - Sort field name
+ * @param {string} expected.direction - 'asc' or 'desc'
+ * @param {Object} expected.query - Filters of the query
+ * @returns {Object} Decoded position with value and id
+ */
+export function decodeCursor(cursor, { sort, direction, query }) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor. Use the nextCursor value returned by the previous call.');
+  }
+
+  if (!position || typeof position !== 'object' || !Number.isInteger(position.i)) {
+    throw new Error('Invalid cursor. Use the nextCursor value returned by the previous call.');
+  }
+
+  if (position.s !== sort || position.d !== direction) {
+    throw new Error(`Cursor was created for sort ${position.s} ${position.d}, but the request sorts by ${sort} ${direction}. Repeat the original sort parameters.`);
+  }
+
+  if (position.q !== hashQuery(query)) {
+    throw new Error('Cursor was created for different filters. Repeat the original filters, or omit the cursor to start a new query.');
+  }
+
+  return { value: position.v, id: position.i };
+}
+
+/**
+ * Build the keyset condition that resumes after a cursor position
+ *
+ * Rows are ordered by the sort expression in the requested direction, then by
+ * monster_id ascending, so the condition is written out explicitly instead of
+ * using a row comparison (which cannot mix directions).
+ *
+ * @param {string} sortExpression - SQL expression of the sort key (whitelisted by the caller)
+ * @param {string} idExpression - SQL expression of the monster_id tie-breaker
+ * @param {string} direction - 'asc' or 'desc'
+ * @param {Object} position - Decoded cursor position
+ * @param {Array} queryParams - Parameter array, extended in place
+ * @returns {string} SQL condition (without a leading AND)
+ */
+export function buildKeysetCondition(sortExpression, idExpression, direction, position, queryParams) {
+  queryParams.push(position.value);
+  const valueParam = `$${queryParams.length}`;
+  queryParams.push(position.id);
+  const idParam = `$${queryParams.length}`;
+  const comparator = direction === 'desc' ? '<' : '>';
+
+  return `(${sortExpression} ${comparator} ${valueParam} OR (${sortExpression} = ${valueParam} AND ${idExpression} > ${idParam}))`;
+}
+
+/**
+ * Format a tool call as a `next` hint the agent can copy verbatim
+ * @param {string} toolName - Name of the tool
+ * @param {Object} args - Tool arguments
+ * @returns {string} Call expression, e.g. getMonsters({"limit":10,"cursor":"..."})
+ */
+export function formatToolCall(toolName, args) {
+  return `${toolName}(${JSON.stringify(args)})`;
+}
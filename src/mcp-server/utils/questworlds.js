@@ -0,0 +1,185 @@
+/**
+ * QuestWorlds game mechanics used by the battle tools
+ *
+ * Ratings follow the QuestWorlds convention: a rating above 20 is expressed as
+ * a target number plus masteries (21 = 1M, 35 = 15M, 41 = 1M2). A contest is
+ * resolved by rolling a d20 per side:
+ *   - a roll equal to the target number is a big success (2 successes)
+ *   - a roll below it is a success (1 success), above it a failure (0)
+ *   - each mastery left after cancelling the opponent's adds a success
+ * The side with more successes wins; equal successes go to the higher
+ * successful roll, otherwise the contest is a draw.
+ *
+ * Augments and hindrances are situational modifiers that apply when their
+ * target names the opponent's category, subcategory, monster type or name.
+ * A flaw is rolled against each contest: on a d20 at or below its rating the
+ * flaw is exploited and the monster suffers the standard -5 penalty.
+ */
+
+// Standard QuestWorlds modifier size, used for exploited flaws
+export const FLAW_PENALTY = -5;
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Roll a d20 with the given generator
+ * @param {Function} rng - Generator returned by createRng
+ * @returns {number} Integer in [1, 20]
+ */
+export function rollD20(rng) {
+  return Math.floor(rng() * 20) + 1;
+}
+
+/**
+ * Split a rating into a d20 target number and masteries
+ * @param {number} rating - Rating (values below 1 are treated as 1)
+ * @returns {Object} { target, masteries }
+ */
+export function splitRating(rating) {
+  const safeRating = Math.max(1, Math.round(rating));
+  const masteries = Math.floor((safeRating - 1) / 20);
+  return { target: safeRating - masteries * 20, masteries };
+}
+
+/**
+ * Format a rating in QuestWorlds notation
+ * @param {number} rating - Rating
+ * @returns {string} e.g. "17", "5M", "1M2"
+ */
+export function formatRating(rating) {
+  const { target, masteries } = splitRating(rating);
+  if (masteries === 0) return String(target);
+  return `${target}M${masteries > 1 ? masteries : ''}`;
+}
+
+/**
+ * Count the successes of one d20 roll against a target number
+ * @param {number} roll - d20 result
+ * @param {number} target - Target number
+ * @returns {number} 0, 1 or 2
+ */
+function rollSuccesses(roll, target) {
+  if (roll === target) return 2;
+  return roll < target ? 1 : 0;
+}
+
+/**
+ * Resolve one contest between two effective ratings
+ * @param {number} ratingA - Effective rating of side A
+ * @param {number} ratingB - Effective rating of side B
+ * @param {Function} rng - Generator returned by createRng
+ * @returns {Object} { winner: 'A'|'B'|null, margin, rollA, rollB }
+ */
+export function resolveContest(ratingA, ratingB, rng) {
+  const a = splitRating(ratingA);
+  const b = splitRating(ratingB);
+
+  // Masteries cancel each other
+  const cancelled = Math.min(a.masteries, b.masteries);
+  const rollA = rollD20(rng);
+  const rollB = rollD20(rng);
+  const successesA = rollSuccesses(rollA, a.target) + a.masteries - cancelled;
+  const successesB = rollSuccesses(rollB, b.target) + b.masteries - cancelled;
+
+  if (successesA !== successesB) {
+    return {
+      winner: successesA > successesB ? 'A' : 'B',
+      margin: Math.abs(successesA - successesB),
+      rollA,
+      rollB
+    };
+  }
+
+  // Tie on successes: the higher successful roll wins
+  if (successesA > 0 && rollA !== rollB) {
+    return { winner: rollA > rollB ? 'A' : 'B', margin: 0, rollA, rollB };
+  }
+
+  return { winner: null, margin: 0, rollA, rollB };
+}
+
+/**
+ * Normalise a target or descriptor name for comparison
+ * @param {string} value - Name such as "Aquatic" or "Fire Elementals"
+ * @returns {string} Lowercase singular form
+ */
+export function normalizeTarget(value) {
+  return (value || '')
+    .toLowerCase()
+    .trim()
+    .split(/\s+/)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) ? word.slice(0, -1) : word)
+    .join(' ');
+}
+
+/**
+ * Descriptors of a monster that augments and hindrances can target
+ * @param {Object} monster - Monster with name, category, subcategory and type
+ * @returns {Array<Object>} [{ attribute, value }]
+ */
+export function targetDescriptors(monster) {
+  return [
+    { attribute: 'category', value: monster.category },
+    { attribute: 'subcategory', value: monster.subcategory },
+    { attribute: 'monster_type', value: monster.type },
+    { attribute: 'name', value: monster.name }
+  ].filter(descriptor => descriptor.value);
+}
+
+/**
+ * Find the modifiers of a monster that apply against an opponent
+ * @param {Array<Object>} modifiers - Augments or hindrances ({ target, modifier })
+ * @param {Object} opponent - Opponent monster (see targetDescriptors)
+ * @returns {Array<Object>} Applicable modifiers with the opponent attribute they matched
+ */
+export function applicableModifiers(modifiers, opponent) {
+  const descriptors = targetDescriptors(opponent);
+  return modifiers.flatMap(entry => {
+    const target = normalizeTarget(entry.target);
+    const match = descriptors.find(descriptor => normalizeTarget(descriptor.value) === target);
+    return match ? [{ ...entry, matchedOn: match.attribute, matchedValue: match.value }] : [];
+  });
+}
+
+/**
+ * All situational modifiers in play when a monster faces an opponent
+ *
+ * Includes both sides' augments and hindrances. `effect` is signed from the
+ * first monster's point of view: its own augments and the opponent's
+ * hindrances help it, its own hindrances and the opponent's augments hurt it.
+ *
+ * @param {Object} monster - Combat profile (see targetDescriptors)
+ * @param {Object} opponent - Opponent combat profile
+ * @returns {Object} { net, factors: [{ holder, type, target, modifier, matchedOn, matchedValue, effect }] }
+ */
+export function matchupModifiers(monster, opponent) {
+  const factors = [
+    ...applicableModifiers(monster.augments, opponent)
+      .map(entry => ({ ...entry, holder: monster.name, type: 'augment', effect: entry.modifier })),
+    ...applicableModifiers(monster.hindrances, opponent)
+      .map(entry => ({ ...entry, holder: monster.name, type: 'hindrance', effect: entry.modifier })),
+    ...applicableModifiers(opponent.augments, monster)
+      .map(entry => ({ ...entry, holder: opponent.name, type: 'augment', effect: -entry.modifier })),
+    ...applicableModifiers(opponent.hindrances, monster)
+      .map(entry => ({ ...entry, holder: opponent.name, type: 'hindrance', effect: -entry.modifier }))
+  ];
+
+  return {
+    net: factors.reduce((sum, factor) => sum + factor.effect, 0),
+    factors
+  };
+}
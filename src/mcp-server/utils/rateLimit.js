@@ -0,0 +1,185 @@
+/**
+ * Per-client rate limiting and daily quotas
+ *
+ * Each budget (e.g. `tools`, `chat`) combines a token bucket, which bounds
+ * bursts and the sustained rate, with a daily quota reset at UTC midnight.
+ * Clients are identified by a key such as `key:<principal id>` or `ip:<address>`.
+ *
+ * State lives in a store so it can be shared between instances. A store is a
+ * plain object:
+ *   {
+ *     takeToken: async (key, { capacity, refillPerSecond }, now) => { allowed, remaining, retryAfterMs },
+ *     consumeQuota: async (key, { limit, resetAt }, now) => { allowed, remaining, retryAfterMs }
+ *   }
+ * Both operations must be atomic for a given key.
+ */
+import logger from './logger.js';
+
+/**
+ * Default budgets, overridable through RATE_LIMIT_<BUDGET>_* variables
+ */
+const DEFAULT_BUDGETS = {
+  tools: { capacity: 30, refillPerMinute: 60, dailyQuota: 5000 },
+  chat: { capacity: 5, refillPerMinute: 10, dailyQuota: 200 }
+};
+
+/**
+ * Create an in-memory store (state is lost on restart and not shared between processes)
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxKeys=10000] - Entries kept before the oldest are evicted
+ * @returns {Object} Rate limit store
+ */
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const buckets = new Map();
+  const quotas = new Map();
+
+  // Maps keep insertion order, so the first entries are the least recently touched
+  const touch = (map, key, value) => {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > maxKeys) {
+      map.delete(map.keys().next().value);
+    }
+  };
+
+  return {
+    async takeToken(key, { capacity, refillPerSecond }, now) {
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+
+      if (tokens < 1) {
+        touch(buckets, key, { tokens, updatedAt: now });
+        return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((1 - tokens) / refillPerSecond) * 1000) };
+      }
+
+      touch(buckets, key, { tokens: tokens - 1, updatedAt: now });
+      return { allowed: true, remaining: Math.floor(tokens - 1), retryAfterMs: 0 };
+    },
+
+    async consumeQuota(key, { limit, resetAt }, now) {
+      let quota = quotas.get(key);
+      if (!quota || quota.resetAt <= now) {
+        quota = { used: 0, resetAt };
+      }
+
+      if (quota.used >= limit) {
+        touch(quotas, key, quota);
+        return { allowed: false, remaining: 0, retryAfterMs: quota.resetAt - now };
+      }
+
+      quota.used += 1;
+      touch(quotas, key, quota);
+      return { allowed: true, remaining: limit - quota.used, retryAfterMs: 0 };
+    }
+  };
+}
+
+/**
+ * Read the rate limit configuration from environment variables
+ *
+ * For each budget: RATE_LIMIT_<BUDGET>_BURST (bucket capacity),
+ * RATE_LIMIT_<BUDGET>_PER_MINUTE (refill rate) and RATE_LIMIT_<BUDGET>_DAILY
+ * (daily quota, 0 for none).
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Rate limit configuration
+ */
+export function getRateLimitConfig(env = process.env) {
+  const readNumber = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${name} '${env[name]}': expected a non-negative number`);
+    }
+    return value;
+  };
+
+  const budgets = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_BUDGETS)) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    budgets[name] = {
+      capacity: readNumber(`${prefix}_BURST`, defaults.capacity),
+      refillPerMinute: readNumber(`${prefix}_PER_MINUTE`, defaults.refillPerMinute),
+      dailyQuota: readNumber(`${prefix}_DAILY`, defaults.dailyQuota)
+    };
+  }
+
+  return {
+    enabled: env.RATE_LIMIT_ENABLED !== 'false',
+    budgets
+  };
+}
+
+/**
+ * Next UTC midnight after a timestamp
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {number} Timestamp of the next reset
+ */
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options] - Limiter options
+ * @param {Object} [options.config] - Rate limit configuration (defaults to getRateLimitConfig())
+ * @param {Object} [options.store] - Store implementation (defaults to createMemoryStore())
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Limiter with consume(budget, clientKey)
+ */
+export function createRateLimiter({ config = getRateLimitConfig(), store = createMemoryStore(), now = Date.now } = {}) {
+  /**
+   * Spend one request from a client's budget
+   * @param {string} budget - Budget name (tools, chat)
+   * @param {string} clientKey - Client identifier
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterSeconds, reason }
+   */
+  const consume = async (budget, clientKey) => {
+    const settings = config.budgets[budget];
+    if (!settings) {
+      throw new Error(`Unknown rate limit budget '${budget}'. Available: ${Object.keys(config.budgets).join(', ')}`);
+    }
+    if (!config.enabled) {
+      return { allowed: true, limit: null, remaining: null, retryAfterSeconds: 0 };
+    }
+
+    const timestamp = now();
+    const bucket = await store.takeToken(`${budget}:rate:${clientKey}`, {
+      capacity: settings.capacity,
+      refillPerSecond: settings.refillPerMinute / 60
+    }, timestamp);
+
+    if (!bucket.allowed) {
+      logger.info(`Rate limit exceeded for ${clientKey} on ${budget}`);
+      return {
+        allowed: false,
+        limit: settings.capacity,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil(bucket.retryAfterMs / 1000)),
+        reason: `Rate limit exceeded for ${budget}`
+      };
+    }
+
+    if (settings.dailyQuota > 0) {
+      const quota = await store.consumeQuota(`${budget}:daily:${clientKey}`, {
+        limit: settings.dailyQuota,
+        resetAt: nextUtcMidnight(timestamp)
+      }, timestamp);
+
+      if (!quota.allowed) {
+        logger.info(`Daily quota exhausted for ${clientKey} on ${budget}`);
+        return {
+          allowed: false,
+          limit: settings.dailyQuota,
+          remaining: 0,
+          retryAfterSeconds: Math.max(1, Math.ceil(quota.retryAfterMs / 1000)),
+          reason: `Daily quota of ${settings.dailyQuota} ${budget} requests exhausted`
+        };
+      }
+    }
+
+    return { allowed: true, limit: settings.capacity, remaining: bucket.remaining, retryAfterSeconds: 0 };
+  };
+
+  return { consume, enabled: config.enabled };
+}
@@ -0,0 +1,240 @@
+/**
+ * Transport selection and lifecycle for the MCP server
+ *
+ * The transport is chosen by environment variables:
+ *   - stdio: the server talks to a single client over stdin/stdout (default)
+ *   - httpStream: Streamable HTTP on MCP_HTTP_ENDPOINT, with the legacy SSE
+ *     endpoint on /sse for older clients
+ *   - sse: alias of httpStream for configurations naming the legacy transport;
+ *     it starts the same HTTP server (both endpoints), only refusing stateless
+ *     mode since SSE clients need sessions
+ *
+ * Independently of that transport, LinkableFastMCP lets a client in the same
+ * process (the web application) connect through an in-memory transport pair.
+ */
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { hasScope } from './auth.js';
+import logger from './logger.js';
+
+/**
+ * Supported transport types
+ */
+export const TRANSPORT_TYPES = ['stdio', 'httpStream', 'sse'];
+
+/**
+ * Path of the SSE endpoint served alongside Streamable HTTP (fixed by FastMCP)
+ */
+export const SSE_ENDPOINT = '/sse';
+
+/**
+ * FastMCP server that can also serve clients living in the same process
+ *
+ * FastMCP keeps its definitions private and only creates sessions for stdio and
+ * HTTP, so the definitions are recorded here to build in-memory sessions.
+ */
+export class LinkableFastMCP extends FastMCP {
+  #definitions = { tools: [], prompts: [], resources: [], resourcesTemplates: [] };
+  #linkedSessions = [];
+
+  /**
+   * Record a definition, replacing any previous one with the same name
+   * @param {string} kind - Key of the definitions map
+   * @param {Object} definition - Tool, prompt, resource or resource template
+   */
+  #record(kind, definition) {
+    this.#definitions[kind] = this.#definitions[kind].filter(d => d.name !== definition.name);
+    this.#definitions[kind].push(definition);
+  }
+
+  addTool(tool) {
+    this.#record('tools', tool);
+    // Authenticated HTTP sessions only see the tools their scopes allow them to call
+    super.addTool({
+      canAccess: (auth) => hasScope(auth, `tools:call:${tool.name}`),
+      ...tool
+    });
+  }
+
+  addTools(tools) {
+    tools.forEach(tool => this.addTool(tool));
+  }
+
+  addPrompt(prompt) {
+    this.#record('prompts', prompt);
+    super.addPrompt(prompt);
+  }
+
+  addPrompts(prompts) {
+    prompts.forEach(prompt => this.addPrompt(prompt));
+  }
+
+  addResource(resource) {
+    this.#record('resources', resource);
+    super.addResource(resource);
+  }
+
+  addResources(resources) {
+    resources.forEach(resource => this.addResource(resource));
+  }
+
+  addResourceTemplate(resourceTemplate) {
+    this.#record('resourcesTemplates', resourceTemplate);
+    super.addResourceTemplate(resourceTemplate);
+  }
+
+  addResourceTemplates(resourceTemplates) {
+    resourceTemplates.forEach(resourceTemplate => this.addResourceTemplate(resourceTemplate));
+  }
+
+  /**
+   * Connect an MCP client to this server through a linked in-memory transport pair
+   * @param {Client} client - MCP SDK client (not yet connected)
+   * @returns {Promise<Client>} The connected client
+   */
+  async connectClient(client) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+
+    const session = new FastMCPSession({
+      ...this.#definitions,
+      instructions: this.options.instructions,
+      logger: this.options.logger || console,
+      name: this.options.name,
+      ping: this.options.ping,
+      roots: this.options.roots,
+      transportType: 'stdio',
+      utils: this.options.utils,
+      version: this.options.version
+    });
+
+    // The session waits for the client's initialize request, so both sides connect together
+    await Promise.all([session.connect(serverTransport), client.connect(clientTransport)]);
+
+    this.#linkedSessions.push(session);
+    serverTransport.onclose = () => {
+      this.#linkedSessions = this.#linkedSessions.filter(s => s !== session);
+      logger.info('In-memory MCP session closed');
+    };
+
+    logger.info('In-memory MCP session established');
+    return client;
+  }
+
+  /**
+   * Stop the server, including in-memory sessions
+   */
+  async stop() {
+    await Promise.all(this.#linkedSessions.map(session => session.close()));
+    await super.stop();
+  }
+}
+
+/**
+ * Read the transport configuration from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} Transport configuration
+ */
+export function getTransportConfig(env = process.env) {
+  const type = env.MCP_TRANSPORT || 'stdio';
+  if (!TRANSPORT_TYPES.includes(type)) {
+    throw new Error(`Unknown MCP transport '${type}'. Available: ${TRANSPORT_TYPES.join(', ')}`);
+  }
+
+  const port = env.MCP_HTTP_PORT ? parseInt(env.MCP_HTTP_PORT, 10) : 8081;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid MCP_HTTP_PORT '${env.MCP_HTTP_PORT}'`);
+  }
+
+  const endpoint = env.MCP_HTTP_ENDPOINT || '/mcp';
+  if (!endpoint.startsWith('/') || endpoint === SSE_ENDPOINT) {
+    throw new Error(`Invalid MCP_HTTP_ENDPOINT '${endpoint}': must start with '/' and differ from ${SSE_ENDPOINT}`);
+  }
+
+  const stateless = env.MCP_HTTP_STATELESS === 'true';
+  if (stateless && type === 'sse') {
+    throw new Error('MCP_HTTP_STATELESS cannot be used with the sse transport, which needs sessions');
+  }
+
+  return {
+    type,
+    host: env.MCP_HTTP_HOST || '0.0.0.0',
+    port,
+    endpoint,
+    stateless
+  };
+}
+
+/**
+ * Start a FastMCP server with the configured transport
+ * @param {FastMCP} server - Configured MCP server
+ * @param {Object} [config] - Transport configuration (defaults to getTransportConfig())
+ * @returns {Promise<Object>} The configuration the server was started with
+ */
+export async function startServer(server, config = getTransportConfig()) {
+  if (config.type === 'stdio') {
+    logger.info('Starting MCP server with STDIO transport');
+    await server.start({ transportType: 'stdio' });
+    return config;
+  }
+
+  if (config.type === 'sse') {
+    logger.info(`MCP_TRANSPORT=sse is an alias of httpStream: SSE clients connect to ${SSE_ENDPOINT}, Streamable HTTP clients to ${config.endpoint}`);
+  }
+
+  // Track HTTP sessions so they show up in the logs
+  server.on('connect', () => logger.info('MCP HTTP session connected'));
+  server.on('disconnect', () => logger.info('MCP HTTP session disconnected'));
+
+  await server.start({
+    transportType: 'httpStream',
+    httpStream: {
+      host: config.host,
+      port: config.port,
+      endpoint: config.endpoint,
+      stateless: config.stateless
+    }
+  });
+
+  const baseUrl = `http://${config.host}:${config.port}`;
+  logger.info(`MCP server listening with Streamable HTTP at ${baseUrl}${config.endpoint}${config.stateless ? ' (stateless)' : ''}`);
+  logger.info(`MCP server listening with SSE at ${baseUrl}${SSE_ENDPOINT}`);
+  return config;
+}
+
+/**
+ * Stop the server and run cleanup on SIGINT/SIGTERM
+ *
+ * Open HTTP sessions are closed by server.stop(); if shutdown hangs, the
+ * process exits anyway after the timeout.
+ * @param {FastMCP} server - Running MCP server
+ * @param {Function} [cleanup] - Async cleanup run after the server stops (e.g. closing the pool)
+ * @param {number} [timeoutMs=10000] - Maximum time to wait before forcing exit
+ */
+export function registerShutdownHandlers(server, cleanup = async () => {}, timeoutMs = 10000) {
+  let shuttingDown = false;
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`Received ${signal}, shutting down MCP server`);
+
+    const timer = setTimeout(() => {
+      logger.error(`Shutdown did not complete within ${timeoutMs}ms, forcing exit`);
+      process.exit(1);
+    }, timeoutMs);
+    timer.unref();
+
+    try {
+      await server.stop();
+      await cleanup();
+      logger.info('MCP server stopped');
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error during shutdown: ${error.message}`);
+      process.exit(1);
+    }
+  };
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
@@ -0,0 +1,28 @@
+/**
+ * Anthropic chat model provider
+ */
+import { ChatAnthropic } from '@langchain/anthropic';
+
+/**
+ * Create an Anthropic chat model provider
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - API base URL
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum tokens generated per model call
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds
+ * @returns {Object} LLM provider
+ */
+export function createAnthropicProvider({ model, apiKey, baseURL, temperature, maxTokens, timeoutMs }) {
+  const chatModel = new ChatAnthropic({
+    model,
+    apiKey,
+    temperature,
+    maxTokens,
+    anthropicApiUrl: baseURL,
+    clientOptions: { timeout: timeoutMs }
+  });
+
+  return { name: 'anthropic', model, chatModel };
+}
@@ -0,0 +1,148 @@
+/**
+ * Scripted fake chat model, for tests and offline development
+ *
+ * The model never looks at tool results: it replays a script chosen from the
+ * latest user message. The n-th model call after that message gets the n-th
+ * entry of the script, so the same conversation always produces the same
+ * calls. An entry is either a string (a final answer) or
+ * { content, toolCalls: [{ name, args }], delayMs } to make tool calls, after
+ * an optional delay (to test cancellation).
+ *
+ * Scripts come from scenarios ({ name, match, turns }, where match is a
+ * case-insensitive regular expression tested against the user message), or
+ * from a default list of responses when no scenario matches. Answers are
+ * streamed word by word so streaming clients see token events.
+ */
+import fs from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Read a fixture file of scenarios
+ * @param {string} filePath - Path of a JSON file { scenarios, fallback }
+ * @returns {Object} { scenarios, fallback }
+ */
+export function loadFakeFixtures(filePath) {
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read LLM fixtures from ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(fixtures.scenarios)) {
+    throw new Error(`LLM fixtures ${filePath} must have a scenarios array`);
+  }
+  return fixtures;
+}
+
+/**
+ * Chat model replaying scripted responses
+ */
+export class ScriptedChatModel extends BaseChatModel {
+  /**
+   * @param {Object} options - Model options
+   * @param {Array<string|Object>} [options.responses] - Script used when no scenario matches
+   * @param {Array<Object>} [options.scenarios] - Scenarios { name, match, turns }
+   * @param {string} [options.fallback] - Answer once a script is exhausted
+   */
+  constructor({ responses = [], scenarios = [], fallback = 'I have nothing more to add.' }) {
+    super({});
+    if (responses.length === 0 && scenarios.length === 0) {
+      throw new Error('The scripted model requires responses or scenarios');
+    }
+    this.responses = responses;
+    this.scenarios = scenarios.map(scenario => ({ ...scenario, pattern: new RegExp(scenario.match, 'i') }));
+    this.fallback = fallback;
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  // Tools are only used to shape tool calls, which are scripted
+  bindTools() {
+    return this;
+  }
+
+  /**
+   * Pick the response for the current model call
+   * @param {Array} messages - Messages sent to the model
+   * @returns {Object} { content, toolCalls, delayMs } with tool call IDs
+   */
+  nextResponse(messages) {
+    const humanIndex = messages.findLastIndex(message => message._getType() === 'human');
+    const userMessage = humanIndex >= 0 ? String(messages[humanIndex].content) : '';
+    const turn = messages.slice(humanIndex + 1).filter(message => message._getType() === 'ai').length;
+
+    const scenario = this.scenarios.find(s => s.pattern.test(userMessage));
+    const script = scenario ? scenario.turns : this.responses;
+    const response = script[turn] ?? this.fallback;
+
+    const { content = '', toolCalls = [], delayMs = 0 } = typeof response === 'string' ? { content: response } : response;
+    return {
+      content,
+      delayMs,
+      // Unique within a conversation: position of the user message, turn and call
+      toolCalls: toolCalls.map((call, index) => ({
+        id: `call_${humanIndex}_${turn}_${index}`,
+        name: call.name,
+        args: call.args ?? {}
+      }))
+    };
+  }
+
+  async _generate(messages, options, runManager) {
+    const { content, toolCalls, delayMs } = this.nextResponse(messages);
+    if (delayMs > 0) {
+      await sleep(delayMs, undefined, { signal: options.signal });
+    }
+    if (content) {
+      await runManager?.handleLLMNewToken(content);
+    }
+    return {
+      generations: [{ text: content, message: new AIMessage({ content, tool_calls: toolCalls }) }]
+    };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { content, toolCalls, delayMs } = this.nextResponse(messages);
+    if (delayMs > 0) {
+      await sleep(delayMs, undefined, { signal: options.signal });
+    }
+
+    for (const word of content.match(/\S+\s*/g) ?? []) {
+      yield new ChatGenerationChunk({ text: word, message: new AIMessageChunk({ content: word }) });
+      await runManager?.handleLLMNewToken(word);
+    }
+
+    if (toolCalls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: toolCalls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            index
+          }))
+        })
+      });
+    }
+  }
+}
+
+/**
+ * Create a scripted fake chat model provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.model='scripted'] - Model name reported in chat responses
+ * @param {Array<string|Object>} [options.responses] - Script used when no scenario matches
+ * @param {string} [options.fixtures] - Path of a JSON fixture file { scenarios, fallback }
+ * @returns {Object} LLM provider
+ */
+export function createFakeProvider({ model = 'scripted', responses, fixtures }) {
+  const { scenarios, fallback } = fixtures ? loadFakeFixtures(fixtures) : {};
+  return { name: 'fake', model, chatModel: new ScriptedChatModel({ responses, scenarios, fallback }) };
+}
@@ -0,0 +1,204 @@
+/**
+ * Pluggable LLM providers for the chat agent
+ *
+ * An LLM provider is a plain object:
+ *   {
+ *     name: string,          // provider name reported in chat responses
+ *     model: string,         // model name reported in chat responses
+ *     chatModel: BaseChatModel  // LangChain chat model supporting tool calls
+ *   }
+ *
+ * The default provider is chosen by LLM_PROVIDER. Chat requests may pick
+ * another provider among LLM_PROVIDERS, and another model among the
+ * provider's LLM_<PROVIDER>_MODELS.
+ */
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createFakeProvider } from './fake.js';
+import logger from '../mcp-server/utils/logger.js';
+
+export { ScriptedChatModel, loadFakeFixtures } from './fake.js';
+
+// Registered provider factories, keyed by provider name
+const providerFactories = {
+  openai: (settings) => createOpenAIProvider(settings),
+  anthropic: (settings) => createAnthropicProvider(settings),
+  ollama: (settings) => createOpenAIProvider({ ...settings, name: 'ollama' }),
+  fake: (settings) => createFakeProvider(settings)
+};
+
+/**
+ * Default settings of the built-in providers
+ */
+const PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-5-mini', baseURL: 'https://api.openai.com/v1', temperature: 1 },
+  anthropic: { model: 'claude-sonnet-4-5', maxTokens: 4096 },
+  ollama: { model: 'llama3.1', baseURL: 'http://localhost:11434/v1', apiKey: 'ollama' },
+  fake: { model: 'scripted', responses: ['This is a scripted response.'] }
+};
+
+/**
+ * Register an LLM provider factory
+ * @param {string} name - Provider name (used as LLM_PROVIDER value)
+ * @param {Function} factory - Function receiving the provider settings and returning a provider
+ * @param {Object} [defaults] - Default settings, overridden by LLM_<NAME>_* variables
+ */
+export function registerLlmProvider(name, factory, defaults = {}) {
+  providerFactories[name] = factory;
+  PROVIDER_DEFAULTS[name] = defaults;
+  logger.info(`Registered LLM provider: ${name}`);
+}
+
+/**
+ * Read the LLM configuration from environment variables
+ *
+ * For each provider: LLM_<PROVIDER>_MODEL, LLM_<PROVIDER>_MODELS (other models
+ * requests may select), LLM_<PROVIDER>_API_KEY, LLM_<PROVIDER>_URL,
+ * LLM_<PROVIDER>_TEMPERATURE, LLM_<PROVIDER>_MAX_TOKENS and
+ * LLM_<PROVIDER>_TIMEOUT_MS. LLM_API_KEY, LLM_API_MODEL and LLM_API_URL still
+ * configure the openai provider, and ANTHROPIC_API_KEY the anthropic one.
+ * The fake provider reads its scripted responses from LLM_FAKE_RESPONSES (JSON array)
+ * and its scenarios from the LLM_FAKE_FIXTURES file.
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Object} LLM configuration
+ */
+export function getLlmConfig(env = process.env) {
+  const readNumber = (name) => {
+    if (env[name] === undefined || env[name] === '') return undefined;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${name} '${env[name]}': expected a non-negative number`);
+    }
+    return value;
+  };
+  const readList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const readResponses = (value) => {
+    if (!value) return undefined;
+    let responses;
+    try {
+      responses = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`LLM_FAKE_RESPONSES must be a JSON array of answers or { content, toolCalls }: ${error.message}`);
+    }
+    if (!Array.isArray(responses)) {
+      throw new Error('LLM_FAKE_RESPONSES must be a JSON array of answers or { content, toolCalls }');
+    }
+    return responses;
+  };
+
+  const fallbacks = {
+    openai: { model: env.LLM_API_MODEL, apiKey: env.LLM_API_KEY, baseURL: env.LLM_API_URL },
+    anthropic: { apiKey: env.ANTHROPIC_API_KEY },
+    fake: {
+      responses: readResponses(env.LLM_FAKE_RESPONSES),
+      fixtures: env.LLM_FAKE_FIXTURES
+    }
+  };
+
+  const providers = {};
+  for (const name of Object.keys(providerFactories)) {
+    const prefix = `LLM_${name.toUpperCase()}`;
+    const settings = {
+      model: env[`${prefix}_MODEL`],
+      models: readList(env[`${prefix}_MODELS`]),
+      apiKey: env[`${prefix}_API_KEY`],
+      baseURL: env[`${prefix}_URL`],
+      temperature: readNumber(`${prefix}_TEMPERATURE`),
+      maxTokens: readNumber(`${prefix}_MAX_TOKENS`),
+      timeoutMs: readNumber(`${prefix}_TIMEOUT_MS`)
+    };
+
+    // Unset values fall back to the legacy variables, then to the provider defaults
+    providers[name] = { ...PROVIDER_DEFAULTS[name] };
+    for (const source of [fallbacks[name] || {}, settings]) {
+      for (const [key, value] of Object.entries(source)) {
+        if (value !== undefined && value !== '') providers[name][key] = value;
+      }
+    }
+  }
+
+  const provider = env.LLM_PROVIDER || 'openai';
+  return {
+    provider,
+    enabled: [...new Set([provider, ...readList(env.LLM_PROVIDERS)])],
+    providers
+  };
+}
+
+/**
+ * Create an LLM provider
+ * @param {string} name - Provider name
+ * @param {Object} settings - Provider settings (see getLlmConfig)
+ * @returns {Object} LLM provider
+ */
+export function createLlmProvider(name, settings) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider '${name}'. Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(settings);
+}
+
+/**
+ * Create the set of LLM providers chat requests can choose from
+ *
+ * Providers are created on first use and reused, one per provider and model.
+ * @param {Object} [config] - LLM configuration (defaults to getLlmConfig())
+ * @returns {Object} { select, list }
+ */
+export function createLlmProviders(config = getLlmConfig()) {
+  for (const name of config.enabled) {
+    if (!providerFactories[name]) {
+      throw new Error(`Unknown LLM provider '${name}'. Available: ${Object.keys(providerFactories).join(', ')}`);
+    }
+  }
+  logger.info(`Using LLM provider ${config.provider} (${config.providers[config.provider].model})`);
+
+  const instances = new Map();
+
+  /**
+   * Models a provider may be asked for, its default model first
+   * @param {string} name - Provider name
+   * @returns {Array<string>} Model names
+   */
+  const modelsOf = (name) => {
+    const settings = config.providers[name];
+    return [...new Set([settings.model, ...(settings.models || [])])];
+  };
+
+  /**
+   * Get the provider for a chat request
+   * @param {Object} [selection] - Requested provider and model (both optional)
+   * @param {string} [selection.provider] - Provider name, among the enabled ones
+   * @param {string} [selection.model] - Model name, among the provider's models
+   * @returns {Object} LLM provider
+   * @throws {Error} If the provider or model may not be selected
+   */
+  const select = ({ provider = config.provider, model } = {}) => {
+    if (!config.enabled.includes(provider)) {
+      throw new Error(`LLM provider '${provider}' is not available. Available: ${config.enabled.join(', ')}`);
+    }
+    const models = modelsOf(provider);
+    const chosenModel = model || models[0];
+    if (!models.includes(chosenModel)) {
+      throw new Error(`Model '${chosenModel}' is not available for ${provider}. Available: ${models.join(', ')}`);
+    }
+
+    const key = `${provider}:${chosenModel}`;
+    if (!instances.has(key)) {
+      instances.set(key, createLlmProvider(provider, { ...config.providers[provider], model: chosenModel }));
+    }
+    return instances.get(key);
+  };
+
+  /**
+   * Describe the providers and models requests may select
+   * @returns {Object} { default: { provider, model }, providers: [{ name, models }] }
+   */
+  const list = () => ({
+    default: { provider: config.provider, model: config.providers[config.provider].model },
+    providers: config.enabled.map(name => ({ name, models: modelsOf(name) }))
+  });
+
+  return { select, list };
+}
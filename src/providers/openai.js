@@ -0,0 +1,32 @@
+/**
+ * OpenAI-compatible chat model provider
+ *
+ * Works with any endpoint implementing the OpenAI chat completions API,
+ * including local servers such as Ollama (http://localhost:11434/v1).
+ */
+import { ChatOpenAI } from '@langchain/openai';
+
+/**
+ * Create an OpenAI-compatible chat model provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.name='openai'] - Provider name reported in chat responses
+ * @param {string} options.model - Model name
+ * @param {string} options.apiKey - API key (any non-empty value for servers without authentication)
+ * @param {string} [options.baseURL] - API base URL
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum tokens generated per model call
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds
+ * @returns {Object} LLM provider
+ */
+export function createOpenAIProvider({ name = 'openai', model, apiKey, baseURL, temperature, maxTokens, timeoutMs }) {
+  const chatModel = new ChatOpenAI({
+    model,
+    apiKey,
+    temperature,
+    maxTokens,
+    timeout: timeoutMs,
+    configuration: { baseURL }
+  });
+
+  return { name, model, chatModel };
+}
@@ -0,0 +1,28 @@
+// Shared API helper for the web pages
+//
+// When the server has authentication enabled, the API key is asked for once,
+// kept in localStorage and sent as X-API-Key with every request.
+const API_KEY_STORAGE = 'ragmonstersApiKey';
+
+async function apiFetch(url, options = {}) {
+    const send = () => {
+        const headers = { ...(options.headers || {}) };
+        const apiKey = localStorage.getItem(API_KEY_STORAGE);
+        if (apiKey) {
+            headers['X-API-Key'] = apiKey;
+        }
+        return fetch(url, { ...options, headers });
+    };
+
+    let response = await send();
+
+    if (response.status === 401) {
+        const apiKey = window.prompt('This server requires an API key:');
+        if (apiKey) {
+            localStorage.setItem(API_KEY_STORAGE, apiKey.trim());
+            response = await send();
+        }
+    }
+
+    return response;
+}
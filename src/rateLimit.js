@@ -0,0 +1,40 @@
+/**
+ * Express rate limiting middleware for the web API
+ */
+import { createRateLimiter } from './mcp-server/utils/rateLimit.js';
+
+/**
+ * Identify the client of a request: its authenticated principal, else its IP address
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+export function clientKey(req) {
+  return req.principal ? `key:${req.principal.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Create the rate limiting middleware factory
+ * @param {Object} [limiter] - Rate limiter (defaults to createRateLimiter())
+ * @returns {Function} (budget) => Express middleware answering 429 with Retry-After when the budget is spent
+ */
+export function createRateLimitMiddleware(limiter = createRateLimiter()) {
+  return (budget) => async (req, res, next) => {
+    try {
+      const result = await limiter.consume(budget, clientKey(req));
+
+      if (result.limit !== null) {
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+      }
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({ error: `${result.reason}. Retry after ${result.retryAfterSeconds}s.` });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}